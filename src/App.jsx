@@ -1,214 +1,25 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
+import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import TodoList from './components/TodoList';
-import TodoForm from './components/TodoForm';
-import { loadTodos, saveTodos, generateId } from './utils/todoHelpers';
+import ThemeProvider, { useTheme } from './context/ThemeContext';
+import ListProvider from './context/ListContext';
+import CategoryProvider from './context/CategoryContext';
+import PriorityProvider from './context/PriorityContext';
+import TodoProvider, { useTodos } from './context/TodoContext';
+import TodoListContainer from './components/TodoListContainer';
+import TodoFormContainer from './components/TodoFormContainer';
+import ListNavigator from './components/ListNavigator';
+import RecoveryScreen from './components/RecoveryScreen';
+import PersistenceIndicator from './components/PersistenceIndicator';
+import HistoryControls from './components/HistoryControls';
+import RunningTimerIndicator from './components/RunningTimerIndicator';
+import ReminderScheduler from './components/ReminderScheduler';
+import { Toaster } from './components/ui/toaster';
 import { Sparkles, Moon, Sun, Palette } from 'lucide-react';
 
-// Theme Context
-const ThemeContext = createContext();
-
-export const useTheme = () => {
-  const context = useContext(ThemeContext);
-  if (!context) {
-    throw new Error('useTheme must be used within a ThemeProvider');
-  }
-  return context;
-};
-
-// Todo Context
-const TodoContext = createContext();
-
-export const useTodos = () => {
-  const context = useContext(TodoContext);
-  if (!context) {
-    throw new Error('useTodos must be used within a TodoProvider');
-  }
-  return context;
-};
-
-// Theme Provider Component
-const ThemeProvider = ({ children }) => {
-  const [theme, setTheme] = useState('aurora');
-  const [isDarkMode, setIsDarkMode] = useState(false);
-
-  const themes = {
-    aurora: 'theme-aurora',
-    cosmic: 'theme-cosmic',
-    neon: 'theme-neon',
-    sunset: 'theme-sunset',
-    ocean: 'theme-ocean'
-  };
-
-  const toggleTheme = (newTheme) => {
-    setTheme(newTheme);
-    localStorage.setItem('todo-theme', newTheme);
-  };
-
-  const toggleDarkMode = () => {
-    setIsDarkMode(!isDarkMode);
-    localStorage.setItem('todo-dark-mode', (!isDarkMode).toString());
-  };
-
-  useEffect(() => {
-    const savedTheme = localStorage.getItem('todo-theme');
-    const savedDarkMode = localStorage.getItem('todo-dark-mode');
-    
-    if (savedTheme && themes[savedTheme]) {
-      setTheme(savedTheme);
-    }
-    
-    if (savedDarkMode) {
-      setIsDarkMode(savedDarkMode === 'true');
-    }
-  }, []);
-
-  const value = {
-    theme,
-    themes,
-    isDarkMode,
-    toggleTheme,
-    toggleDarkMode
-  };
-
-  return (
-    <ThemeContext.Provider value={value}>
-      {children}
-    </ThemeContext.Provider>
-  );
-};
-
-// Todo Provider Component
-const TodoProvider = ({ children }) => {
-  const [todos, setTodos] = useState([]);
-  const [filter, setFilter] = useState('all'); // all, active, completed
-  const [searchQuery, setSearchQuery] = useState('');
-  const [editingTodo, setEditingTodo] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-
-  // Load todos on component mount
-  useEffect(() => {
-    const loadedTodos = loadTodos();
-    setTodos(loadedTodos);
-    setIsLoading(false);
-  }, []);
-
-  // Save todos whenever todos state changes
-  useEffect(() => {
-    if (!isLoading) {
-      saveTodos(todos);
-    }
-  }, [todos, isLoading]);
-
-  // Add new todo
-  const addTodo = (todoData) => {
-    const newTodo = {
-      id: generateId(),
-      text: todoData.text,
-      description: todoData.description || '',
-      priority: todoData.priority || 'medium',
-      category: todoData.category || 'general',
-      completed: false,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      dueDate: todoData.dueDate || null
-    };
-
-    setTodos(prevTodos => [newTodo, ...prevTodos]);
-    return newTodo;
-  };
-
-  // Update existing todo
-  const updateTodo = (id, updates) => {
-    setTodos(prevTodos =>
-      prevTodos.map(todo =>
-        todo.id === id
-          ? { ...todo, ...updates, updatedAt: new Date().toISOString() }
-          : todo
-      )
-    );
-  };
-
-  // Delete todo
-  const deleteTodo = (id) => {
-    setTodos(prevTodos => prevTodos.filter(todo => todo.id !== id));
-  };
-
-  // Toggle todo completion
-  const toggleTodo = (id) => {
-    updateTodo(id, { completed: !todos.find(todo => todo.id === id)?.completed });
-  };
-
-  // Clear completed todos
-  const clearCompleted = () => {
-    setTodos(prevTodos => prevTodos.filter(todo => !todo.completed));
-  };
-
-  // Mark all as completed
-  const markAllCompleted = () => {
-    const hasIncomplete = todos.some(todo => !todo.completed);
-    setTodos(prevTodos =>
-      prevTodos.map(todo => ({ ...todo, completed: hasIncomplete }))
-    );
-  };
-
-  // Filter todos based on current filter and search query
-  const filteredTodos = todos.filter(todo => {
-    const matchesFilter = 
-      filter === 'all' ||
-      (filter === 'active' && !todo.completed) ||
-      (filter === 'completed' && todo.completed);
-
-    const matchesSearch = 
-      !searchQuery ||
-      todo.text.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      todo.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      todo.category.toLowerCase().includes(searchQuery.toLowerCase());
-
-    return matchesFilter && matchesSearch;
-  });
-
-  // Get todo statistics
-  const stats = {
-    total: todos.length,
-    completed: todos.filter(todo => todo.completed).length,
-    active: todos.filter(todo => !todo.completed).length,
-    overdue: todos.filter(todo => 
-      !todo.completed && 
-      todo.dueDate && 
-      new Date(todo.dueDate) < new Date()
-    ).length
-  };
-
-  const value = {
-    todos: filteredTodos,
-    allTodos: todos,
-    filter,
-    searchQuery,
-    editingTodo,
-    isLoading,
-    stats,
-    setFilter,
-    setSearchQuery,
-    setEditingTodo,
-    addTodo,
-    updateTodo,
-    deleteTodo,
-    toggleTodo,
-    clearCompleted,
-    markAllCompleted
-  };
-
-  return (
-    <TodoContext.Provider value={value}>
-      {children}
-    </TodoContext.Provider>
-  );
-};
-
 // Main App Component
 function App() {
   const { theme, themes, isDarkMode, toggleTheme, toggleDarkMode } = useTheme();
+  const { recovery } = useTodos();
   const [showThemeSelector, setShowThemeSelector] = useState(false);
 
   return (
@@ -251,6 +62,10 @@ function App() {
 
               {/* Theme Controls */}
               <div className="flex items-center space-x-2">
+                <RunningTimerIndicator />
+                <HistoryControls />
+                <PersistenceIndicator />
+
                 <motion.button
                   onClick={toggleDarkMode}
                   className="glass-button p-2"
@@ -315,24 +130,41 @@ function App() {
         {/* Main Content */}
         <main className="container mx-auto px-4 py-8">
           <div className="max-w-4xl mx-auto">
-            {/* Todo Form */}
-            <motion.div
-              initial={{ y: 50, opacity: 0 }}
-              animate={{ y: 0, opacity: 1 }}
-              transition={{ duration: 0.6, delay: 0.2 }}
-              className="mb-8"
-            >
-              <TodoForm />
-            </motion.div>
-
-            {/* Todo List */}
-            <motion.div
-              initial={{ y: 50, opacity: 0 }}
-              animate={{ y: 0, opacity: 1 }}
-              transition={{ duration: 0.6, delay: 0.4 }}
-            >
-              <TodoList />
-            </motion.div>
+            {recovery ? (
+              /* Corrupt Storage Recovery */
+              <RecoveryScreen />
+            ) : (
+              <>
+                {/* Lists */}
+                <motion.div
+                  initial={{ y: 50, opacity: 0 }}
+                  animate={{ y: 0, opacity: 1 }}
+                  transition={{ duration: 0.6, delay: 0.1 }}
+                  className="mb-6"
+                >
+                  <ListNavigator />
+                </motion.div>
+
+                {/* Todo Form */}
+                <motion.div
+                  initial={{ y: 50, opacity: 0 }}
+                  animate={{ y: 0, opacity: 1 }}
+                  transition={{ duration: 0.6, delay: 0.2 }}
+                  className="mb-8"
+                >
+                  <TodoFormContainer />
+                </motion.div>
+
+                {/* Todo List */}
+                <motion.div
+                  initial={{ y: 50, opacity: 0 }}
+                  animate={{ y: 0, opacity: 1 }}
+                  transition={{ duration: 0.6, delay: 0.4 }}
+                >
+                  <TodoListContainer />
+                </motion.div>
+              </>
+            )}
           </div>
         </main>
 
@@ -352,6 +184,9 @@ function App() {
           </div>
         </motion.footer>
       </div>
+
+      <ReminderScheduler />
+      <Toaster />
     </div>
   );
 }
@@ -360,9 +195,15 @@ function App() {
 export default function AppWithProviders() {
   return (
     <ThemeProvider>
-      <TodoProvider>
-        <App />
-      </TodoProvider>
+      <ListProvider>
+        <CategoryProvider>
+          <PriorityProvider>
+            <TodoProvider>
+              <App />
+            </TodoProvider>
+          </PriorityProvider>
+        </CategoryProvider>
+      </ListProvider>
     </ThemeProvider>
   );
 }
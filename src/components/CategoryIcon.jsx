@@ -0,0 +1,41 @@
+import {
+  Folder,
+  Briefcase,
+  User,
+  ShoppingCart,
+  HeartPulse,
+  GraduationCap,
+  FolderKanban,
+  Home,
+  Star,
+  BookOpen,
+  Dumbbell,
+  Plane,
+  Wallet,
+  Code
+} from 'lucide-react';
+
+const ICONS = {
+  folder: Folder,
+  briefcase: Briefcase,
+  user: User,
+  'shopping-cart': ShoppingCart,
+  'heart-pulse': HeartPulse,
+  'graduation-cap': GraduationCap,
+  'folder-kanban': FolderKanban,
+  home: Home,
+  star: Star,
+  'book-open': BookOpen,
+  dumbbell: Dumbbell,
+  plane: Plane,
+  wallet: Wallet,
+  code: Code
+};
+
+// Lucide icon picked for a category
+const CategoryIcon = ({ icon, className = 'w-4 h-4' }) => {
+  const Icon = ICONS[icon] ?? Folder;
+  return <Icon className={className} />;
+};
+
+export default CategoryIcon;
@@ -0,0 +1,254 @@
+import { useState, useEffect } from 'react';
+import { ChevronUp, ChevronDown, Trash2, Plus, Palette, AlertCircle } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription
+} from './ui/dialog';
+import CategoryIcon from './CategoryIcon';
+import { useCategories } from '../context/CategoryContext';
+import { useTodos } from '../context/TodoContext';
+import { CATEGORY_COLOR_CLASSES } from '../utils/todoCategories';
+import {
+  CATEGORY_COLORS,
+  CATEGORY_ICONS,
+  CATEGORY_NAME_MAX_LENGTH,
+  DEFAULT_CATEGORY
+} from '../utils/todoSchema';
+
+const inputClassName = 'flex-1 min-w-0 px-3 py-1.5 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-sm text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all';
+
+// Create, rename, recolor, reorder and delete categories
+const CategoryManagerDialog = ({ open, onOpenChange }) => {
+  const { categories, addCategory, updateCategory, moveCategory } = useCategories();
+  const { allTodos, deleteCategory } = useTodos();
+  // Unsaved names by category id
+  const [names, setNames] = useState({});
+  const [newName, setNewName] = useState('');
+  // Category whose color and icon pickers are open
+  const [stylingId, setStylingId] = useState(null);
+  // Category being deleted and where its todos go
+  const [deleting, setDeleting] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setNames({});
+    setNewName('');
+    setStylingId(null);
+    setDeleting(null);
+    setError('');
+  }, [open]);
+
+  // Run a change, showing its error instead of throwing
+  const attempt = (change) => {
+    try {
+      change();
+      setError('');
+      return true;
+    } catch (changeError) {
+      setError(changeError.message);
+      return false;
+    }
+  };
+
+  const commitName = (category) => {
+    const name = names[category.id];
+    if (name === undefined || name === category.name) return;
+    if (attempt(() => updateCategory(category.id, { name }))) {
+      setNames(current => {
+        const next = { ...current };
+        delete next[category.id];
+        return next;
+      });
+    }
+  };
+
+  const handleAdd = () => {
+    if (attempt(() => addCategory({ name: newName, color: 'slate', icon: 'folder' }))) {
+      setNewName('');
+    }
+  };
+
+  const handleDelete = () => {
+    deleteCategory(deleting.id, deleting.reassignTo);
+    setDeleting(null);
+  };
+
+  const countTodos = (id) => allTodos.filter(todo => todo.category === id).length;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="glass-card bg-white/10 backdrop-blur-xl border-white/20 text-white rounded-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Categories</DialogTitle>
+          <DialogDescription className="text-white/60">
+            Changes apply to every todo in the category.
+          </DialogDescription>
+        </DialogHeader>
+
+        <ul className="space-y-2">
+          {categories.map((category, index) => (
+            <li key={category.id} className="p-2 rounded-xl bg-white/5 border border-white/10 space-y-2">
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => setStylingId(stylingId === category.id ? null : category.id)}
+                  className={`p-1.5 rounded-lg bg-gradient-to-br ${CATEGORY_COLOR_CLASSES[category.color].gradient} text-white`}
+                  title="Change color and icon"
+                >
+                  <CategoryIcon icon={category.icon} />
+                </button>
+                <input
+                  type="text"
+                  value={names[category.id] ?? category.name}
+                  onChange={(e) => setNames({ ...names, [category.id]: e.target.value })}
+                  onBlur={() => commitName(category)}
+                  onKeyDown={(e) => e.key === 'Enter' && commitName(category)}
+                  maxLength={CATEGORY_NAME_MAX_LENGTH}
+                  className={inputClassName}
+                  aria-label="Category name"
+                />
+                <span className="text-xs text-white/50 w-8 text-right">{countTodos(category.id)}</span>
+                <button
+                  type="button"
+                  onClick={() => moveCategory(category.id, -1)}
+                  disabled={index === 0}
+                  className="p-1 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+                  aria-label="Move category up"
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveCategory(category.id, 1)}
+                  disabled={index === categories.length - 1}
+                  className="p-1 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+                  aria-label="Move category down"
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setDeleting({ id: category.id, reassignTo: DEFAULT_CATEGORY })}
+                  disabled={category.id === DEFAULT_CATEGORY}
+                  className="p-1 hover:bg-red-500/30 rounded-full transition-colors disabled:opacity-30"
+                  aria-label="Delete category"
+                  title={category.id === DEFAULT_CATEGORY ? 'The default category cannot be deleted' : 'Delete category'}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+
+              {/* Color and Icon Pickers */}
+              {stylingId === category.id && (
+                <div className="space-y-2 pl-1">
+                  <div className="flex flex-wrap items-center gap-2" role="radiogroup" aria-label="Color">
+                    <Palette className="w-4 h-4 text-white/50" />
+                    {CATEGORY_COLORS.map(color => (
+                      <button
+                        key={color}
+                        type="button"
+                        role="radio"
+                        aria-checked={category.color === color}
+                        aria-label={color}
+                        onClick={() => attempt(() => updateCategory(category.id, { color }))}
+                        className={`w-6 h-6 rounded-full bg-gradient-to-br ${CATEGORY_COLOR_CLASSES[color].gradient} transition-all ${
+                          category.color === color ? 'ring-2 ring-white' : 'opacity-60 hover:opacity-100'
+                        }`}
+                      />
+                    ))}
+                  </div>
+                  <div className="flex flex-wrap gap-1" role="radiogroup" aria-label="Icon">
+                    {CATEGORY_ICONS.map(icon => (
+                      <button
+                        key={icon}
+                        type="button"
+                        role="radio"
+                        aria-checked={category.icon === icon}
+                        aria-label={icon}
+                        onClick={() => attempt(() => updateCategory(category.id, { icon }))}
+                        className={`p-1.5 rounded-lg transition-all ${
+                          category.icon === icon ? 'bg-white/30' : 'bg-white/10 hover:bg-white/20'
+                        }`}
+                      >
+                        <CategoryIcon icon={icon} />
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Delete With Reassignment */}
+              {deleting?.id === category.id && (
+                <div className="flex flex-wrap items-center gap-2 p-2 rounded-lg bg-red-500/10 border border-red-400/30 text-sm">
+                  <span className="text-white/80">
+                    Move {countTodos(category.id)} todo{countTodos(category.id) === 1 ? '' : 's'} to
+                  </span>
+                  <select
+                    value={deleting.reassignTo}
+                    onChange={(e) => setDeleting({ ...deleting, reassignTo: e.target.value })}
+                    className="px-2 py-1 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none"
+                    aria-label="Move todos to"
+                  >
+                    {categories
+                      .filter(other => other.id !== category.id)
+                      .map(other => (
+                        <option key={other.id} value={other.id} className="bg-gray-800">{other.name}</option>
+                      ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={handleDelete}
+                    className="px-3 py-1 rounded-lg bg-red-500/30 hover:bg-red-500/40 text-red-100 font-medium transition-all"
+                  >
+                    Delete
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setDeleting(null)}
+                    className="px-3 py-1 rounded-lg hover:bg-white/10 text-white/70 transition-all"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {/* New Category */}
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+            maxLength={CATEGORY_NAME_MAX_LENGTH}
+            placeholder="New category..."
+            className={inputClassName}
+          />
+          <button
+            type="button"
+            onClick={handleAdd}
+            className="flex items-center gap-1 px-4 py-1.5 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white text-sm rounded-lg hover:from-violet-600 hover:to-fuchsia-600 transition-all"
+          >
+            <Plus className="w-4 h-4" />
+            Add
+          </button>
+        </div>
+
+        {error && (
+          <p className="text-red-400 text-sm flex items-center gap-1">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </p>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CategoryManagerDialog;
@@ -0,0 +1,127 @@
+import { Plus, Trash2, ChevronUp, ChevronDown, AlertCircle } from 'lucide-react';
+import { generateId } from '../utils/todoModel';
+import { CUSTOM_FIELD_TYPE_LABELS } from '../utils/todoCustomFields';
+import {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_NAME_MAX_LENGTH,
+  CUSTOM_FIELD_MAX_COUNT
+} from '../utils/todoSchema';
+
+const inputClassName = 'min-w-0 px-3 py-1.5 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-sm text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all';
+
+// Edit a list's custom field definitions. Select options are typed as a
+// comma-separated string and split by customFieldSchema.
+const CustomFieldsEditor = ({ value = [], onChange, errors }) => {
+  const updateField = (id, updates) => {
+    onChange(value.map(field => (field.id === id ? { ...field, ...updates } : field)));
+  };
+
+  const moveField = (index, offset) => {
+    const reordered = [...value];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+    onChange(reordered);
+  };
+
+  const addField = () => {
+    onChange([...value, { id: generateId(), name: '', type: 'text', options: [] }]);
+  };
+
+  // Errors for one field, or for the whole set (e.g. duplicate names)
+  const fieldError = (index) => {
+    const error = errors?.[index];
+    return error?.name?.message ?? error?.options?.message ?? error?.message;
+  };
+  const listError = errors?.message ?? errors?.root?.message;
+
+  return (
+    <div className="space-y-2">
+      {value.map((field, index) => (
+        <div key={field.id} className="space-y-1">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={field.name}
+              onChange={(e) => updateField(field.id, { name: e.target.value })}
+              maxLength={CUSTOM_FIELD_NAME_MAX_LENGTH}
+              placeholder="Field name"
+              className={`flex-1 ${inputClassName}`}
+              aria-label="Field name"
+            />
+            <select
+              value={field.type}
+              onChange={(e) => updateField(field.id, { type: e.target.value })}
+              className={inputClassName}
+              aria-label="Field type"
+            >
+              {CUSTOM_FIELD_TYPES.map(type => (
+                <option key={type} value={type} className="bg-gray-800">{CUSTOM_FIELD_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => moveField(index, -1)}
+              disabled={index === 0}
+              className="p-1 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+              aria-label="Move field up"
+            >
+              <ChevronUp className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => moveField(index, 1)}
+              disabled={index === value.length - 1}
+              className="p-1 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+              aria-label="Move field down"
+            >
+              <ChevronDown className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange(value.filter(other => other.id !== field.id))}
+              className="p-1 hover:bg-red-500/30 rounded-full transition-colors"
+              aria-label="Remove field"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+          {field.type === 'select' && (
+            <input
+              type="text"
+              value={Array.isArray(field.options) ? field.options.join(', ') : field.options}
+              onChange={(e) => updateField(field.id, { options: e.target.value })}
+              placeholder="Options, separated by commas"
+              className={`w-full ${inputClassName}`}
+              aria-label="Options"
+            />
+          )}
+          {fieldError(index) && (
+            <p className="text-red-400 text-xs flex items-center gap-1">
+              <AlertCircle className="w-3 h-3" />
+              {fieldError(index)}
+            </p>
+          )}
+        </div>
+      ))}
+
+      {listError && (
+        <p className="text-red-400 text-xs flex items-center gap-1">
+          <AlertCircle className="w-3 h-3" />
+          {listError}
+        </p>
+      )}
+
+      {value.length < CUSTOM_FIELD_MAX_COUNT && (
+        <button
+          type="button"
+          onClick={addField}
+          className="flex items-center gap-1 text-sm text-white/70 hover:text-white transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          Add field
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CustomFieldsEditor;
@@ -0,0 +1,361 @@
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, useReducedMotion } from 'framer-motion';
+import { X, Play, Pause, SkipForward, RotateCcw, Settings, Check, Save, AlertCircle } from 'lucide-react';
+import { useTodos } from '../context/TodoContext';
+import { formatElapsed } from '../utils/todoTime';
+import { isTrashed } from '../utils/todoHelpers';
+import {
+  FOCUS_PHASE_LABELS,
+  DEFAULT_FOCUS_SETTINGS,
+  getPhaseDuration,
+  getNextPhase,
+  countFocusSessionsToday,
+  validateFocusSettings,
+  loadFocusSettings,
+  saveFocusSettings
+} from '../utils/todoFocus';
+import { focusSettingsSchema } from '../utils/todoSchema';
+
+// How often the countdown is redrawn while it runs
+const TICK_INTERVAL = 250;
+
+const RING_RADIUS = 120;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+const SETTING_FIELDS = [
+  { name: 'workMinutes', label: 'Focus (min)' },
+  { name: 'shortBreakMinutes', label: 'Short break (min)' },
+  { name: 'longBreakMinutes', label: 'Long break (min)' },
+  { name: 'sessionsBeforeLongBreak', label: 'Sessions per cycle' }
+];
+
+// `status` is idle (phase not started), running, paused or ended (a work
+// session just finished and waits for the user to continue)
+const createPhase = (phase, settings) => ({
+  phase,
+  status: 'idle',
+  remaining: getPhaseDuration(phase, settings),
+  endsAt: null,
+  startedAt: null
+});
+
+// Leave text fields their own keys
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// Full-screen Pomodoro timer for one todo
+const FocusMode = ({ todoId, onClose }) => {
+  const { allTodos, logFocusSession, toggleTodo } = useTodos();
+  const reduceMotion = useReducedMotion();
+  const [settings, setSettings] = useState(DEFAULT_FOCUS_SETTINGS);
+  const [timer, setTimer] = useState(() => createPhase('work', DEFAULT_FOCUS_SETTINGS));
+  // Work sessions finished since focus mode opened
+  const [completedSessions, setCompletedSessions] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  const [draft, setDraft] = useState(null);
+  const [settingsError, setSettingsError] = useState('');
+  const todo = allTodos.find(candidate => candidate.id === todoId);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadFocusSettings().then(loadedSettings => {
+      if (cancelled) return;
+      setSettings(loadedSettings);
+      setTimer(current => (current.status === 'idle' ? createPhase(current.phase, loadedSettings) : current));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (timer.status !== 'running') return;
+
+    const interval = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [timer.status]);
+
+  const remaining = timer.status === 'running' ? Math.max(0, timer.endsAt - now) : timer.remaining;
+
+  // A finished work session is logged and waits for the user; a finished
+  // break queues the next work session
+  useEffect(() => {
+    if (timer.status !== 'running' || remaining > 0) return;
+
+    if (timer.phase === 'work') {
+      logFocusSession(todoId, timer.startedAt);
+      setCompletedSessions(count => count + 1);
+      setTimer({ ...timer, status: 'ended', remaining: 0, endsAt: null });
+    } else {
+      setTimer(createPhase('work', settings));
+    }
+  }, [timer, remaining, todoId, settings, logFocusSession]);
+
+  // Leave focus mode when the todo goes away, e.g. trashed in another tab
+  useEffect(() => {
+    if (!todo || isTrashed(todo)) onClose();
+  }, [todo, onClose]);
+
+  const start = () => {
+    const startedAt = new Date();
+    setNow(startedAt.getTime());
+    setTimer({
+      ...timer,
+      status: 'running',
+      endsAt: startedAt.getTime() + timer.remaining,
+      startedAt: timer.startedAt ?? startedAt
+    });
+  };
+
+  const pause = () => {
+    setTimer({ ...timer, status: 'paused', remaining, endsAt: null });
+  };
+
+  // Move on without logging the current phase
+  const skip = () => {
+    setTimer(createPhase(getNextPhase(timer.phase, completedSessions + (timer.phase === 'work' ? 1 : 0), settings), settings));
+  };
+
+  const restart = () => {
+    setTimer(createPhase(timer.phase, settings));
+  };
+
+  // After a finished work session: start the break
+  const continueToBreak = () => {
+    const nextPhase = createPhase(getNextPhase('work', completedSessions, settings), settings);
+    const startedAt = new Date();
+    setNow(startedAt.getTime());
+    setTimer({ ...nextPhase, status: 'running', endsAt: startedAt.getTime() + nextPhase.remaining, startedAt });
+  };
+
+  const completeTodo = () => {
+    toggleTodo(todoId);
+    onClose();
+  };
+
+  const toggleRunning = () => {
+    if (timer.status === 'running') pause();
+    else if (timer.status !== 'ended') start();
+  };
+
+  // Space to start or pause, Escape to leave
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isEditableTarget(event.target)) return;
+
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        onClose();
+      } else if (event.key === ' ' && !draft) {
+        event.preventDefault();
+        toggleRunning();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const openSettings = () => {
+    setDraft(settings);
+    setSettingsError('');
+  };
+
+  const saveSettings = (e) => {
+    e.preventDefault();
+    const errors = validateFocusSettings(draft);
+    if (Object.keys(errors).length > 0) {
+      setSettingsError(Object.values(errors)[0]);
+      return;
+    }
+
+    const nextSettings = focusSettingsSchema.parse(draft);
+    setSettings(nextSettings);
+    saveFocusSettings(nextSettings);
+    if (timer.status === 'idle') setTimer(createPhase(timer.phase, nextSettings));
+    setDraft(null);
+  };
+
+  if (!todo) return null;
+
+  const duration = getPhaseDuration(timer.phase, settings);
+  const progress = timer.status === 'ended' ? 1 : 1 - remaining / duration;
+  const isBreak = timer.phase !== 'work';
+  // A full cycle stays filled in until the next work session
+  const cycleDone = completedSessions > 0 && completedSessions % settings.sessionsBeforeLongBreak === 0;
+  const sessionInCycle = cycleDone && (isBreak || timer.status === 'ended')
+    ? settings.sessionsBeforeLongBreak
+    : completedSessions % settings.sessionsBeforeLongBreak;
+
+  return createPortal(
+    <motion.div
+      className="focus-mode"
+      initial={reduceMotion ? false : { opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: reduceMotion ? 0 : 0.3 }}
+      role="dialog"
+      aria-modal="true"
+      aria-label={`Focus mode: ${todo.text}`}
+    >
+      <motion.div
+        className="glass relative w-full max-w-md p-8 text-white text-center space-y-6"
+        initial={reduceMotion ? false : { scale: 0.95, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        transition={{ duration: reduceMotion ? 0 : 0.3, ease: 'easeOut' }}
+      >
+        <div className="absolute top-4 right-4 flex gap-1">
+          <button
+            onClick={openSettings}
+            disabled={timer.status === 'running' || Boolean(draft)}
+            className="p-2 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+            title="Cycle lengths"
+            aria-label="Cycle lengths"
+          >
+            <Settings className="w-5 h-5" />
+          </button>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-white/20 rounded-full transition-colors"
+            title="Leave focus mode (Esc)"
+            aria-label="Leave focus mode"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="space-y-1 px-16">
+          <p className={`text-sm font-medium uppercase tracking-wide ${isBreak ? 'text-emerald-300' : 'text-violet-300'}`}>
+            {FOCUS_PHASE_LABELS[timer.phase]}
+          </p>
+          <h2 className="text-xl font-semibold text-white/90 break-words">{todo.text}</h2>
+        </div>
+
+        {draft ? (
+          <form onSubmit={saveSettings} className="space-y-3 text-left">
+            {SETTING_FIELDS.map(({ name, label }) => (
+              <label key={name} className="flex items-center justify-between gap-3 text-sm text-white/80">
+                {label}
+                <input
+                  type="number"
+                  min={1}
+                  value={draft[name]}
+                  onChange={(e) => setDraft({ ...draft, [name]: e.target.value })}
+                  className="input-glass !w-24 !py-1.5 !px-3 !text-sm"
+                />
+              </label>
+            ))}
+            {settingsError && (
+              <p className="text-red-300 text-xs flex items-center gap-1">
+                <AlertCircle className="w-3 h-3" />
+                {settingsError}
+              </p>
+            )}
+            <div className="flex gap-2">
+              <button type="button" onClick={() => setDraft(null)} className="btn-glass flex-1 !py-2">
+                Cancel
+              </button>
+              <button type="submit" className="btn-glass btn-primary flex-1 !py-2 flex items-center justify-center gap-2">
+                <Save className="w-4 h-4" />
+                Save
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            {/* Countdown */}
+            <div className="relative mx-auto w-64 h-64">
+              <svg viewBox="0 0 260 260" className="w-full h-full -rotate-90" aria-hidden="true">
+                <circle cx="130" cy="130" r={RING_RADIUS} fill="none" stroke="rgba(255, 255, 255, 0.15)" strokeWidth="10" />
+                <circle
+                  cx="130"
+                  cy="130"
+                  r={RING_RADIUS}
+                  fill="none"
+                  stroke={isBreak ? '#6ee7b7' : '#c4b5fd'}
+                  strokeWidth="10"
+                  strokeLinecap="round"
+                  strokeDasharray={RING_CIRCUMFERENCE}
+                  strokeDashoffset={RING_CIRCUMFERENCE * (1 - progress)}
+                  className="focus-progress"
+                />
+              </svg>
+              <div className="absolute inset-0 flex flex-col items-center justify-center">
+                <span className="text-5xl font-mono tabular-nums" role="timer" aria-live="off">
+                  {formatElapsed(Math.ceil(remaining / 1000) * 1000).replace(/^0:/, '')}
+                </span>
+                {timer.status === 'paused' && <span className="text-sm text-white/60 mt-1">Paused</span>}
+              </div>
+            </div>
+
+            {timer.status === 'ended' ? (
+              <div className="space-y-3" aria-live="polite">
+                <p className="text-white/80">Session done. Is the todo finished?</p>
+                <div className="flex gap-2">
+                  <button onClick={completeTodo} className="btn-glass btn-secondary flex-1 flex items-center justify-center gap-2">
+                    <Check className="w-4 h-4" />
+                    Complete todo
+                  </button>
+                  <button onClick={continueToBreak} className="btn-glass btn-primary flex-1 flex items-center justify-center gap-2">
+                    <Play className="w-4 h-4" />
+                    Continue
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex items-center justify-center gap-3">
+                <button
+                  onClick={restart}
+                  disabled={timer.status === 'idle'}
+                  className="btn-glass !p-3 disabled:opacity-40"
+                  title="Restart this phase"
+                  aria-label="Restart this phase"
+                >
+                  <RotateCcw className="w-5 h-5" />
+                </button>
+                <button
+                  onClick={toggleRunning}
+                  className="btn-glass btn-primary !px-8 flex items-center gap-2"
+                  title="Space"
+                >
+                  {timer.status === 'running' ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+                  {timer.status === 'running' ? 'Pause' : timer.status === 'paused' ? 'Resume' : 'Start'}
+                </button>
+                <button
+                  onClick={skip}
+                  className="btn-glass !p-3"
+                  title={isBreak ? 'Skip break' : 'Skip session'}
+                  aria-label={isBreak ? 'Skip break' : 'Skip session'}
+                >
+                  <SkipForward className="w-5 h-5" />
+                </button>
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Session counts */}
+        <div className="space-y-2">
+          <div className="flex justify-center gap-2" aria-hidden="true">
+            {Array.from({ length: settings.sessionsBeforeLongBreak }, (_, index) => (
+              <span
+                key={index}
+                className={`w-2.5 h-2.5 rounded-full ${index < sessionInCycle ? 'bg-violet-300' : 'bg-white/20'}`}
+              />
+            ))}
+          </div>
+          <p className="text-sm text-white/60">
+            {countFocusSessionsToday(todo)} session{countFocusSessionsToday(todo) === 1 ? '' : 's'} today
+            · {todo.focusSessions.length} in total
+          </p>
+        </div>
+      </motion.div>
+    </motion.div>,
+    document.body
+  );
+};
+
+export default FocusMode;
@@ -0,0 +1,67 @@
+import { useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Undo2, Redo2 } from 'lucide-react';
+import { useTodos } from '../context/TodoContext';
+
+// Leave text fields their own native undo
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+const HistoryControls = () => {
+  const { canUndo, canRedo, undoLabel, redoLabel, undo, redo, recovery } = useTodos();
+
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) to redo
+  useEffect(() => {
+    if (recovery) return;
+
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (isEditableTarget(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey)) {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, recovery]);
+
+  if (recovery) return null;
+
+  return (
+    <>
+      <motion.button
+        onClick={undo}
+        disabled={!canUndo}
+        className="glass-button p-2 disabled:opacity-40 disabled:cursor-not-allowed"
+        whileHover={canUndo ? { scale: 1.1 } : undefined}
+        whileTap={canUndo ? { scale: 0.9 } : undefined}
+        title={canUndo ? `Undo: ${undoLabel}` : 'Nothing to undo'}
+        aria-label="Undo"
+      >
+        <Undo2 className="w-5 h-5" />
+      </motion.button>
+
+      <motion.button
+        onClick={redo}
+        disabled={!canRedo}
+        className="glass-button p-2 disabled:opacity-40 disabled:cursor-not-allowed"
+        whileHover={canRedo ? { scale: 1.1 } : undefined}
+        whileTap={canRedo ? { scale: 0.9 } : undefined}
+        title={canRedo ? `Redo: ${redoLabel}` : 'Nothing to redo'}
+        aria-label="Redo"
+      >
+        <Redo2 className="w-5 h-5" />
+      </motion.button>
+    </>
+  );
+};
+
+export default HistoryControls;
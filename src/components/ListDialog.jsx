@@ -0,0 +1,267 @@
+import { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { Archive, ArchiveRestore, Save, AlertCircle } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription
+} from './ui/dialog';
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage
+} from './ui/form';
+import ListIcon from './ListIcon';
+import CustomFieldsEditor from './CustomFieldsEditor';
+import { useLists } from '../context/ListContext';
+import { useCategories } from '../context/CategoryContext';
+import { usePriorities } from '../context/PriorityContext';
+import { LIST_COLOR_CLASSES } from '../utils/todoLists';
+import {
+  listFieldsSchema,
+  LIST_COLORS,
+  LIST_ICONS,
+  LIST_NAME_MAX_LENGTH,
+  DEFAULT_LIST_ID,
+  DEFAULT_CATEGORY,
+  DEFAULT_PRIORITY
+} from '../utils/todoSchema';
+
+const EMPTY_LIST = {
+  name: '',
+  color: LIST_COLORS[0],
+  icon: LIST_ICONS[0],
+  defaultCategory: DEFAULT_CATEGORY,
+  defaultPriority: DEFAULT_PRIORITY,
+  archived: false,
+  customFields: []
+};
+
+const selectClassName = 'w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all';
+
+// Create a list, or edit `list` when one is given
+const ListDialog = ({ open, onOpenChange, list = null }) => {
+  const { addList, updateList, setListArchived } = useLists();
+  const { categories } = useCategories();
+  const { levels: priorityLevels, defaultPriority } = usePriorities();
+  const [submitError, setSubmitError] = useState('');
+  const form = useForm({
+    resolver: zodResolver(listFieldsSchema),
+    defaultValues: EMPTY_LIST
+  });
+
+  useEffect(() => {
+    if (!open) return;
+    form.reset(list ? {
+      name: list.name,
+      color: list.color,
+      icon: list.icon,
+      defaultCategory: list.defaultCategory,
+      defaultPriority: list.defaultPriority,
+      archived: list.archived,
+      customFields: list.customFields
+    } : { ...EMPTY_LIST, defaultPriority });
+    setSubmitError('');
+  }, [open, list, form, defaultPriority]);
+
+  const handleSubmit = (fields) => {
+    try {
+      if (list) {
+        updateList(list.id, fields);
+      } else {
+        addList(fields);
+      }
+      onOpenChange(false);
+    } catch (error) {
+      setSubmitError(error.message);
+    }
+  };
+
+  const handleArchive = () => {
+    setListArchived(list.id, !list.archived);
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="glass-card bg-white/10 backdrop-blur-xl border-white/20 text-white rounded-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{list ? 'Edit list' : 'New list'}</DialogTitle>
+          <DialogDescription className="text-white/60">
+            New todos in this list start with its default category and priority, and can fill in its custom fields.
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSubmit)} className="space-y-4">
+            {/* Name */}
+            <FormField
+              control={form.control}
+              name="name"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium text-white/80">Name</FormLabel>
+                  <FormControl>
+                    <input
+                      type="text"
+                      {...field}
+                      maxLength={LIST_NAME_MAX_LENGTH}
+                      placeholder="e.g. Team launch"
+                      className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+                    />
+                  </FormControl>
+                  <FormMessage className="text-red-400" />
+                </FormItem>
+              )}
+            />
+
+            {/* Color */}
+            <FormField
+              control={form.control}
+              name="color"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium text-white/80">Color</FormLabel>
+                  <div className="flex gap-2" role="radiogroup">
+                    {LIST_COLORS.map(color => (
+                      <button
+                        key={color}
+                        type="button"
+                        role="radio"
+                        aria-checked={field.value === color}
+                        aria-label={color}
+                        onClick={() => field.onChange(color)}
+                        className={`w-8 h-8 rounded-full bg-gradient-to-br ${LIST_COLOR_CLASSES[color]} transition-all ${
+                          field.value === color ? 'ring-2 ring-white ring-offset-2 ring-offset-transparent' : 'opacity-60 hover:opacity-100'
+                        }`}
+                      />
+                    ))}
+                  </div>
+                </FormItem>
+              )}
+            />
+
+            {/* Icon */}
+            <FormField
+              control={form.control}
+              name="icon"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium text-white/80">Icon</FormLabel>
+                  <div className="flex gap-2" role="radiogroup">
+                    {LIST_ICONS.map(icon => (
+                      <button
+                        key={icon}
+                        type="button"
+                        role="radio"
+                        aria-checked={field.value === icon}
+                        aria-label={icon}
+                        onClick={() => field.onChange(icon)}
+                        className={`p-2 rounded-xl transition-all ${
+                          field.value === icon ? 'bg-white/30' : 'bg-white/10 hover:bg-white/20'
+                        }`}
+                      >
+                        <ListIcon icon={icon} />
+                      </button>
+                    ))}
+                  </div>
+                </FormItem>
+              )}
+            />
+
+            {/* Defaults */}
+            <div className="grid grid-cols-2 gap-4">
+              <FormField
+                control={form.control}
+                name="defaultCategory"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-sm font-medium text-white/80">Default category</FormLabel>
+                    <FormControl>
+                      <select {...field} className={selectClassName}>
+                        {categories.map(category => (
+                          <option key={category.id} value={category.id} className="bg-gray-800">
+                            {category.name}
+                          </option>
+                        ))}
+                      </select>
+                    </FormControl>
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="defaultPriority"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-sm font-medium text-white/80">Default priority</FormLabel>
+                    <FormControl>
+                      <select {...field} className={selectClassName}>
+                        {priorityLevels.map(level => (
+                          <option key={level.id} value={level.id} className="bg-gray-800">
+                            {level.label}
+                          </option>
+                        ))}
+                      </select>
+                    </FormControl>
+                  </FormItem>
+                )}
+              />
+            </div>
+
+            {/* Custom Fields */}
+            <FormField
+              control={form.control}
+              name="customFields"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium text-white/80">Custom fields</FormLabel>
+                  <CustomFieldsEditor
+                    value={field.value}
+                    onChange={field.onChange}
+                    errors={form.formState.errors.customFields}
+                  />
+                </FormItem>
+              )}
+            />
+
+            {submitError && (
+              <p className="p-3 bg-red-500/20 border border-red-400/30 rounded-xl text-red-300 text-sm flex items-center gap-2">
+                <AlertCircle className="w-4 h-4" />
+                {submitError}
+              </p>
+            )}
+
+            <div className="flex gap-3 pt-2">
+              {list && list.id !== DEFAULT_LIST_ID && (
+                <button
+                  type="button"
+                  onClick={handleArchive}
+                  className="flex items-center gap-2 px-4 py-3 bg-white/10 border border-white/20 text-white rounded-xl hover:bg-white/20 transition-all"
+                >
+                  {list.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+                  {list.archived ? 'Unarchive' : 'Archive'}
+                </button>
+              )}
+              <button
+                type="submit"
+                className="flex-1 px-6 py-3 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all flex items-center justify-center gap-2"
+              >
+                <Save className="w-4 h-4" />
+                {list ? 'Save list' : 'Create list'}
+              </button>
+            </div>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ListDialog;
@@ -0,0 +1,18 @@
+import { Inbox, Briefcase, Home, User, Heart, BookOpen } from 'lucide-react';
+
+const ICONS = {
+  inbox: Inbox,
+  briefcase: Briefcase,
+  home: Home,
+  user: User,
+  heart: Heart,
+  book: BookOpen
+};
+
+// Icon picked for a list
+const ListIcon = ({ icon, className = 'w-4 h-4' }) => {
+  const Icon = ICONS[icon] ?? Inbox;
+  return <Icon className={className} />;
+};
+
+export default ListIcon;
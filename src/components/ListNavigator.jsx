@@ -0,0 +1,125 @@
+import { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Plus, Pencil, Download, Upload, Archive } from 'lucide-react';
+import ListIcon from './ListIcon';
+import ListDialog from './ListDialog';
+import { useLists } from '../context/ListContext';
+import { useTodos } from '../context/TodoContext';
+import { getLiveTodos } from '../utils/todoHelpers';
+import { getListTodos, LIST_COLOR_CLASSES } from '../utils/todoLists';
+
+// Switch between lists, create new ones and manage the one being viewed
+const ListNavigator = () => {
+  const { lists, activeLists, archivedLists, activeList, setActiveListId } = useLists();
+  const { allTodos, exportList, importList } = useTodos();
+  // null when closed, 'new' for a new list, otherwise the list being edited
+  const [dialogList, setDialogList] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    // Let the same file be picked again
+    event.target.value = '';
+    if (file) importList(file);
+  };
+
+  const liveTodos = getLiveTodos(allTodos);
+  const countOpen = (list) => getListTodos(liveTodos, list.id, lists).filter(todo => !todo.completed).length;
+
+  return (
+    <div className="glass-card p-3 rounded-2xl space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {activeLists.map(list => (
+          <motion.button
+            key={list.id}
+            onClick={() => setActiveListId(list.id)}
+            whileTap={{ scale: 0.95 }}
+            className={`flex items-center gap-2 px-3 py-1.5 rounded-xl text-sm transition-colors ${
+              list.id === activeList.id ? 'bg-white/20 text-white' : 'text-white/70 hover:bg-white/10'
+            }`}
+          >
+            <span className={`p-1 rounded-lg bg-gradient-to-br ${LIST_COLOR_CLASSES[list.color]} text-white`}>
+              <ListIcon icon={list.icon} className="w-3 h-3" />
+            </span>
+            {list.name}
+            <span className="text-xs text-white/50">{countOpen(list)}</span>
+          </motion.button>
+        ))}
+
+        <button
+          onClick={() => setDialogList('new')}
+          className="flex items-center gap-1 px-3 py-1.5 rounded-xl text-sm text-white/60 hover:bg-white/10 hover:text-white transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          New list
+        </button>
+
+        <div className="flex items-center gap-1 ml-auto">
+          <button
+            onClick={() => setDialogList(activeList)}
+            className="glass-button p-2"
+            title={`Edit "${activeList.name}"`}
+          >
+            <Pencil className="w-4 h-4" />
+          </button>
+          <button
+            onClick={exportList}
+            className="glass-button p-2"
+            title={`Export "${activeList.name}"`}
+          >
+            <Download className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="glass-button p-2"
+            title={`Import into "${activeList.name}"`}
+          >
+            <Upload className="w-4 h-4" />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            className="hidden"
+          />
+          {archivedLists.length > 0 && (
+            <button
+              onClick={() => setShowArchived(!showArchived)}
+              className={`glass-button p-2 ${showArchived ? 'bg-white/20' : ''}`}
+              title="Archived lists"
+            >
+              <Archive className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Archived lists open in the edit dialog, where they can be unarchived */}
+      {showArchived && archivedLists.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-white/10">
+          <span className="text-xs text-white/50">Archived:</span>
+          {archivedLists.map(list => (
+            <button
+              key={list.id}
+              onClick={() => setDialogList(list)}
+              className="flex items-center gap-2 px-3 py-1 rounded-xl text-sm text-white/50 hover:bg-white/10 hover:text-white transition-colors"
+            >
+              <ListIcon icon={list.icon} className="w-3 h-3" />
+              {list.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <ListDialog
+        open={dialogList !== null}
+        onOpenChange={(open) => !open && setDialogList(null)}
+        list={dialogList === 'new' ? null : dialogList}
+      />
+    </div>
+  );
+};
+
+export default ListNavigator;
@@ -0,0 +1,43 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Cloud, CloudOff, Loader2 } from 'lucide-react';
+import StorageCleanupDialog from './StorageCleanupDialog';
+import { useTodos } from '../context/TodoContext';
+
+const STATUS_LABELS = {
+  idle: 'Storage',
+  saving: 'Saving changes...',
+  saved: 'All changes saved',
+  error: 'Changes are not being saved'
+};
+
+const PersistenceIndicator = () => {
+  const { persistence } = useTodos();
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const { status } = persistence;
+
+  return (
+    <>
+      <motion.button
+        onClick={() => setIsDialogOpen(true)}
+        className={`glass-button p-2 ${status === 'error' ? 'text-red-300' : ''}`}
+        whileHover={{ scale: 1.1 }}
+        whileTap={{ scale: 0.9 }}
+        title={STATUS_LABELS[status]}
+        aria-label={STATUS_LABELS[status]}
+      >
+        {status === 'error' ? (
+          <CloudOff className="w-5 h-5" />
+        ) : status === 'saving' ? (
+          <Loader2 className="w-5 h-5 animate-spin" />
+        ) : (
+          <Cloud className="w-5 h-5" />
+        )}
+      </motion.button>
+
+      <StorageCleanupDialog open={isDialogOpen} onOpenChange={setIsDialogOpen} />
+    </>
+  );
+};
+
+export default PersistenceIndicator;
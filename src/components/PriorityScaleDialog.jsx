@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react';
+import { ChevronUp, ChevronDown, Trash2, Plus, Save, ArrowRight, AlertCircle } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription
+} from './ui/dialog';
+import { usePriorities } from '../context/PriorityContext';
+import { useLists } from '../context/ListContext';
+import { useTodos } from '../context/TodoContext';
+import { generateId } from '../utils/todoModel';
+import {
+  PRIORITY_PRESETS,
+  PRIORITY_COLOR_CLASSES,
+  createPresetScale,
+  getPriorityLevel,
+  getUsedPriorities,
+  suggestPriorityMapping,
+  validatePriorityScale
+} from '../utils/todoPriorities';
+import {
+  PRIORITY_COLORS,
+  PRIORITY_LABEL_MAX_LENGTH,
+  PRIORITY_MIN_LEVELS,
+  PRIORITY_MAX_LEVELS
+} from '../utils/todoSchema';
+
+const selectClassName = 'px-3 py-1.5 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all';
+
+// Pick or edit the priority scale, and choose where existing priorities go
+const PriorityScaleDialog = ({ open, onOpenChange }) => {
+  const { scale, levels } = usePriorities();
+  const { lists } = useLists();
+  const { allTodos, changePriorityScale } = useTodos();
+  const [draft, setDraft] = useState(scale);
+  // Targets picked by hand, by old priority id
+  const [overrides, setOverrides] = useState({});
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setDraft(scale);
+    setOverrides({});
+    setError('');
+  }, [open, scale]);
+
+  // Priorities in use that the draft scale does not have
+  const usedIds = [...new Set([
+    ...getUsedPriorities(allTodos, levels),
+    ...lists.map(list => list.defaultPriority)
+  ])];
+  const draftIds = draft.levels.map(level => level.id);
+  const suggested = suggestPriorityMapping(usedIds, levels, draft);
+  const mapping = usedIds.reduce((result, id) => {
+    result[id] = draftIds.includes(overrides[id]) ? overrides[id] : suggested[id];
+    return result;
+  }, {});
+  const unmappedIds = usedIds.filter(id => !draftIds.includes(id));
+
+  const countTodos = (id) => allTodos.filter(todo => todo.priority === id).length;
+
+  // Any edit to the levels turns a preset into a custom scale
+  const updateLevels = (nextLevels, changes = {}) => {
+    setDraft({ ...draft, preset: 'custom', levels: nextLevels, ...changes });
+  };
+
+  const updateLevel = (id, updates) => {
+    updateLevels(draft.levels.map(level => (level.id === id ? { ...level, ...updates } : level)));
+  };
+
+  const moveLevel = (index, offset) => {
+    const reordered = [...draft.levels];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+    updateLevels(reordered);
+  };
+
+  const removeLevel = (id) => {
+    const remaining = draft.levels.filter(level => level.id !== id);
+    updateLevels(remaining, draft.defaultPriority === id ? { defaultPriority: remaining[0].id } : {});
+  };
+
+  const addLevel = () => {
+    updateLevels([...draft.levels, { id: generateId(), label: `Level ${draft.levels.length + 1}`, color: 'slate' }]);
+  };
+
+  const handlePresetChange = (presetId) => {
+    setDraft(presetId === 'custom' ? { ...draft, preset: 'custom' } : createPresetScale(presetId));
+  };
+
+  const handleSave = () => {
+    const errors = validatePriorityScale(draft);
+    if (Object.keys(errors).length > 0) {
+      setError(Object.values(errors)[0]);
+      return;
+    }
+
+    try {
+      changePriorityScale(draft, mapping);
+      onOpenChange(false);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="glass-card bg-white/10 backdrop-blur-xl border-white/20 text-white rounded-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Priority scale</DialogTitle>
+          <DialogDescription className="text-white/60">
+            Levels are listed from most to least important.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Preset */}
+        <div className="flex items-center gap-2">
+          <label htmlFor="priority-preset" className="text-sm text-white/80">Scale</label>
+          <select
+            id="priority-preset"
+            value={draft.preset}
+            onChange={(e) => handlePresetChange(e.target.value)}
+            className={`flex-1 ${selectClassName}`}
+          >
+            {PRIORITY_PRESETS.map(preset => (
+              <option key={preset.id} value={preset.id} className="bg-gray-800">{preset.name}</option>
+            ))}
+            <option value="custom" className="bg-gray-800">Custom</option>
+          </select>
+        </div>
+
+        {/* Levels */}
+        <ul className="space-y-2">
+          {draft.levels.map((level, index) => (
+            <li key={level.id} className="p-2 rounded-xl bg-white/5 border border-white/10 space-y-2">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={level.label}
+                  onChange={(e) => updateLevel(level.id, { label: e.target.value })}
+                  maxLength={PRIORITY_LABEL_MAX_LENGTH}
+                  className="flex-1 min-w-0 px-3 py-1.5 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-sm text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+                  aria-label="Level label"
+                />
+                <label className="flex items-center gap-1 text-xs text-white/70 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="default-priority"
+                    checked={draft.defaultPriority === level.id}
+                    onChange={() => setDraft({ ...draft, defaultPriority: level.id })}
+                    className="accent-violet-400"
+                  />
+                  Default
+                </label>
+                <button
+                  type="button"
+                  onClick={() => moveLevel(index, -1)}
+                  disabled={index === 0}
+                  className="p-1 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+                  aria-label="Move level up"
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveLevel(index, 1)}
+                  disabled={index === draft.levels.length - 1}
+                  className="p-1 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+                  aria-label="Move level down"
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeLevel(level.id)}
+                  disabled={draft.levels.length <= PRIORITY_MIN_LEVELS}
+                  className="p-1 hover:bg-red-500/30 rounded-full transition-colors disabled:opacity-30"
+                  aria-label="Remove level"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="flex gap-2" role="radiogroup" aria-label="Color">
+                {PRIORITY_COLORS.map(color => (
+                  <button
+                    key={color}
+                    type="button"
+                    role="radio"
+                    aria-checked={level.color === color}
+                    aria-label={color}
+                    onClick={() => updateLevel(level.id, { color })}
+                    className={`w-5 h-5 rounded-full ${PRIORITY_COLOR_CLASSES[color].dot} transition-all ${
+                      level.color === color ? 'ring-2 ring-white' : 'opacity-50 hover:opacity-100'
+                    }`}
+                  />
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {draft.levels.length < PRIORITY_MAX_LEVELS && (
+          <button
+            type="button"
+            onClick={addLevel}
+            className="flex items-center gap-1 text-sm text-white/70 hover:text-white transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add level
+          </button>
+        )}
+
+        {/* Mapping for priorities the new scale does not have */}
+        {unmappedIds.length > 0 && (
+          <div className="space-y-2 pt-2 border-t border-white/10">
+            <p className="text-sm text-white/80">Move existing priorities to</p>
+            {unmappedIds.map(id => (
+              <div key={id} className="flex items-center gap-2 text-sm">
+                <span className="flex-1 text-white/70">
+                  {getPriorityLevel(levels, id).label}
+                  <span className="text-white/40"> · {countTodos(id)} todo{countTodos(id) === 1 ? '' : 's'}</span>
+                </span>
+                <ArrowRight className="w-4 h-4 text-white/40" />
+                <select
+                  value={mapping[id]}
+                  onChange={(e) => setOverrides({ ...overrides, [id]: e.target.value })}
+                  className={selectClassName}
+                  aria-label={`New priority for ${getPriorityLevel(levels, id).label}`}
+                >
+                  {draft.levels.map(level => (
+                    <option key={level.id} value={level.id} className="bg-gray-800">{level.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {error && (
+          <p className="p-3 bg-red-500/20 border border-red-400/30 rounded-xl text-red-300 text-sm flex items-center gap-2">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </p>
+        )}
+
+        <button
+          type="button"
+          onClick={handleSave}
+          className="w-full px-6 py-3 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all flex items-center justify-center gap-2"
+        >
+          <Save className="w-4 h-4" />
+          Save scale
+        </button>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PriorityScaleDialog;
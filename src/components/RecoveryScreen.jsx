@@ -0,0 +1,66 @@
+import { motion } from 'framer-motion';
+import { AlertTriangle, Download, RotateCcw, Trash2 } from 'lucide-react';
+import { useTodos } from '../context/TodoContext';
+import { downloadRawData } from '../utils/storageRecovery';
+
+const RecoveryScreen = () => {
+  const { recovery, resolveRecovery } = useTodos();
+
+  if (!recovery) return null;
+
+  const recoveredCount = recovery.recoveredTodos.length;
+  const invalidCount = recovery.invalidRecords.length;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="glass-card p-8 rounded-2xl backdrop-blur-xl bg-gradient-to-br from-white/10 to-white/5 border border-white/20 space-y-6"
+    >
+      <div className="flex items-start gap-4">
+        <div className="w-12 h-12 flex-shrink-0 rounded-full bg-gradient-to-br from-amber-400/30 to-red-400/30 flex items-center justify-center">
+          <AlertTriangle className="w-6 h-6 text-amber-200" />
+        </div>
+        <div className="space-y-2">
+          <h2 className="text-xl font-semibold text-white/90">
+            Your saved todos look damaged
+          </h2>
+          <p className="text-white/70">{recovery.message}.</p>
+          <p className="text-white/60 text-sm">
+            We recovered {recoveredCount} todo{recoveredCount === 1 ? '' : 's'}
+            {invalidCount > 0 && ` and could not read ${invalidCount} record${invalidCount === 1 ? '' : 's'}`}.
+            {recovery.backupKey
+              ? ` The original data has been kept under "${recovery.backupKey}".`
+              : ' The original data could not be backed up, so download it before continuing.'}
+          </p>
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button
+          onClick={() => downloadRawData(recovery.raw)}
+          className="flex-1 flex items-center justify-center gap-2 px-6 py-3 bg-white/10 backdrop-blur-sm border border-white/20 text-white rounded-xl hover:bg-white/20 transition-all"
+        >
+          <Download className="w-4 h-4" />
+          Download raw data
+        </button>
+        <button
+          onClick={() => resolveRecovery(true)}
+          className="flex-1 flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Continue with recovered todos
+        </button>
+        <button
+          onClick={() => resolveRecovery(false)}
+          className="flex-1 flex items-center justify-center gap-2 px-6 py-3 bg-red-500/20 hover:bg-red-500/30 text-red-200 rounded-xl transition-all"
+        >
+          <Trash2 className="w-4 h-4" />
+          Start with an empty list
+        </button>
+      </div>
+    </motion.div>
+  );
+};
+
+export default RecoveryScreen;
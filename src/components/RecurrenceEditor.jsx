@@ -0,0 +1,189 @@
+import { Repeat } from 'lucide-react';
+import {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_LABELS,
+  ORDINAL_LABELS,
+  getMonthlyAnchor,
+  describeRecurrence,
+  toDayString
+} from '../utils/recurrence';
+
+const FREQUENCY_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  yearly: 'Yearly'
+};
+
+const UNIT_LABELS = {
+  daily: 'day(s)',
+  weekly: 'week(s)',
+  monthly: 'month(s)',
+  yearly: 'year(s)'
+};
+
+const selectClassName = 'px-3 py-2 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white text-sm focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all disabled:opacity-50';
+
+// A fresh rule for `freq`, anchored on the todo's due date
+const createRule = (freq, anchorDate) => {
+  const anchor = getMonthlyAnchor(anchorDate);
+  return {
+    freq,
+    interval: 1,
+    weekdays: freq === 'weekly' ? [anchor.weekday] : [],
+    monthlyBy: 'day',
+    monthDay: freq === 'monthly' || freq === 'yearly' ? anchor.monthDay : null,
+    ordinal: null,
+    weekday: null,
+    until: null,
+    count: null
+  };
+};
+
+// Repeat settings for a todo; `value` is a recurrence rule or null
+const RecurrenceEditor = ({ value, onChange, dueDate, errors, disabled = false }) => {
+  const anchorDate = dueDate || toDayString();
+  const anchor = getMonthlyAnchor(anchorDate);
+  const endsBy = (value?.until ?? null) !== null ? 'until' : (value?.count ?? null) !== null ? 'count' : 'never';
+
+  const update = (updates) => onChange({ ...value, ...updates });
+
+  const toggleWeekday = (weekday) => {
+    const weekdays = value.weekdays.includes(weekday)
+      ? value.weekdays.filter(day => day !== weekday)
+      : [...value.weekdays, weekday].sort((a, b) => a - b);
+    update({ weekdays });
+  };
+
+  const setMonthlyBy = (monthlyBy) => {
+    update(monthlyBy === 'weekday'
+      ? { monthlyBy, monthDay: null, ordinal: anchor.ordinal, weekday: anchor.weekday }
+      : { monthlyBy, monthDay: anchor.monthDay, ordinal: null, weekday: null });
+  };
+
+  const setEndsBy = (ends) => {
+    update({
+      until: ends === 'until' ? anchorDate : null,
+      count: ends === 'count' ? 10 : null
+    });
+  };
+
+  const errorMessage = errors?.interval?.message ?? errors?.until?.message ?? errors?.count?.message ?? errors?.message;
+
+  return (
+    <fieldset disabled={disabled} className="space-y-3">
+      <legend className="block text-sm font-medium text-white/80 flex items-center gap-2 mb-2">
+        <Repeat className="w-4 h-4" />
+        Repeat
+      </legend>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={value?.freq ?? ''}
+          onChange={(e) => onChange(e.target.value ? createRule(e.target.value, anchorDate) : null)}
+          className={selectClassName}
+          aria-label="Repeat"
+        >
+          <option value="" className="bg-gray-800">Does not repeat</option>
+          {RECURRENCE_FREQUENCIES.map(freq => (
+            <option key={freq} value={freq} className="bg-gray-800">{FREQUENCY_LABELS[freq]}</option>
+          ))}
+        </select>
+
+        {value && (
+          <label className="flex items-center gap-2 text-sm text-white/70">
+            every
+            <input
+              type="number"
+              min={1}
+              value={value.interval ?? ''}
+              onChange={(e) => update({ interval: Number(e.target.value) })}
+              className={`${selectClassName} w-20`}
+            />
+            {UNIT_LABELS[value.freq]}
+          </label>
+        )}
+      </div>
+
+      {value?.freq === 'weekly' && (
+        <div className="flex flex-wrap gap-1" role="group" aria-label="Repeat on">
+          {WEEKDAY_LABELS.map((label, weekday) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(weekday)}
+              aria-pressed={value.weekdays.includes(weekday)}
+              className={`px-3 py-1 rounded-full text-xs font-medium transition-all ${
+                value.weekdays.includes(weekday)
+                  ? 'bg-violet-500/60 text-white'
+                  : 'bg-white/10 text-white/60 hover:bg-white/20'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value?.freq === 'monthly' && (
+        <select
+          value={value.monthlyBy}
+          onChange={(e) => setMonthlyBy(e.target.value)}
+          className={selectClassName}
+          aria-label="Repeat monthly on"
+        >
+          <option value="day" className="bg-gray-800">On day {anchor.monthDay}</option>
+          <option value="weekday" className="bg-gray-800">
+            On the {ORDINAL_LABELS[anchor.ordinal]} {WEEKDAY_LABELS[anchor.weekday]}
+          </option>
+        </select>
+      )}
+
+      {value && (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-white/70">
+          Ends
+          <select
+            value={endsBy}
+            onChange={(e) => setEndsBy(e.target.value)}
+            className={selectClassName}
+            aria-label="Ends"
+          >
+            <option value="never" className="bg-gray-800">Never</option>
+            <option value="until" className="bg-gray-800">On date</option>
+            <option value="count" className="bg-gray-800">After</option>
+          </select>
+          {endsBy === 'until' && (
+            <input
+              type="date"
+              value={value.until ?? ''}
+              onChange={(e) => update({ until: e.target.value })}
+              className={selectClassName}
+              aria-label="End date"
+            />
+          )}
+          {endsBy === 'count' && (
+            <label className="flex items-center gap-2">
+              <input
+                type="number"
+                min={1}
+                value={value.count ?? ''}
+                onChange={(e) => update({ count: Number(e.target.value) })}
+                className={`${selectClassName} w-20`}
+              />
+              occurrences
+            </label>
+          )}
+        </div>
+      )}
+
+      {value && !errorMessage && (
+        <p className="text-xs text-white/50">{describeRecurrence(value, anchorDate)}</p>
+      )}
+      {errorMessage && (
+        <p className="text-red-400 text-sm">{errorMessage}</p>
+      )}
+    </fieldset>
+  );
+};
+
+export default RecurrenceEditor;
@@ -0,0 +1,221 @@
+import { useState, useEffect, useRef } from 'react';
+import { BellRing, Clock } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription
+} from './ui/dialog';
+import { toast } from './ui/use-toast';
+import { ToastAction } from './ui/toast';
+import { useTodos } from '../context/TodoContext';
+import {
+  SNOOZE_OPTIONS,
+  MISSED_REMINDER_GRACE,
+  getDueReminders,
+  getNextReminderTime,
+  formatReminderTime,
+  showReminderNotification
+} from '../utils/todoReminders';
+import { formatDue } from '../utils/todoDueDates';
+import { createSyncChannel, TAB_ID } from '../utils/sync';
+
+// How long a reminder toast stays up
+const REMINDER_TOAST_DURATION = 30 * 1000;
+
+// Longest wait between checks; also keeps clear of the setTimeout limit
+const MAX_CHECK_DELAY = 60 * 60 * 1000;
+
+const describeDue = (todo) => (todo.dueDate ? `Due ${formatDue(todo)}` : undefined);
+
+// How long a tab waits for other tabs to claim the same reminder
+const CLAIM_WINDOW = 300;
+
+const reminderKey = (item) => `${item.reminder.id}@${item.time}`;
+
+// Fires reminders while the app is open. Those that came due while it was
+// closed are collected in a dialog instead. Delivery is a browser
+// notification when the tab is hidden and notifications are allowed, and an
+// in-app toast otherwise. Every open tab runs this, so a tab first claims
+// a due reminder over the sync channel; when two tabs claim the same one,
+// the lower tab id delivers it and the other leaves it alone.
+const ReminderScheduler = () => {
+  const { allTodos, isLoading, recovery, markRemindersFired, snoozeReminder } = useTodos();
+  const [missed, setMissed] = useState([]);
+  const openedAtRef = useRef(Date.now());
+  // Reminders already handled, by id and time, until the todos catch up
+  const handledRef = useRef(new Set());
+  // Reminders this tab has claimed, by key, and whether another tab won them
+  const claimsRef = useRef(new Map());
+  const channelRef = useRef(null);
+  const claimTimeoutsRef = useRef(new Set());
+
+  // Hear other tabs' claims: win ties by tab id, and leave alone reminders
+  // another tab got to first
+  useEffect(() => {
+    const channel = createSyncChannel('reminders', message => {
+      if (!message.claim) return;
+      const claim = claimsRef.current.get(message.claim);
+      if (claim) {
+        if (message.tab < TAB_ID) claim.lost = true;
+      } else {
+        handledRef.current.add(message.claim);
+      }
+    });
+    channelRef.current = channel;
+    const claimTimeouts = claimTimeoutsRef.current;
+
+    return () => {
+      channel.close();
+      channelRef.current = null;
+      claimTimeouts.forEach(clearTimeout);
+    };
+  }, []);
+
+  // Check now, after every change and whenever the tab comes back, then
+  // wait for the next reminder
+  useEffect(() => {
+    if (isLoading || recovery) return;
+
+    const showToast = ({ todo, reminder }) => {
+      const { dismiss } = toast({
+        title: todo.text,
+        description: describeDue(todo),
+        duration: REMINDER_TOAST_DURATION,
+        action: (
+          <div className="flex flex-col gap-1">
+            {SNOOZE_OPTIONS.map(option => (
+              <ToastAction
+                key={option.value}
+                altText={`Snooze ${option.label}`}
+                onClick={() => {
+                  snoozeReminder(todo.id, reminder.id, option.value);
+                  dismiss();
+                }}
+              >
+                {option.label}
+              </ToastAction>
+            ))}
+          </div>
+        )
+      });
+    };
+
+    const deliver = (item) => {
+      if (document.visibilityState === 'hidden' && showReminderNotification(item, () => showToast(item))) return;
+      showToast(item);
+    };
+
+    // Once the claim window has passed, deliver the reminders no other tab
+    // won and record them as fired, which tells the other tabs too
+    const settleClaims = (items) => {
+      const won = items.filter(item => !claimsRef.current.get(reminderKey(item))?.lost);
+      items.forEach(item => claimsRef.current.delete(reminderKey(item)));
+      if (won.length === 0) return;
+
+      const isMissed = (item) => item.time < openedAtRef.current - MISSED_REMINDER_GRACE;
+      setMissed(current => [...current, ...won.filter(isMissed)]);
+      won.filter(item => !isMissed(item)).forEach(deliver);
+      markRemindersFired(won);
+    };
+
+    let timeout = null;
+    const check = () => {
+      clearTimeout(timeout);
+      const now = Date.now();
+      const due = getDueReminders(allTodos, now)
+        .filter(item => !handledRef.current.has(reminderKey(item)));
+      if (due.length > 0) {
+        due.forEach(item => {
+          handledRef.current.add(reminderKey(item));
+          claimsRef.current.set(reminderKey(item), { lost: false });
+          channelRef.current?.post({ claim: reminderKey(item), tab: TAB_ID });
+        });
+        // Kept across re-runs of this effect so the claim outlives todo changes
+        const claimTimeout = setTimeout(() => {
+          claimTimeoutsRef.current.delete(claimTimeout);
+          settleClaims(due);
+        }, CLAIM_WINDOW);
+        claimTimeoutsRef.current.add(claimTimeout);
+        return;
+      }
+
+      const next = getNextReminderTime(allTodos, now);
+      if (next !== null) timeout = setTimeout(check, Math.min(next - now, MAX_CHECK_DELAY));
+    };
+
+    check();
+    document.addEventListener('visibilitychange', check);
+    return () => {
+      clearTimeout(timeout);
+      document.removeEventListener('visibilitychange', check);
+    };
+  }, [allTodos, isLoading, recovery, markRemindersFired, snoozeReminder]);
+
+  const dismissMissed = (reminderId) => {
+    setMissed(current => current.filter(item => item.reminder.id !== reminderId));
+  };
+
+  const snoozeMissed = ({ todo, reminder }, option) => {
+    snoozeReminder(todo.id, reminder.id, option);
+    dismissMissed(reminder.id);
+  };
+
+  return (
+    <Dialog open={missed.length > 0} onOpenChange={(open) => !open && setMissed([])}>
+      <DialogContent className="glass-card bg-white/10 backdrop-blur-xl border-white/20 text-white rounded-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <BellRing className="w-5 h-5" />
+            Missed reminders
+          </DialogTitle>
+          <DialogDescription className="text-white/60">
+            These went off while the app was closed.
+          </DialogDescription>
+        </DialogHeader>
+
+        <ul className="space-y-2">
+          {missed.map(item => (
+            <li key={item.reminder.id} className="p-3 rounded-xl bg-white/5 border border-white/10 space-y-2">
+              <div>
+                <p className="text-sm font-medium text-white/90">{item.todo.text}</p>
+                <p className="flex items-center gap-1 text-xs text-white/60">
+                  <Clock className="w-3 h-3" />
+                  {formatReminderTime(item.time)}
+                </p>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs text-white/60">Snooze</span>
+                {SNOOZE_OPTIONS.map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => snoozeMissed(item, option.value)}
+                    className="px-2 py-1 rounded-lg bg-amber-500/20 hover:bg-amber-500/30 text-amber-200 text-xs font-medium transition-all"
+                  >
+                    {option.label}
+                  </button>
+                ))}
+                <button
+                  onClick={() => dismissMissed(item.reminder.id)}
+                  className="ml-auto px-2 py-1 rounded-lg hover:bg-white/10 text-white/70 text-xs font-medium transition-all"
+                >
+                  Dismiss
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <button
+          onClick={() => setMissed([])}
+          className="w-full px-6 py-3 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all"
+        >
+          Dismiss all
+        </button>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReminderScheduler;
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { Bell, BellOff, Plus, Trash2, AlertCircle } from 'lucide-react';
+import {
+  REMINDER_OFFSETS,
+  createReminder,
+  getNotificationPermission,
+  requestNotificationPermission
+} from '../utils/todoReminders';
+import { REMINDER_MAX_COUNT } from '../utils/todoSchema';
+
+const inputClassName = 'min-w-0 px-3 py-2 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white text-sm focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// ISO time <-> the local "YYYY-MM-DDTHH:mm" of datetime-local inputs
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+// Edit a todo's reminders. Changing a reminder lets it go off again.
+const RemindersEditor = ({ value = [], onChange, dueDate, errors }) => {
+  const [permission, setPermission] = useState(getNotificationPermission);
+
+  const updateReminder = (id, updates) => {
+    onChange(value.map(reminder => (reminder.id === id
+      ? { ...reminder, ...updates, firedAt: null, snoozedUntil: null }
+      : reminder
+    )));
+  };
+
+  const changeType = (id, type) => {
+    const { at, offsetMinutes } = createReminder(type);
+    updateReminder(id, { type, at, offsetMinutes });
+  };
+
+  const enableNotifications = async () => {
+    setPermission(await requestNotificationPermission());
+  };
+
+  const reminderError = (index) => errors?.[index]?.at?.message ?? errors?.[index]?.offsetMinutes?.message;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-sm font-medium text-white/80 flex items-center gap-2">
+          <Bell className="w-4 h-4" />
+          Reminders
+        </span>
+        {permission === 'default' && (
+          <button
+            type="button"
+            onClick={enableNotifications}
+            className="text-xs text-violet-200 hover:text-white transition-colors"
+          >
+            Enable browser notifications
+          </button>
+        )}
+        {permission === 'denied' && (
+          <span className="flex items-center gap-1 text-xs text-white/50">
+            <BellOff className="w-3 h-3" />
+            Notifications blocked; reminders show in the app
+          </span>
+        )}
+      </div>
+
+      {value.map((reminder, index) => (
+        <div key={reminder.id} className="space-y-1">
+          <div className="flex items-center gap-2">
+            <select
+              value={reminder.type}
+              onChange={(e) => changeType(reminder.id, e.target.value)}
+              className={inputClassName}
+              aria-label="Reminder type"
+            >
+              <option value="relative" className="bg-gray-800">Before due</option>
+              <option value="absolute" className="bg-gray-800">At a time</option>
+            </select>
+            {reminder.type === 'absolute' ? (
+              <input
+                type="datetime-local"
+                value={toLocalInput(reminder.at)}
+                onChange={(e) => updateReminder(reminder.id, { at: fromLocalInput(e.target.value) })}
+                className={`flex-1 ${inputClassName}`}
+                aria-label="Reminder time"
+              />
+            ) : (
+              <select
+                value={reminder.offsetMinutes ?? 0}
+                onChange={(e) => updateReminder(reminder.id, { offsetMinutes: Number(e.target.value) })}
+                className={`flex-1 ${inputClassName}`}
+                aria-label="Time before due"
+              >
+                {REMINDER_OFFSETS.map(offset => (
+                  <option key={offset.value} value={offset.value} className="bg-gray-800">{offset.label}</option>
+                ))}
+              </select>
+            )}
+            <button
+              type="button"
+              onClick={() => onChange(value.filter(other => other.id !== reminder.id))}
+              className="p-1 hover:bg-red-500/30 rounded-full transition-colors"
+              aria-label="Remove reminder"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+          {reminderError(index) && (
+            <p className="text-red-400 text-xs flex items-center gap-1">
+              <AlertCircle className="w-3 h-3" />
+              {reminderError(index)}
+            </p>
+          )}
+          {reminder.type === 'relative' && !dueDate && (
+            <p className="text-xs text-white/50">Set a due date for this reminder to go off.</p>
+          )}
+        </div>
+      ))}
+
+      {value.length < REMINDER_MAX_COUNT && (
+        <button
+          type="button"
+          onClick={() => onChange([...value, createReminder(dueDate ? 'relative' : 'absolute')])}
+          className="flex items-center gap-1 text-sm text-white/70 hover:text-white transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          Add reminder
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default RemindersEditor;
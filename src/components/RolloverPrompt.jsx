@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { CalendarClock, ArrowRight } from 'lucide-react';
+import { toDayString } from '../utils/recurrence';
+import { getRolloverTodos, getScheduledToday, getNextDay } from '../utils/todoSchedule';
+
+// Offers to move unfinished scheduled todos on: those left over from
+// earlier days to today, and, in the Today view, today's to tomorrow.
+// Leftovers can be put off until the next day.
+const RolloverPrompt = ({ todos, showToday = false, onReschedule }) => {
+  const [dismissedOn, setDismissedOn] = useState(null);
+  const today = toDayString();
+  const leftover = dismissedOn === today ? [] : getRolloverTodos(todos, today);
+  const scheduledToday = showToday ? getScheduledToday(todos, today) : [];
+
+  const reschedule = (items, day) => onReschedule(items.map(todo => todo.id), day);
+
+  return (
+    <AnimatePresence initial={false}>
+      {leftover.length > 0 && (
+        <motion.div
+          key="leftover"
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -10 }}
+          className="glass-card p-4 rounded-2xl flex flex-wrap items-center gap-3"
+        >
+          <CalendarClock className="w-5 h-5 text-amber-200" />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-white/90">
+              {leftover.length === 1 ? '1 scheduled todo' : `${leftover.length} scheduled todos`} left unfinished
+            </p>
+            <p className="text-xs text-white/60 truncate">
+              {leftover.map(todo => todo.text).join(', ')}
+            </p>
+          </div>
+          <button
+            onClick={() => reschedule(leftover, today)}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-amber-500/20 hover:bg-amber-500/30 text-amber-200 text-sm font-medium transition-all"
+          >
+            <ArrowRight className="w-4 h-4" />
+            Move to today
+          </button>
+          <button
+            onClick={() => setDismissedOn(today)}
+            className="px-3 py-1.5 rounded-lg hover:bg-white/10 text-white/70 text-sm font-medium transition-all"
+          >
+            Not now
+          </button>
+        </motion.div>
+      )}
+      {scheduledToday.length > 0 && (
+        <motion.div
+          key="today"
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -10 }}
+          className="flex justify-end"
+        >
+          <button
+            onClick={() => reschedule(scheduledToday, getNextDay(today))}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg hover:bg-white/10 text-white/70 text-sm font-medium transition-all"
+            title={scheduledToday.map(todo => todo.text).join(', ')}
+          >
+            <ArrowRight className="w-4 h-4" />
+            Roll {scheduledToday.length === 1 ? "today's todo" : `today's ${scheduledToday.length} todos`} over to tomorrow
+          </button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default RolloverPrompt;
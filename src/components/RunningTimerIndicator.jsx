@@ -0,0 +1,65 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Clock, Square } from 'lucide-react';
+import TimeReportDialog from './TimeReportDialog';
+import { useTodos } from '../context/TodoContext';
+import { getEntryDuration, formatElapsed } from '../utils/todoTime';
+
+// How often the running timer's elapsed time is redrawn
+const TICK_INTERVAL = 1000;
+
+// The running timer, if any, with a stop button; the clock opens the time report
+const RunningTimerIndicator = () => {
+  const { runningTimer, stopTimer, recovery } = useTodos();
+  const [isReportOpen, setIsReportOpen] = useState(false);
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    if (!runningTimer) return;
+
+    setNow(new Date());
+    const interval = setInterval(() => setNow(new Date()), TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [runningTimer]);
+
+  if (recovery) return null;
+
+  return (
+    <>
+      {runningTimer && (
+        <div className="glass-button flex items-center gap-2 px-3 py-2 text-sm max-w-[14rem]">
+          <span className="w-2 h-2 rounded-full bg-red-400 animate-pulse shrink-0" />
+          <span className="truncate hidden sm:inline" title={runningTimer.todo.text}>
+            {runningTimer.todo.text}
+          </span>
+          <span className="font-mono tabular-nums">
+            {formatElapsed(getEntryDuration(runningTimer.entry, now))}
+          </span>
+          <button
+            onClick={stopTimer}
+            className="p-1 hover:bg-white/20 rounded-full transition-colors"
+            title="Stop timer"
+            aria-label="Stop timer"
+          >
+            <Square className="w-3 h-3 fill-current" />
+          </button>
+        </div>
+      )}
+
+      <motion.button
+        onClick={() => setIsReportOpen(true)}
+        className="glass-button p-2"
+        whileHover={{ scale: 1.1 }}
+        whileTap={{ scale: 0.9 }}
+        title="Time report"
+        aria-label="Time report"
+      >
+        <Clock className="w-5 h-5" />
+      </motion.button>
+
+      <TimeReportDialog open={isReportOpen} onOpenChange={setIsReportOpen} />
+    </>
+  );
+};
+
+export default RunningTimerIndicator;
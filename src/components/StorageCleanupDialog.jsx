@@ -0,0 +1,165 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Archive, Minimize2, Trash2, RefreshCw, HardDrive } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription
+} from './ui/dialog';
+import { Progress } from './ui/progress';
+import { useTodos } from '../context/TodoContext';
+import { getStorageAdapter, getStorageUsage } from '../utils/storage';
+import { listBackupKeys, deleteBackups } from '../utils/storageRecovery';
+import { getArchivableTodos } from '../utils/todoHelpers';
+
+const ARCHIVE_AFTER_DAYS = 30;
+
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return 'unknown';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const StorageCleanupDialog = ({ open, onOpenChange }) => {
+  const {
+    listTodos,
+    persistence,
+    compactStorage,
+    retrySave,
+    setCompactStorageEnabled,
+    archiveOldCompleted
+  } = useTodos();
+  const [usage, setUsage] = useState(null);
+  const [backupCount, setBackupCount] = useState(0);
+
+  const archivableCount = getArchivableTodos(listTodos, ARCHIVE_AFTER_DAYS).length;
+
+  const refresh = useCallback(async () => {
+    const storage = getStorageAdapter();
+    try {
+      const [nextUsage, backupKeys] = await Promise.all([
+        getStorageUsage(storage),
+        listBackupKeys(storage)
+      ]);
+      setUsage(nextUsage);
+      setBackupCount(backupKeys.length);
+    } catch (error) {
+      console.error('Error reading storage usage:', error);
+    }
+  }, []);
+
+  // Re-measure whenever the dialog opens or a save completes
+  useEffect(() => {
+    if (open) refresh();
+  }, [open, refresh, persistence.lastSavedAt]);
+
+  const handleDeleteBackups = async () => {
+    await deleteBackups(getStorageAdapter());
+    refresh();
+  };
+
+  const handleArchive = () => {
+    archiveOldCompleted(ARCHIVE_AFTER_DAYS);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="glass-card bg-white/10 backdrop-blur-xl border-white/20 text-white rounded-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <HardDrive className="w-5 h-5" />
+            Storage
+          </DialogTitle>
+          <DialogDescription className="text-white/60">
+            {persistence.status === 'error'
+              ? persistence.quotaExceeded
+                ? 'Storage is full, so recent changes are not saved. Free up space, then retry.'
+                : 'Recent changes could not be saved.'
+              : persistence.lastSavedAt
+                ? `All changes saved at ${new Date(persistence.lastSavedAt).toLocaleTimeString()}.`
+                : 'Nothing has been saved yet in this session.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Usage Meter */}
+        <div className="space-y-2">
+          <Progress value={usage?.percent ?? 0} className="bg-white/10" />
+          <p className="text-sm text-white/70">
+            {usage
+              ? usage.quota
+                ? `${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} used (${usage.percent}%)`
+                : `${formatBytes(usage.usage)} used`
+              : 'Storage usage is not available in this browser.'}
+          </p>
+        </div>
+
+        {/* Cleanup Suggestions */}
+        <div className="space-y-3">
+          {archivableCount > 0 && (
+            <div className="flex items-center justify-between gap-3 p-3 rounded-xl bg-white/5 border border-white/10">
+              <p className="text-sm text-white/80">
+                {archivableCount} completed todo{archivableCount === 1 ? '' : 's'} older than {ARCHIVE_AFTER_DAYS} days
+                in this list can be downloaded to an archive file and removed.
+              </p>
+              <button
+                onClick={handleArchive}
+                className="flex-shrink-0 flex items-center gap-2 px-3 py-1.5 rounded-lg bg-blue-500/20 hover:bg-blue-500/30 text-blue-200 text-sm font-medium transition-all"
+              >
+                <Archive className="w-4 h-4" />
+                Archive
+              </button>
+            </div>
+          )}
+
+          {!compactStorage && (
+            <div className="flex items-center justify-between gap-3 p-3 rounded-xl bg-white/5 border border-white/10">
+              <p className="text-sm text-white/80">
+                Compact the stored data by leaving out empty fields.
+              </p>
+              <button
+                onClick={() => setCompactStorageEnabled(true)}
+                className="flex-shrink-0 flex items-center gap-2 px-3 py-1.5 rounded-lg bg-violet-500/20 hover:bg-violet-500/30 text-violet-200 text-sm font-medium transition-all"
+              >
+                <Minimize2 className="w-4 h-4" />
+                Compact
+              </button>
+            </div>
+          )}
+
+          {backupCount > 0 && (
+            <div className="flex items-center justify-between gap-3 p-3 rounded-xl bg-white/5 border border-white/10">
+              <p className="text-sm text-white/80">
+                {backupCount} backup{backupCount === 1 ? '' : 's'} of damaged data from earlier recoveries.
+              </p>
+              <button
+                onClick={handleDeleteBackups}
+                className="flex-shrink-0 flex items-center gap-2 px-3 py-1.5 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-200 text-sm font-medium transition-all"
+              >
+                <Trash2 className="w-4 h-4" />
+                Delete
+              </button>
+            </div>
+          )}
+
+          {archivableCount === 0 && compactStorage && backupCount === 0 && (
+            <p className="text-sm text-white/60">No cleanup suggestions right now.</p>
+          )}
+        </div>
+
+        {persistence.status === 'error' && (
+          <button
+            onClick={retrySave}
+            className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Retry saving
+          </button>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default StorageCleanupDialog;
@@ -0,0 +1,38 @@
+import { Progress } from './ui/progress';
+import { getSubtaskProgress } from '../utils/todoModel';
+
+// Inline checklist with a progress bar for a todo card
+const SubtaskChecklist = ({ todo, onToggleSubtask, disabled = false }) => {
+  const progress = getSubtaskProgress(todo);
+
+  return (
+    <div className="mb-4 space-y-2">
+      <div className="flex items-center gap-3">
+        <Progress value={progress.percent} className="bg-white/10" />
+        <span className="flex-shrink-0 text-xs text-white/60">
+          {progress.completed}/{progress.total}
+        </span>
+      </div>
+      <ul className="space-y-1">
+        {todo.subtasks.map(subtask => (
+          <li key={subtask.id}>
+            <label className="flex items-center gap-2 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={subtask.completed}
+                onChange={() => onToggleSubtask(todo.id, subtask.id)}
+                disabled={disabled}
+                className="w-4 h-4 rounded accent-violet-400"
+              />
+              <span className={subtask.completed ? 'text-white/50 line-through' : 'text-white/80'}>
+                {subtask.text}
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SubtaskChecklist;
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { Timer, Plus, Trash2, AlertCircle } from 'lucide-react';
+import { useTodos } from '../context/TodoContext';
+import { getEntryDuration, getTrackedTime, formatDuration } from '../utils/todoTime';
+import { toDayString } from '../utils/recurrence';
+import { TIME_ENTRY_NOTE_MAX_LENGTH } from '../utils/todoSchema';
+
+const inputClassName = 'min-w-0 px-3 py-1.5 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-sm text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all';
+
+const EMPTY_DRAFT = { day: '', from: '', to: '', note: '' };
+
+const formatEntryTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Local date and time inputs as an ISO time
+const toIsoTime = (day, time) => (day && time ? new Date(`${day}T${time}`).toISOString() : null);
+
+// A todo's time entries, with a form to log time by hand
+const TimeEntryList = ({ todo }) => {
+  const { addTimeEntry, deleteTimeEntry } = useTodos();
+  const [draft, setDraft] = useState({ ...EMPTY_DRAFT, day: toDayString() });
+  const [error, setError] = useState('');
+
+  const updateDraft = (updates) => {
+    setDraft({ ...draft, ...updates });
+    setError('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const start = toIsoTime(draft.day, draft.from);
+    if (!start) {
+      setError('Start is required');
+      return;
+    }
+
+    try {
+      addTimeEntry(todo.id, { start, end: toIsoTime(draft.day, draft.to), note: draft.note });
+      setDraft({ ...EMPTY_DRAFT, day: draft.day });
+    } catch (addError) {
+      setError(addError.message);
+    }
+  };
+
+  return (
+    <section className="mt-6 space-y-3">
+      <h3 className="flex items-center justify-between text-sm font-medium text-white/90">
+        <span className="flex items-center gap-2">
+          <Timer className="w-4 h-4" />
+          Time tracked
+        </span>
+        <span className="font-mono tabular-nums">{formatDuration(getTrackedTime(todo))}</span>
+      </h3>
+
+      {todo.timeEntries.length > 0 && (
+        <ul className="space-y-1">
+          {todo.timeEntries.map(entry => (
+            <li key={entry.id} className="flex items-center gap-2 text-xs text-white/70">
+              <span className="flex-1 min-w-0">
+                {formatEntryTime(entry.start)} – {entry.end ? formatEntryTime(entry.end) : 'running'}
+                {entry.note && <span className="text-white/50"> · {entry.note}</span>}
+              </span>
+              <span className="font-mono tabular-nums">{formatDuration(getEntryDuration(entry))}</span>
+              <button
+                onClick={() => deleteTimeEntry(todo.id, entry.id)}
+                className="p-1 hover:bg-red-500/30 rounded-full transition-colors"
+                aria-label="Delete time entry"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={draft.day}
+            onChange={(e) => updateDraft({ day: e.target.value })}
+            className={`flex-1 ${inputClassName}`}
+            aria-label="Date"
+          />
+          <input
+            type="time"
+            value={draft.from}
+            onChange={(e) => updateDraft({ from: e.target.value })}
+            className={inputClassName}
+            aria-label="From"
+          />
+          <input
+            type="time"
+            value={draft.to}
+            onChange={(e) => updateDraft({ to: e.target.value })}
+            className={inputClassName}
+            aria-label="To"
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={draft.note}
+            onChange={(e) => updateDraft({ note: e.target.value })}
+            maxLength={TIME_ENTRY_NOTE_MAX_LENGTH}
+            placeholder="Note (optional)"
+            className={`flex-1 ${inputClassName}`}
+            aria-label="Note"
+          />
+          <button
+            type="submit"
+            className="flex-shrink-0 flex items-center gap-1 px-3 py-1.5 rounded-lg bg-indigo-500/20 hover:bg-indigo-500/30 text-indigo-200 text-sm font-medium transition-all"
+          >
+            <Plus className="w-4 h-4" />
+            Log time
+          </button>
+        </div>
+        {error && (
+          <p className="text-red-400 text-xs flex items-center gap-1">
+            <AlertCircle className="w-3 h-3" />
+            {error}
+          </p>
+        )}
+      </form>
+    </section>
+  );
+};
+
+export default TimeEntryList;
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { Clock, Download } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription
+} from './ui/dialog';
+import { Progress } from './ui/progress';
+import { useTodos } from '../context/TodoContext';
+import { useCategories } from '../context/CategoryContext';
+import { useLists } from '../context/ListContext';
+import {
+  TIME_REPORT_RANGES,
+  buildTimeReport,
+  exportTimeReport,
+  formatDuration
+} from '../utils/todoTime';
+
+const formatDay = (day) =>
+  new Date(`${day}T00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+// One group of report totals, each with a bar relative to the largest
+const ReportSection = ({ title, rows, formatLabel = label => label }) => {
+  const largest = Math.max(...rows.map(row => row.ms));
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-medium text-white/80">{title}</h3>
+      <ul className="space-y-2">
+        {rows.map(row => (
+          <li key={row.key} className="space-y-1">
+            <div className="flex justify-between text-sm">
+              <span className="truncate text-white/70">{formatLabel(row.label)}</span>
+              <span className="font-mono tabular-nums">{formatDuration(row.ms)}</span>
+            </div>
+            <Progress value={(row.ms / largest) * 100} className="h-1.5 bg-white/10" />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Time tracked across every list, by day, category and list
+const TimeReportDialog = ({ open, onOpenChange }) => {
+  const { allTodos } = useTodos();
+  const { categories } = useCategories();
+  const { lists } = useLists();
+  const [range, setRange] = useState('week');
+
+  const lookups = { categories, lists };
+  const report = open ? buildTimeReport(allTodos, range, lookups) : null;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="glass-card bg-white/10 backdrop-blur-xl border-white/20 text-white rounded-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Clock className="w-5 h-5" />
+            Time report
+          </DialogTitle>
+          <DialogDescription className="text-white/60">
+            Time tracked on todos in every list, trash excluded.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-center gap-2">
+          <select
+            value={range}
+            onChange={(e) => setRange(e.target.value)}
+            className="flex-1 px-3 py-1.5 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+            aria-label="Period"
+          >
+            {TIME_REPORT_RANGES.map(option => (
+              <option key={option.value} value={option.value} className="bg-gray-800">{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => exportTimeReport(report, lookups)}
+            disabled={!report?.entries.length}
+            className="flex-shrink-0 flex items-center gap-2 px-3 py-1.5 rounded-lg bg-violet-500/20 hover:bg-violet-500/30 text-violet-200 text-sm font-medium transition-all disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+        </div>
+
+        {report && (report.entries.length === 0 ? (
+          <p className="text-sm text-white/60 text-center py-6">No time tracked in this period.</p>
+        ) : (
+          <div className="space-y-5">
+            <div className="p-3 rounded-xl bg-white/5 border border-white/10 flex justify-between items-baseline">
+              <span className="text-sm text-white/70">Total</span>
+              <span className="text-2xl font-semibold font-mono tabular-nums">{formatDuration(report.total)}</span>
+            </div>
+            <ReportSection title="By day" rows={report.byDay} formatLabel={formatDay} />
+            <ReportSection title="By category" rows={report.byCategory} />
+            <ReportSection title="By list" rows={report.byList} />
+          </div>
+        ))}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TimeReportDialog;
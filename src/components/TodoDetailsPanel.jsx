@@ -0,0 +1,195 @@
+import { History, RotateCcw, ArrowRight } from 'lucide-react';
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+  SheetDescription
+} from './ui/sheet';
+import TimeEntryList from './TimeEntryList';
+import { useTodos } from '../context/TodoContext';
+import { useLists } from '../context/ListContext';
+import { useCategories } from '../context/CategoryContext';
+import { getCategory } from '../utils/todoCategories';
+import { usePriorities } from '../context/PriorityContext';
+import { getPriorityLevel } from '../utils/todoPriorities';
+import { formatCustomValue } from '../utils/todoCustomFields';
+import { getTodoVersions } from '../utils/todoActivity';
+import { describeRecurrence } from '../utils/recurrence';
+import { formatDay } from '../utils/todoDueDates';
+import { isTrashed } from '../utils/todoHelpers';
+import { DEVICE_ID } from '../utils/sync';
+
+const FIELD_LABELS = {
+  text: 'Title',
+  description: 'Description',
+  completed: 'Status',
+  favorite: 'Favorite',
+  category: 'Category',
+  priority: 'Priority',
+  tags: 'Tags',
+  subtasks: 'Subtasks',
+  autoCompleteSubtasks: 'Auto-complete',
+  listId: 'List',
+  parentId: 'Nested under',
+  blockedBy: 'Blocked by',
+  customValues: 'Custom fields',
+  recurrence: 'Repeats',
+  dueDate: 'Due date',
+  dueTime: 'Due time',
+  scheduledDate: 'Scheduled',
+  deletedAt: 'Trash'
+};
+
+const SOURCE_LABELS = {
+  edit: 'You',
+  undo: 'Undo',
+  redo: 'Redo',
+  revert: 'Revert'
+};
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Which device made a change; entries logged before devices were recorded have none
+const describeActor = (actor) => {
+  if (!actor) return null;
+  return actor === DEVICE_ID ? 'this device' : `another device (${actor.slice(0, 4)})`;
+};
+
+// Human-readable value of a tracked field
+const formatValue = (field, value, { todos, lists, categories, priorityLevels }) => {
+  if (value === null || value === undefined || value === '') return field === 'parentId' ? 'top level' : 'none';
+  switch (field) {
+    case 'parentId':
+      return todos.find(todo => todo.id === value)?.text ?? 'a deleted todo';
+    case 'listId':
+      return lists.find(list => list.id === value)?.name ?? 'a deleted list';
+    case 'category':
+      return getCategory(categories, value).name;
+    case 'priority':
+      return getPriorityLevel(priorityLevels, value).label;
+    case 'customValues': {
+      const fields = lists.flatMap(list => list.customFields);
+      const entries = Object.entries(value).map(([id, fieldValue]) => {
+        const field = fields.find(candidate => candidate.id === id);
+        return field ? `${field.name}: ${formatCustomValue(field, fieldValue)}` : null;
+      }).filter(Boolean);
+      return entries.length > 0 ? entries.join(', ') : 'none';
+    }
+    case 'completed':
+      return value ? 'done' : 'open';
+    case 'favorite':
+    case 'autoCompleteSubtasks':
+      return value ? 'yes' : 'no';
+    case 'deletedAt':
+      return 'in trash';
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'dueDate':
+    case 'scheduledDate':
+      return formatDay(value);
+    case 'blockedBy':
+      return value.length > 0
+        ? value.map(id => todos.find(todo => todo.id === id)?.text ?? 'a deleted todo').join(', ')
+        : 'none';
+    case 'tags':
+      return value.length > 0 ? value.join(', ') : 'none';
+    case 'subtasks':
+      return value.length > 0
+        ? `${value.filter(subtask => subtask.completed).length}/${value.length} done`
+        : 'none';
+    default:
+      return String(value);
+  }
+};
+
+const TodoDetailsPanel = ({ todoId, onOpenChange }) => {
+  const { allTodos, revertTodo } = useTodos();
+  const { lists } = useLists();
+  const { categories } = useCategories();
+  const { levels: priorityLevels } = usePriorities();
+  // Everything formatValue needs to name ids
+  const lookups = { todos: allTodos, lists, categories, priorityLevels };
+  const todo = allTodos.find(candidate => candidate.id === todoId);
+  const versions = todo ? getTodoVersions(todo) : [];
+
+  return (
+    <Sheet open={Boolean(todo)} onOpenChange={onOpenChange}>
+      <SheetContent className="glass-card bg-white/10 backdrop-blur-xl border-white/20 text-white overflow-y-auto">
+        {todo && (
+          <>
+            <SheetHeader>
+              <SheetTitle className="flex items-center gap-2 text-white">
+                <History className="w-5 h-5" />
+                {todo.text}
+              </SheetTitle>
+              <SheetDescription className="text-white/60">
+                Created {formatDateTime(todo.createdAt)} · last changed {formatDateTime(todo.updatedAt)}
+              </SheetDescription>
+            </SheetHeader>
+
+            {!isTrashed(todo) && <TimeEntryList todo={todo} />}
+
+            {/* Versions, newest first */}
+            <ol className="mt-6 space-y-3">
+              {versions.map((version, index) => (
+                <li key={version.id} className="p-3 rounded-xl bg-white/5 border border-white/10 space-y-2">
+                  <div className="flex items-center justify-between gap-3">
+                    <p className="text-sm font-medium text-white/90">
+                      {version.entry
+                        ? [
+                          SOURCE_LABELS[version.entry.source] ?? version.entry.source,
+                          formatDateTime(version.at),
+                          describeActor(version.entry.actor)
+                        ].filter(Boolean).join(' · ')
+                        : version.at
+                          ? `Created · ${formatDateTime(version.at)}`
+                          : 'Earliest recorded version'}
+                    </p>
+                    {index === 0 ? (
+                      <span className="text-xs text-white/50">Current</span>
+                    ) : (
+                      <button
+                        onClick={() => revertTodo(todo.id, version.id)}
+                        className="flex items-center gap-1 px-2 py-1 rounded-lg bg-blue-500/20 hover:bg-blue-500/30 text-blue-200 text-xs font-medium transition-all"
+                      >
+                        <RotateCcw className="w-3 h-3" />
+                        Revert to this
+                      </button>
+                    )}
+                  </div>
+
+                  {version.entry?.revertedTo && (
+                    <p className="text-xs text-white/50">
+                      Reverted to the version from {formatDateTime(version.entry.revertedTo)}
+                    </p>
+                  )}
+
+                  {version.entry && (
+                    <ul className="space-y-1">
+                      {version.entry.changes.map(({ field, from, to }) => (
+                        <li key={field} className="flex flex-wrap items-center gap-1 text-xs text-white/70">
+                          <span className="font-medium text-white/80">{FIELD_LABELS[field] ?? field}:</span>
+                          <span className="line-through text-white/40">{formatValue(field, from, lookups)}</span>
+                          <ArrowRight className="w-3 h-3" />
+                          <span>{formatValue(field, to, lookups)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default TodoDetailsPanel;
@@ -1,143 +1,332 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Plus, Edit3, X, Save, Calendar, Tag, AlertCircle } from 'lucide-react';
+import { Plus, Edit3, X, Save, Calendar, CalendarClock, Clock, Tag, AlertCircle, ListChecks, ChevronUp, ChevronDown, Lock } from 'lucide-react';
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  useFormField
+} from './ui/form';
+import { getCategory, CATEGORY_COLOR_CLASSES } from '../utils/todoCategories';
+import { getPriorityLevel, PRIORITY_COLOR_CLASSES, DEFAULT_PRIORITY_SCALE } from '../utils/todoPriorities';
+import { createSubtask } from '../utils/todoModel';
+import RecurrenceEditor from './RecurrenceEditor';
+import RemindersEditor from './RemindersEditor';
+import { validateCustomValues, cleanCustomValues } from '../utils/todoCustomFields';
+import { DependencyCycleError } from '../utils/todoDependencies';
+import { toDayString, anchorRecurrence } from '../utils/recurrence';
+import { zonedTimeToInstant, getLocalTimeZone, isInOtherTimeZone, formatDue } from '../utils/todoDueDates';
+import {
+  todoFieldsSchema,
+  DEFAULT_CATEGORY,
+  DEFAULT_PRIORITY,
+  TODO_TEXT_MAX_LENGTH,
+  TODO_DESCRIPTION_MAX_LENGTH
+} from '../utils/todoSchema';
+
+// The shared todo schema plus rules that only apply when editing in the form.
+// Dates and times must not be in the past when they are set or changed; an
+// overdue todo can still be saved as it is.
+const createTodoFormSchema = (editingTodo) => todoFieldsSchema.superRefine((data, ctx) => {
+  const dueDateChanged = data.dueDate !== (editingTodo?.dueDate ?? null);
+  const dueTimeChanged = dueDateChanged || data.dueTime !== (editingTodo?.dueTime ?? null);
+
+  if (dueDateChanged && data.dueDate && data.dueDate < toDayString()) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['dueDate'],
+      message: 'Due date cannot be in the past'
+    });
+  }
+  if (data.dueTime && !data.dueDate) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['dueTime'],
+      message: 'Pick a due date for this time'
+    });
+  } else if (dueTimeChanged && data.dueTime && zonedTimeToInstant(data.dueDate, data.dueTime, data.dueTimeZone) < Date.now()) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['dueTime'],
+      message: 'Due time cannot be in the past'
+    });
+  }
+  if (data.scheduledDate && data.dueDate && data.scheduledDate > data.dueDate) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['scheduledDate'],
+      message: 'Scheduled date cannot be after the due date'
+    });
+  }
+  data.reminders.forEach((reminder, index) => {
+    const stored = editingTodo?.reminders.find(candidate => candidate.id === reminder.id);
+    const atChanged = !stored || stored.type !== reminder.type || stored.at !== reminder.at;
+    if (atChanged && reminder.type === 'absolute' && !reminder.firedAt && new Date(reminder.at) < new Date()) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['reminders', index, 'at'],
+        message: 'Reminder time cannot be in the past'
+      });
+    }
+  });
+});
+
+const EMPTY_FORM = {
+  text: '',
+  description: '',
+  category: DEFAULT_CATEGORY,
+  priority: DEFAULT_PRIORITY,
+  dueDate: '',
+  dueTime: '',
+  dueTimeZone: null,
+  scheduledDate: '',
+  tags: [],
+  subtasks: [],
+  autoCompleteSubtasks: false,
+  listId: '',
+  parentId: '',
+  blockedBy: [],
+  recurrence: null,
+  customValues: {},
+  reminders: []
+};
+
+// Animated error message for the surrounding FormField
+const FieldError = () => {
+  const { error } = useFormField();
+  if (!error) return null;
+
+  return (
+    <motion.p
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="text-red-400 text-sm flex items-center gap-1"
+    >
+      <AlertCircle className="w-4 h-4" />
+      {error.message}
+    </motion.p>
+  );
+};
+
+const inputClassName = (hasError) => `w-full px-4 py-3 bg-white/10 backdrop-blur-sm border rounded-xl text-white placeholder-white/50 focus:outline-none focus:ring-2 transition-all ${
+  hasError
+    ? 'border-red-400 focus:ring-red-400/50'
+    : 'border-white/20 focus:ring-violet-400/50'
+}`;
+
+// Input for one custom field value; `props` come from FormControl
+const CustomFieldInput = ({ definition, value, onChange, hasError, ...props }) => {
+  switch (definition.type) {
+    case 'checkbox':
+      return (
+        <input
+          {...props}
+          type="checkbox"
+          checked={value === true}
+          onChange={(e) => onChange(e.target.checked)}
+          className="w-5 h-5 rounded accent-violet-400"
+        />
+      );
+    case 'select':
+      return (
+        <select
+          {...props}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClassName(hasError)}
+        >
+          <option value="" className="bg-gray-800">None</option>
+          {definition.options.map(option => (
+            <option key={option} value={option} className="bg-gray-800">{option}</option>
+          ))}
+        </select>
+      );
+    default:
+      return (
+        <input
+          {...props}
+          type={definition.type}
+          step={definition.type === 'number' ? 'any' : undefined}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={definition.type === 'url' ? 'https://' : undefined}
+          className={inputClassName(hasError)}
+        />
+      );
+  }
+};
 
 const TodoForm = ({ 
   isOpen, 
   onClose, 
   onSubmit, 
   editingTodo = null,
-  categories = ['Personal', 'Work', 'Shopping', 'Health', 'Learning']
+  categories = [],
+  priorityLevels = DEFAULT_PRIORITY_SCALE.levels,
+  parentOptions = [],
+  blockerOptions = [],
+  lists = [],
+  defaultParentId = null,
+  defaultListId = '',
+  defaultCategory = DEFAULT_CATEGORY,
+  defaultPriority = DEFAULT_PRIORITY
 }) => {
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    category: 'Personal',
-    priority: 'medium',
-    dueDate: '',
-    tags: []
+  // Past-date rules compare against the todo being edited
+  const todoFormSchema = useMemo(() => createTodoFormSchema(editingTodo), [editingTodo]);
+  const form = useForm({
+    resolver: zodResolver(todoFormSchema),
+    defaultValues: EMPTY_FORM
   });
   const [newTag, setNewTag] = useState('');
-  const [errors, setErrors] = useState({});
-  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [newSubtask, setNewSubtask] = useState('');
+  const [submitError, setSubmitError] = useState('');
+  // Which occurrences an edit to a recurring todo applies to
+  const [scope, setScope] = useState('future');
+  const isRecurring = Boolean(editingTodo?.recurrence);
+
+  const { isSubmitting, errors } = form.formState;
+  const tags = form.watch('tags');
+  const subtasks = form.watch('subtasks');
+  const description = form.watch('description');
+  const category = form.watch('category');
+  const priority = form.watch('priority');
+  const dueDate = form.watch('dueDate');
+  const dueTime = form.watch('dueTime');
+  const dueTimeZone = form.watch('dueTimeZone');
+  const listId = form.watch('listId');
+  // Keep a todo's unknown category (e.g. from an import) selectable
+  const categoryOptions = categories.some(option => option.id === category)
+    ? categories
+    : [...categories, getCategory(categories, category)];
+  // Likewise for a priority that is not on the scale
+  const priorityOptions = priorityLevels.some(level => level.id === priority)
+    ? priorityLevels
+    : [...priorityLevels, getPriorityLevel(priorityLevels, priority)];
+  // Custom fields of the list the todo is going into
+  const customFields = lists.find(list => list.id === listId)?.customFields ?? [];
 
   // Reset form when editing todo changes
   useEffect(() => {
     if (editingTodo) {
-      setFormData({
-        title: editingTodo.title || '',
+      form.reset({
+        text: editingTodo.text || '',
         description: editingTodo.description || '',
-        category: editingTodo.category || 'Personal',
-        priority: editingTodo.priority || 'medium',
+        category: editingTodo.category || DEFAULT_CATEGORY,
+        priority: editingTodo.priority || defaultPriority,
         dueDate: editingTodo.dueDate || '',
-        tags: editingTodo.tags || []
+        dueTime: editingTodo.dueTime || '',
+        dueTimeZone: editingTodo.dueTimeZone ?? null,
+        scheduledDate: editingTodo.scheduledDate || '',
+        tags: editingTodo.tags || [],
+        subtasks: editingTodo.subtasks || [],
+        autoCompleteSubtasks: Boolean(editingTodo.autoCompleteSubtasks),
+        listId: editingTodo.listId || defaultListId,
+        parentId: editingTodo.parentId || '',
+        blockedBy: editingTodo.blockedBy || [],
+        recurrence: editingTodo.recurrence ?? null,
+        customValues: editingTodo.customValues ?? {},
+        reminders: editingTodo.reminders ?? []
       });
     } else {
-      setFormData({
-        title: '',
-        description: '',
-        category: 'Personal',
-        priority: 'medium',
-        dueDate: '',
-        tags: []
+      form.reset({
+        ...EMPTY_FORM,
+        listId: defaultListId,
+        category: defaultCategory,
+        priority: defaultPriority,
+        parentId: defaultParentId || ''
       });
     }
-    setErrors({});
-  }, [editingTodo, isOpen]);
-
-  const validateForm = () => {
-    const newErrors = {};
-    
-    if (!formData.title.trim()) {
-      newErrors.title = 'Title is required';
-    } else if (formData.title.length > 100) {
-      newErrors.title = 'Title must be less than 100 characters';
+    setNewTag('');
+    setNewSubtask('');
+    setSubmitError('');
+    setScope('future');
+  }, [editingTodo, isOpen, form, defaultParentId, defaultListId, defaultCategory, defaultPriority]);
+
+  // Values arrive already parsed by todoFormSchema; identity and
+  // timestamps are owned by the todo model, not the form. Custom values
+  // depend on the chosen list, so they are checked here.
+  const handleSubmit = async (todoData) => {
+    setSubmitError('');
+    const customErrors = validateCustomValues(customFields, todoData.customValues);
+    if (Object.keys(customErrors).length > 0) {
+      Object.entries(customErrors).forEach(([id, message]) => {
+        form.setError(`customValues.${id}`, { type: 'custom', message });
+      });
+      return;
     }
 
-    if (formData.description.length > 500) {
-      newErrors.description = 'Description must be less than 500 characters';
+    try {
+      await onSubmit(
+        {
+          ...todoData,
+          dueTimeZone: todoData.dueTime ? todoData.dueTimeZone ?? getLocalTimeZone() : null,
+          customValues: cleanCustomValues(customFields, todoData.customValues)
+        },
+        isRecurring ? { scope } : {}
+      );
+      onClose();
+    } catch (error) {
+      setSubmitError(error instanceof DependencyCycleError
+        ? error.message
+        : 'Failed to save todo. Please try again.');
     }
+  };
 
-    if (formData.dueDate && new Date(formData.dueDate) < new Date().setHours(0, 0, 0, 0)) {
-      newErrors.dueDate = 'Due date cannot be in the past';
+  const addTag = () => {
+    const tag = newTag.trim();
+    if (tag && !tags.includes(tag)) {
+      form.setValue('tags', [...tags, tag], { shouldDirty: true });
+      setNewTag('');
     }
+  };
 
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+  const removeTag = (tagToRemove) => {
+    form.setValue('tags', tags.filter(tag => tag !== tagToRemove), { shouldDirty: true });
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!validateForm()) return;
+  const setSubtasks = (nextSubtasks) => {
+    form.setValue('subtasks', nextSubtasks, { shouldDirty: true, shouldValidate: form.formState.isSubmitted });
+  };
 
-    setIsSubmitting(true);
-    
-    try {
-      const todoData = {
-        ...formData,
-        title: formData.title.trim(),
-        description: formData.description.trim(),
-        id: editingTodo?.id || Date.now(),
-        completed: editingTodo?.completed || false,
-        createdAt: editingTodo?.createdAt || new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-
-      await onSubmit(todoData);
-      onClose();
-    } catch (error) {
-      setErrors({ submit: 'Failed to save todo. Please try again.' });
-    } finally {
-      setIsSubmitting(false);
+  const addSubtask = () => {
+    if (newSubtask.trim()) {
+      setSubtasks([...subtasks, createSubtask(newSubtask)]);
+      setNewSubtask('');
     }
   };
 
-  const handleInputChange = (field, value) => {
-    setFormData(prev => ({ ...prev, [field]: value }));
-    if (errors[field]) {
-      setErrors(prev => ({ ...prev, [field]: '' }));
-    }
+  const updateSubtask = (id, updates) => {
+    setSubtasks(subtasks.map(subtask => subtask.id === id ? { ...subtask, ...updates } : subtask));
   };
 
-  const addTag = () => {
-    if (newTag.trim() && !formData.tags.includes(newTag.trim())) {
-      setFormData(prev => ({
-        ...prev,
-        tags: [...prev.tags, newTag.trim()]
-      }));
-      setNewTag('');
-    }
+  const removeSubtask = (id) => {
+    setSubtasks(subtasks.filter(subtask => subtask.id !== id));
   };
 
-  const removeTag = (tagToRemove) => {
-    setFormData(prev => ({
-      ...prev,
-      tags: prev.tags.filter(tag => tag !== tagToRemove)
-    }));
+  // Move a subtask up (-1) or down (+1) in the checklist
+  const moveSubtask = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= subtasks.length) return;
+
+    const reordered = [...subtasks];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setSubtasks(reordered);
   };
 
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && e.target.name === 'newTag') {
       e.preventDefault();
       addTag();
+    } else if (e.key === 'Enter' && e.target.name === 'newSubtask') {
+      e.preventDefault();
+      addSubtask();
     }
   };
 
-  const priorityColors = {
-    low: 'from-emerald-400 to-teal-500',
-    medium: 'from-amber-400 to-orange-500',
-    high: 'from-red-400 to-pink-500'
-  };
-
-  const categoryGradients = {
-    Personal: 'from-purple-400 to-pink-500',
-    Work: 'from-blue-400 to-indigo-500',
-    Shopping: 'from-green-400 to-emerald-500',
-    Health: 'from-red-400 to-rose-500',
-    Learning: 'from-yellow-400 to-orange-500'
-  };
-
   if (!isOpen) return null;
 
   return (
@@ -153,7 +342,7 @@ const TodoForm = ({
           initial={{ scale: 0.9, opacity: 0, y: 20 }}
           animate={{ scale: 1, opacity: 1, y: 0 }}
           exit={{ scale: 0.9, opacity: 0, y: 20 }}
-          className="w-full max-w-2xl bg-white/10 backdrop-blur-xl rounded-3xl border border-white/20 shadow-2xl overflow-hidden"
+          className="w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-white/10 backdrop-blur-xl rounded-3xl border border-white/20 shadow-2xl"
         >
           {/* Header */}
           <div className="relative p-6 bg-gradient-to-r from-violet-500/20 to-fuchsia-500/20 border-b border-white/10">
@@ -178,224 +367,602 @@ const TodoForm = ({
           </div>
 
           {/* Form */}
-          <form onSubmit={handleSubmit} className="p-6 space-y-6">
-            {/* Title */}
-            <div className="space-y-2">
-              <label className="block text-sm font-medium text-white/80">
-                Title *
-              </label>
-              <input
-                type="text"
-                value={formData.title}
-                onChange={(e) => handleInputChange('title', e.target.value)}
-                className={`w-full px-4 py-3 bg-white/10 backdrop-blur-sm border rounded-xl text-white placeholder-white/50 focus:outline-none focus:ring-2 transition-all ${
-                  errors.title 
-                    ? 'border-red-400 focus:ring-red-400/50' 
-                    : 'border-white/20 focus:ring-violet-400/50'
-                }`}
-                placeholder="Enter todo title..."
-                maxLength={100}
+          <Form {...form}>
+            <form onSubmit={form.handleSubmit(handleSubmit)} className="p-6 space-y-6">
+              {/* Title */}
+              <FormField
+                control={form.control}
+                name="text"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="block text-sm font-medium text-white/80">
+                      Title *
+                    </FormLabel>
+                    <FormControl>
+                      <input
+                        type="text"
+                        {...field}
+                        className={inputClassName(errors.text)}
+                        placeholder="Enter todo title..."
+                        maxLength={TODO_TEXT_MAX_LENGTH}
+                      />
+                    </FormControl>
+                    <FieldError />
+                  </FormItem>
+                )}
               />
-              {errors.title && (
-                <motion.p
-                  initial={{ opacity: 0, y: -10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  className="text-red-400 text-sm flex items-center gap-1"
-                >
-                  <AlertCircle className="w-4 h-4" />
-                  {errors.title}
-                </motion.p>
+
+              {/* Description */}
+              <FormField
+                control={form.control}
+                name="description"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="block text-sm font-medium text-white/80">
+                      Description
+                    </FormLabel>
+                    <FormControl>
+                      <textarea
+                        {...field}
+                        className={`${inputClassName(errors.description)} resize-none`}
+                        placeholder="Add a description (optional)..."
+                        rows={3}
+                        maxLength={TODO_DESCRIPTION_MAX_LENGTH}
+                      />
+                    </FormControl>
+                    <div className="flex justify-between items-center">
+                      <FieldError />
+                      <p className="text-white/50 text-sm ml-auto">
+                        {description.length}/{TODO_DESCRIPTION_MAX_LENGTH}
+                      </p>
+                    </div>
+                  </FormItem>
+                )}
+              />
+
+              {/* Category and Priority Row */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {/* Category */}
+                <FormField
+                  control={form.control}
+                  name="category"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className="block text-sm font-medium text-white/80">
+                        Category
+                      </FormLabel>
+                      <FormControl>
+                        <select
+                          {...field}
+                          className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+                        >
+                          {categoryOptions.map(option => (
+                            <option key={option.id} value={option.id} className="bg-gray-800">
+                              {option.name}
+                            </option>
+                          ))}
+                        </select>
+                      </FormControl>
+                      <div className={`h-1 rounded-full bg-gradient-to-r ${CATEGORY_COLOR_CLASSES[getCategory(categories, category).color].gradient} opacity-60`} />
+                    </FormItem>
+                  )}
+                />
+
+                {/* Priority */}
+                <FormField
+                  control={form.control}
+                  name="priority"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className="block text-sm font-medium text-white/80">
+                        Priority
+                      </FormLabel>
+                      <FormControl>
+                        <select
+                          {...field}
+                          className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+                        >
+                          {priorityOptions.map(level => (
+                            <option key={level.id} value={level.id} className="bg-gray-800">
+                              {level.label}
+                            </option>
+                          ))}
+                        </select>
+                      </FormControl>
+                      <div className={`h-1 rounded-full bg-gradient-to-r ${PRIORITY_COLOR_CLASSES[getPriorityLevel(priorityLevels, priority).color].bar} opacity-60`} />
+                    </FormItem>
+                  )}
+                />
+              </div>
+
+              {/* List */}
+              {lists.length > 1 && (
+                <FormField
+                  control={form.control}
+                  name="listId"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className="block text-sm font-medium text-white/80">
+                        List
+                      </FormLabel>
+                      <FormControl>
+                        <select
+                          {...field}
+                          onChange={(e) => {
+                            field.onChange(e.target.value);
+                            // Parents come from the current list only
+                            form.setValue('parentId', '');
+                          }}
+                          className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+                        >
+                          {lists.map(list => (
+                            <option key={list.id} value={list.id} className="bg-gray-800">
+                              {list.name}
+                            </option>
+                          ))}
+                        </select>
+                      </FormControl>
+                    </FormItem>
+                  )}
+                />
+              )}
+
+              {/* Parent */}
+              {parentOptions.length > 0 && listId === defaultListId && (
+                <FormField
+                  control={form.control}
+                  name="parentId"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className="block text-sm font-medium text-white/80">
+                        Nested under
+                      </FormLabel>
+                      <FormControl>
+                        <select
+                          {...field}
+                          value={field.value ?? ''}
+                          className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+                        >
+                          <option value="" className="bg-gray-800">Nothing (top level)</option>
+                          {parentOptions.map(option => (
+                            <option key={option.id} value={option.id} className="bg-gray-800">
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                      </FormControl>
+                    </FormItem>
+                  )}
+                />
+              )}
+
+              {/* Blocked By */}
+              {blockerOptions.length > 0 && (
+                <FormField
+                  control={form.control}
+                  name="blockedBy"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className="block text-sm font-medium text-white/80 flex items-center gap-2">
+                        <Lock className="w-4 h-4" />
+                        Blocked by
+                      </FormLabel>
+                      <FormControl>
+                        <select
+                          value=""
+                          onChange={(e) => e.target.value && field.onChange([...field.value, e.target.value])}
+                          className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+                        >
+                          <option value="" className="bg-gray-800">Add a todo that has to be done first...</option>
+                          {blockerOptions
+                            .filter(option => !field.value.includes(option.id))
+                            .map(option => (
+                              <option key={option.id} value={option.id} className="bg-gray-800">
+                                {option.label}
+                              </option>
+                            ))}
+                        </select>
+                      </FormControl>
+                      {field.value.length > 0 && (
+                        <div className="flex flex-wrap gap-2">
+                          {field.value.map(id => (
+                            <span
+                              key={id}
+                              className="inline-flex items-center gap-1 px-3 py-1 bg-orange-500/20 backdrop-blur-sm rounded-full text-sm text-orange-100"
+                            >
+                              {blockerOptions.find(option => option.id === id)?.label ?? 'A deleted todo'}
+                              <button
+                                type="button"
+                                onClick={() => field.onChange(field.value.filter(blockerId => blockerId !== id))}
+                                className="p-0.5 hover:bg-white/20 rounded-full transition-colors"
+                                aria-label="Remove blocker"
+                              >
+                                <X className="w-3 h-3" />
+                              </button>
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      <FieldError />
+                    </FormItem>
+                  )}
+                />
               )}
-            </div>
 
-            {/* Description */}
-            <div className="space-y-2">
-              <label className="block text-sm font-medium text-white/80">
-                Description
-              </label>
-              <textarea
-                value={formData.description}
-                onChange={(e) => handleInputChange('description', e.target.value)}
-                className={`w-full px-4 py-3 bg-white/10 backdrop-blur-sm border rounded-xl text-white placeholder-white/50 focus:outline-none focus:ring-2 transition-all resize-none ${
-                  errors.description 
-                    ? 'border-red-400 focus:ring-red-400/50' 
-                    : 'border-white/20 focus:ring-violet-400/50'
-                }`}
-                placeholder="Add a description (optional)..."
-                rows={3}
-                maxLength={500}
+              {/* Scheduled Date */}
+              <FormField
+                control={form.control}
+                name="scheduledDate"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="block text-sm font-medium text-white/80 flex items-center gap-2">
+                      <CalendarClock className="w-4 h-4" />
+                      Scheduled For
+                      <span className="text-white/50 font-normal">(when you plan to work on it)</span>
+                    </FormLabel>
+                    <FormControl>
+                      <input
+                        type="date"
+                        {...field}
+                        value={field.value ?? ''}
+                        className={inputClassName(errors.scheduledDate)}
+                      />
+                    </FormControl>
+                    <FieldError />
+                  </FormItem>
+                )}
               />
-              <div className="flex justify-between items-center">
-                {errors.description && (
-                  <motion.p
-                    initial={{ opacity: 0, y: -10 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    className="text-red-400 text-sm flex items-center gap-1"
-                  >
-                    <AlertCircle className="w-4 h-4" />
-                    {errors.description}
-                  </motion.p>
+
+              {/* Due Date and optional due time; changing either moves the
+                  due time into the local time zone */}
+              <div className="space-y-2">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <FormField
+                    control={form.control}
+                    name="dueDate"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel className="block text-sm font-medium text-white/80 flex items-center gap-2">
+                          <Calendar className="w-4 h-4" />
+                          Due Date
+                        </FormLabel>
+                        <FormControl>
+                          <input
+                            type="date"
+                            {...field}
+                            value={field.value ?? ''}
+                            onChange={(e) => {
+                              field.onChange(e);
+                              form.setValue('dueTimeZone', null);
+                              // Monthly and yearly repeats follow the new day
+                              const recurrence = form.getValues('recurrence');
+                              if (recurrence && !(isRecurring && scope === 'this')) {
+                                form.setValue('recurrence', anchorRecurrence(recurrence, e.target.value), { shouldDirty: true });
+                              }
+                            }}
+                            className={inputClassName(errors.dueDate)}
+                          />
+                        </FormControl>
+                        <FieldError />
+                      </FormItem>
+                    )}
+                  />
+                  <FormField
+                    control={form.control}
+                    name="dueTime"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel className="block text-sm font-medium text-white/80 flex items-center gap-2">
+                          <Clock className="w-4 h-4" />
+                          Due Time
+                          <span className="text-white/50 font-normal">(optional)</span>
+                        </FormLabel>
+                        <FormControl>
+                          <input
+                            type="time"
+                            {...field}
+                            value={field.value ?? ''}
+                            onChange={(e) => {
+                              field.onChange(e);
+                              form.setValue('dueTimeZone', null);
+                            }}
+                            disabled={!dueDate && !dueTime}
+                            className={`${inputClassName(errors.dueTime)} disabled:opacity-50`}
+                          />
+                        </FormControl>
+                        <FieldError />
+                      </FormItem>
+                    )}
+                  />
+                </div>
+                {dueDate && isInOtherTimeZone({ dueTime, dueTimeZone }) && (
+                  <p className="text-xs text-white/50">
+                    Due at {dueTime} {dueTimeZone}, which is {formatDue({ dueDate, dueTime, dueTimeZone })} here.
+                  </p>
                 )}
-                <p className="text-white/50 text-sm ml-auto">
-                  {formData.description.length}/500
-                </p>
               </div>
-            </div>
 
-            {/* Category and Priority Row */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              {/* Category */}
+              {/* Repeat */}
+              <div className="space-y-3">
+                {isRecurring && (
+                  <div className="flex flex-wrap items-center gap-4 text-sm text-white/70" role="radiogroup" aria-label="Apply changes to">
+                    Apply changes to
+                    {[['this', 'This occurrence'], ['future', 'This and future occurrences']].map(([option, label]) => (
+                      <label key={option} className="flex items-center gap-2">
+                        <input
+                          type="radio"
+                          name="scope"
+                          value={option}
+                          checked={scope === option}
+                          onChange={() => setScope(option)}
+                          className="accent-violet-400"
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <FormField
+                  control={form.control}
+                  name="recurrence"
+                  render={({ field }) => (
+                    <FormItem>
+                      <RecurrenceEditor
+                        value={field.value}
+                        onChange={field.onChange}
+                        dueDate={dueDate}
+                        errors={errors.recurrence}
+                        disabled={isRecurring && scope === 'this'}
+                      />
+                      {isRecurring && scope === 'this' && (
+                        <p className="text-xs text-white/50">Repeat settings can only be changed for the whole series.</p>
+                      )}
+                    </FormItem>
+                  )}
+                />
+              </div>
+
+              {/* Reminders */}
+              <FormField
+                control={form.control}
+                name="reminders"
+                render={({ field }) => (
+                  <FormItem>
+                    <RemindersEditor
+                      value={field.value}
+                      onChange={field.onChange}
+                      dueDate={dueDate}
+                      errors={errors.reminders}
+                    />
+                  </FormItem>
+                )}
+              />
+
+              {/* Custom Fields */}
+              {customFields.length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {customFields.map(definition => (
+                    <FormField
+                      key={definition.id}
+                      control={form.control}
+                      name={`customValues.${definition.id}`}
+                      render={({ field }) => (
+                        <FormItem>
+                          <FormLabel className="block text-sm font-medium text-white/80">
+                            {definition.name}
+                          </FormLabel>
+                          <FormControl>
+                            <CustomFieldInput
+                              definition={definition}
+                              value={field.value}
+                              onChange={field.onChange}
+                              onBlur={field.onBlur}
+                              hasError={Boolean(errors.customValues?.[definition.id])}
+                            />
+                          </FormControl>
+                          <FieldError />
+                        </FormItem>
+                      )}
+                    />
+                  ))}
+                </div>
+              )}
+
+              {/* Tags */}
               <div className="space-y-2">
-                <label className="block text-sm font-medium text-white/80">
-                  Category
+                <label className="block text-sm font-medium text-white/80 flex items-center gap-2">
+                  <Tag className="w-4 h-4" />
+                  Tags
                 </label>
-                <select
-                  value={formData.category}
-                  onChange={(e) => handleInputChange('category', e.target.value)}
-                  className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
-                >
-                  {categories.map(category => (
-                    <option key={category} value={category} className="bg-gray-800">
-                      {category}
-                    </option>
-                  ))}
-                </select>
-                <div className={`h-1 rounded-full bg-gradient-to-r ${categoryGradients[formData.category]} opacity-60`} />
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    name="newTag"
+                    value={newTag}
+                    onChange={(e) => setNewTag(e.target.value)}
+                    onKeyPress={handleKeyPress}
+                    className="flex-1 px-4 py-2 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+                    placeholder="Add a tag..."
+                  />
+                  <button
+                    type="button"
+                    onClick={addTag}
+                    className="px-4 py-2 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all"
+                  >
+                    Add
+                  </button>
+                </div>
+                {tags.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {tags.map((tag) => (
+                      <motion.span
+                        key={tag}
+                        initial={{ scale: 0 }}
+                        animate={{ scale: 1 }}
+                        className="inline-flex items-center gap-1 px-3 py-1 bg-white/20 backdrop-blur-sm rounded-full text-sm text-white"
+                      >
+                        {tag}
+                        <button
+                          type="button"
+                          onClick={() => removeTag(tag)}
+                          className="p-0.5 hover:bg-white/20 rounded-full transition-colors"
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      </motion.span>
+                    ))}
+                  </div>
+                )}
               </div>
 
-              {/* Priority */}
+              {/* Subtasks */}
               <div className="space-y-2">
-                <label className="block text-sm font-medium text-white/80">
-                  Priority
+                <label className="block text-sm font-medium text-white/80 flex items-center gap-2">
+                  <ListChecks className="w-4 h-4" />
+                  Subtasks
                 </label>
-                <select
-                  value={formData.priority}
-                  onChange={(e) => handleInputChange('priority', e.target.value)}
-                  className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
-                >
-                  <option value="low" className="bg-gray-800">Low</option>
-                  <option value="medium" className="bg-gray-800">Medium</option>
-                  <option value="high" className="bg-gray-800">High</option>
-                </select>
-                <div className={`h-1 rounded-full bg-gradient-to-r ${priorityColors[formData.priority]} opacity-60`} />
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    name="newSubtask"
+                    value={newSubtask}
+                    onChange={(e) => setNewSubtask(e.target.value)}
+                    onKeyPress={handleKeyPress}
+                    className="flex-1 px-4 py-2 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+                    placeholder="Add a subtask..."
+                    maxLength={TODO_TEXT_MAX_LENGTH}
+                  />
+                  <button
+                    type="button"
+                    onClick={addSubtask}
+                    className="px-4 py-2 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all"
+                  >
+                    Add
+                  </button>
+                </div>
+                {subtasks.length > 0 && (
+                  <ul className="space-y-2 mt-2">
+                    {subtasks.map((subtask, index) => (
+                      <li key={subtask.id} className="space-y-1">
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={subtask.completed}
+                            onChange={() => updateSubtask(subtask.id, { completed: !subtask.completed })}
+                            className="w-4 h-4 rounded accent-violet-400"
+                            aria-label="Subtask done"
+                          />
+                          <input
+                            type="text"
+                            value={subtask.text}
+                            onChange={(e) => updateSubtask(subtask.id, { text: e.target.value })}
+                            className={`flex-1 px-3 py-1.5 bg-white/10 backdrop-blur-sm border rounded-lg text-sm text-white focus:outline-none focus:ring-2 transition-all ${
+                              errors.subtasks?.[index]?.text
+                                ? 'border-red-400 focus:ring-red-400/50'
+                                : 'border-white/20 focus:ring-violet-400/50'
+                            }`}
+                            maxLength={TODO_TEXT_MAX_LENGTH}
+                          />
+                          <button
+                            type="button"
+                            onClick={() => moveSubtask(index, -1)}
+                            disabled={index === 0}
+                            className="p-1 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+                            aria-label="Move subtask up"
+                          >
+                            <ChevronUp className="w-4 h-4 text-white" />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => moveSubtask(index, 1)}
+                            disabled={index === subtasks.length - 1}
+                            className="p-1 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+                            aria-label="Move subtask down"
+                          >
+                            <ChevronDown className="w-4 h-4 text-white" />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => removeSubtask(subtask.id)}
+                            className="p-1 hover:bg-white/20 rounded-full transition-colors"
+                            aria-label="Remove subtask"
+                          >
+                            <X className="w-4 h-4 text-white" />
+                          </button>
+                        </div>
+                        {errors.subtasks?.[index]?.text && (
+                          <p className="text-red-400 text-sm flex items-center gap-1">
+                            <AlertCircle className="w-4 h-4" />
+                            {errors.subtasks[index].text.message}
+                          </p>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <FormField
+                  control={form.control}
+                  name="autoCompleteSubtasks"
+                  render={({ field }) => (
+                    <FormItem className="flex items-center gap-2 space-y-0 pt-1">
+                      <FormControl>
+                        <input
+                          type="checkbox"
+                          checked={field.value}
+                          onChange={(e) => field.onChange(e.target.checked)}
+                          className="w-4 h-4 rounded accent-violet-400"
+                        />
+                      </FormControl>
+                      <FormLabel className="text-sm text-white/70">
+                        Complete this todo when all subtasks are done
+                      </FormLabel>
+                    </FormItem>
+                  )}
+                />
               </div>
-            </div>
 
-            {/* Due Date */}
-            <div className="space-y-2">
-              <label className="block text-sm font-medium text-white/80 flex items-center gap-2">
-                <Calendar className="w-4 h-4" />
-                Due Date
-              </label>
-              <input
-                type="date"
-                value={formData.dueDate}
-                onChange={(e) => handleInputChange('dueDate', e.target.value)}
-                className={`w-full px-4 py-3 bg-white/10 backdrop-blur-sm border rounded-xl text-white focus:outline-none focus:ring-2 transition-all ${
-                  errors.dueDate 
-                    ? 'border-red-400 focus:ring-red-400/50' 
-                    : 'border-white/20 focus:ring-violet-400/50'
-                }`}
-              />
-              {errors.dueDate && (
-                <motion.p
+              {/* Submit Error */}
+              {submitError && (
+                <motion.div
                   initial={{ opacity: 0, y: -10 }}
                   animate={{ opacity: 1, y: 0 }}
-                  className="text-red-400 text-sm flex items-center gap-1"
+                  className="p-3 bg-red-500/20 border border-red-400/30 rounded-xl text-red-300 text-sm flex items-center gap-2"
                 >
                   <AlertCircle className="w-4 h-4" />
-                  {errors.dueDate}
-                </motion.p>
+                  {submitError}
+                </motion.div>
               )}
-            </div>
 
-            {/* Tags */}
-            <div className="space-y-2">
-              <label className="block text-sm font-medium text-white/80 flex items-center gap-2">
-                <Tag className="w-4 h-4" />
-                Tags
-              </label>
-              <div className="flex gap-2">
-                <input
-                  type="text"
-                  name="newTag"
-                  value={newTag}
-                  onChange={(e) => setNewTag(e.target.value)}
-                  onKeyPress={handleKeyPress}
-                  className="flex-1 px-4 py-2 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
-                  placeholder="Add a tag..."
-                />
+              {/* Actions */}
+              <div className="flex gap-3 pt-4">
                 <button
                   type="button"
-                  onClick={addTag}
-                  className="px-4 py-2 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all"
+                  onClick={onClose}
+                  className="flex-1 px-6 py-3 bg-white/10 backdrop-blur-sm border border-white/20 text-white rounded-xl hover:bg-white/20 transition-all"
                 >
-                  Add
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 px-6 py-3 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  {isSubmitting ? (
+                    <>
+                      <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                      Saving...
+                    </>
+                  ) : (
+                    <>
+                      <Save className="w-4 h-4" />
+                      {editingTodo ? 'Update Todo' : 'Create Todo'}
+                    </>
+                  )}
                 </button>
               </div>
-              {formData.tags.length > 0 && (
-                <div className="flex flex-wrap gap-2 mt-2">
-                  {formData.tags.map((tag, index) => (
-                    <motion.span
-                      key={tag}
-                      initial={{ scale: 0 }}
-                      animate={{ scale: 1 }}
-                      className="inline-flex items-center gap-1 px-3 py-1 bg-white/20 backdrop-blur-sm rounded-full text-sm text-white"
-                    >
-                      {tag}
-                      <button
-                        type="button"
-                        onClick={() => removeTag(tag)}
-                        className="p-0.5 hover:bg-white/20 rounded-full transition-colors"
-                      >
-                        <X className="w-3 h-3" />
-                      </button>
-                    </motion.span>
-                  ))}
-                </div>
-              )}
-            </div>
-
-            {/* Submit Error */}
-            {errors.submit && (
-              <motion.div
-                initial={{ opacity: 0, y: -10 }}
-                animate={{ opacity: 1, y: 0 }}
-                className="p-3 bg-red-500/20 border border-red-400/30 rounded-xl text-red-300 text-sm flex items-center gap-2"
-              >
-                <AlertCircle className="w-4 h-4" />
-                {errors.submit}
-              </motion.div>
-            )}
-
-            {/* Actions */}
-            <div className="flex gap-3 pt-4">
-              <button
-                type="button"
-                onClick={onClose}
-                className="flex-1 px-6 py-3 bg-white/10 backdrop-blur-sm border border-white/20 text-white rounded-xl hover:bg-white/20 transition-all"
-              >
-                Cancel
-              </button>
-              <button
-                type="submit"
-                disabled={isSubmitting}
-                className="flex-1 px-6 py-3 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-              >
-                {isSubmitting ? (
-                  <>
-                    <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                    Saving...
-                  </>
-                ) : (
-                  <>
-                    <Save className="w-4 h-4" />
-                    {editingTodo ? 'Update Todo' : 'Create Todo'}
-                  </>
-                )}
-              </button>
-            </div>
-          </form>
+            </form>
+          </Form>
         </motion.div>
       </motion.div>
     </AnimatePresence>
@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Plus } from 'lucide-react';
+import TodoForm from './TodoForm';
+import { useTodos } from '../context/TodoContext';
+import { useLists } from '../context/ListContext';
+import { useCategories } from '../context/CategoryContext';
+import { usePriorities } from '../context/PriorityContext';
+import { getLiveTodos } from '../utils/todoHelpers';
+import { flattenTree, getDescendantIds } from '../utils/todoTree';
+import { getDependentIds } from '../utils/todoDependencies';
+
+const TodoFormContainer = () => {
+  const {
+    allTodos,
+    listTodos,
+    editingTodo,
+    focusedTodo,
+    setEditingTodo,
+    addTodo,
+    updateTodo,
+    updateRecurringTodo
+  } = useTodos();
+  const { activeList, activeLists } = useLists();
+  const { categories } = useCategories();
+  const { levels: priorityLevels, defaultPriority } = usePriorities();
+  const [isCreating, setIsCreating] = useState(false);
+
+  // Todos in this list that can hold the one being edited: not itself or
+  // anything nested under it
+  const liveListTodos = getLiveTodos(listTodos);
+  const excludedIds = editingTodo
+    ? new Set([editingTodo.id, ...getDescendantIds(liveListTodos, editingTodo.id)])
+    : new Set();
+  const parentOptions = flattenTree(liveListTodos)
+    .filter(({ todo }) => !excludedIds.has(todo.id))
+    .map(({ todo, depth }) => ({ id: todo.id, label: `${'\u00a0\u00a0'.repeat(depth)}${todo.text}` }));
+
+  // Todos in any list the one being edited can wait on: not itself or
+  // anything already waiting on it, which would close a cycle
+  const liveTodos = getLiveTodos(allTodos);
+  const dependentIds = editingTodo
+    ? new Set([editingTodo.id, ...getDependentIds(liveTodos, editingTodo.id)])
+    : new Set();
+  const blockerOptions = liveTodos
+    .filter(todo => !dependentIds.has(todo.id))
+    .map(todo => ({ id: todo.id, label: todo.completed ? `${todo.text} (done)` : todo.text }));
+
+  // The list's default priority, unless it is not on the scale
+  const listDefaultPriority = priorityLevels.some(level => level.id === activeList.defaultPriority)
+    ? activeList.defaultPriority
+    : defaultPriority;
+
+  const handleClose = () => {
+    setIsCreating(false);
+    setEditingTodo(null);
+  };
+
+  // Route submissions to add or update depending on the form mode; edits
+  // to a recurring todo apply to the occurrence or series chosen in the form
+  const handleSubmit = (todoData, { scope } = {}) => {
+    if (editingTodo && scope) {
+      updateRecurringTodo(editingTodo.id, todoData, scope);
+    } else if (editingTodo) {
+      updateTodo(editingTodo.id, todoData);
+    } else {
+      addTodo(todoData);
+    }
+  };
+
+  return (
+    <>
+      <motion.button
+        onClick={() => setIsCreating(true)}
+        className="w-full flex items-center justify-center gap-2 px-6 py-4 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white font-semibold rounded-2xl shadow-lg hover:from-violet-600 hover:to-fuchsia-600 transition-all"
+        whileHover={{ scale: 1.02 }}
+        whileTap={{ scale: 0.98 }}
+      >
+        <Plus className="w-5 h-5" />
+        Add todo
+      </motion.button>
+
+      <TodoForm
+        isOpen={isCreating || editingTodo !== null}
+        onClose={handleClose}
+        onSubmit={handleSubmit}
+        editingTodo={editingTodo}
+        categories={categories}
+        priorityLevels={priorityLevels}
+        parentOptions={parentOptions}
+        blockerOptions={blockerOptions}
+        lists={activeLists}
+        defaultParentId={focusedTodo?.id ?? null}
+        defaultListId={activeList.id}
+        defaultCategory={activeList.defaultCategory}
+        defaultPriority={listDefaultPriority}
+      />
+    </>
+  );
+};
+
+export default TodoFormContainer;
@@ -1,78 +1,65 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Check, X, Edit2, Star, Calendar, Clock, Trash2 } from 'lucide-react';
+import { Check, X, Edit2, Star, Calendar, CalendarClock, Clock, Trash2, RotateCcw, History, Repeat, Lock, Link2, Flag, ExternalLink, CheckSquare, Timer, Play, Square, Target, Bell } from 'lucide-react';
+import { isOverdue, isTrashed, getDaysUntilPurge } from '../utils/todoHelpers';
+import SubtaskChecklist from './SubtaskChecklist';
+import { describeRecurrence, toDayString } from '../utils/recurrence';
+import { getBlockers, getDependents } from '../utils/todoDependencies';
+import { getCategory, CATEGORY_COLOR_CLASSES } from '../utils/todoCategories';
+import { getPriorityLevel, PRIORITY_COLOR_CLASSES, DEFAULT_PRIORITY_SCALE } from '../utils/todoPriorities';
+import { getCustomFieldEntries, formatCustomValue } from '../utils/todoCustomFields';
+import { getTrackedTime, formatDuration } from '../utils/todoTime';
+import { getUpcomingReminder, formatReminderTime } from '../utils/todoReminders';
+import { isPastDue, getDaysUntilDue, getDueDay, formatDay, formatDueTime, formatDue } from '../utils/todoDueDates';
+import { formatScheduledDate } from '../utils/todoSchedule';
+import CategoryIcon from './CategoryIcon';
 
 const TodoList = ({ 
   todos, 
+  allTodos = todos,
+  categories = [],
+  priorityLevels = DEFAULT_PRIORITY_SCALE.levels,
+  customFields = [],
   onToggleComplete, 
+  onToggleSubtask,
   onDeleteTodo, 
   onEditTodo, 
   onToggleFavorite,
+  onRestoreTodo,
+  onDeleteTodoPermanently,
+  onShowDetails,
+  onStartTimer,
+  onStopTimer,
+  onStartFocus,
+  runningTodoId = null,
+  trashRetentionDays,
   filter 
 }) => {
-  const getPriorityColor = (priority) => {
-    switch (priority) {
-      case 'high':
-        return 'from-red-400/30 to-pink-600/30 border-red-400/50';
-      case 'medium':
-        return 'from-yellow-400/30 to-orange-600/30 border-yellow-400/50';
-      case 'low':
-        return 'from-green-400/30 to-emerald-600/30 border-green-400/50';
-      default:
-        return 'from-blue-400/30 to-purple-600/30 border-blue-400/50';
-    }
-  };
+  const categoryOf = (todo) => getCategory(categories, todo.category);
 
-  const getCategoryColor = (category) => {
-    const colors = {
-      work: 'bg-gradient-to-r from-indigo-500/20 to-purple-500/20 text-indigo-200',
-      personal: 'bg-gradient-to-r from-pink-500/20 to-rose-500/20 text-pink-200',
-      shopping: 'bg-gradient-to-r from-emerald-500/20 to-teal-500/20 text-emerald-200',
-      health: 'bg-gradient-to-r from-red-500/20 to-orange-500/20 text-red-200',
-      education: 'bg-gradient-to-r from-blue-500/20 to-cyan-500/20 text-blue-200',
-      default: 'bg-gradient-to-r from-gray-500/20 to-slate-500/20 text-gray-200'
-    };
-    return colors[category] || colors.default;
-  };
+  const priorityOf = (todo) => getPriorityLevel(priorityLevels, todo.priority);
 
-  const formatDate = (dateString) => {
-    if (!dateString) return '';
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffTime = date - now;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    
-    if (diffDays < 0) return 'Overdue';
-    if (diffDays === 0) return 'Today';
-    if (diffDays === 1) return 'Tomorrow';
-    if (diffDays <= 7) return `${diffDays} days`;
-    
-    return date.toLocaleDateString('en-US', { 
-      month: 'short', 
-      day: 'numeric',
-      year: date.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
-    });
-  };
+  // Due date relative to today, in local days, with the due time if any
+  const formatDate = (todo) => {
+    if (!todo.dueDate) return '';
+    if (isPastDue(todo)) return 'Overdue';
 
-  const isOverdue = (dueDate) => {
-    if (!dueDate) return false;
-    return new Date(dueDate) < new Date().setHours(0, 0, 0, 0);
+    const time = formatDueTime(todo);
+    const withTime = (day) => (time ? `${day}, ${time}` : day);
+    const diffDays = getDaysUntilDue(todo);
+
+    if (diffDays === 0) return withTime('Today');
+    if (diffDays === 1) return withTime('Tomorrow');
+    if (diffDays <= 7) return withTime(`${diffDays} days`);
+
+    return withTime(formatDay(getDueDay(todo)));
   };
 
-  const filteredTodos = todos.filter(todo => {
-    switch (filter) {
-      case 'completed':
-        return todo.completed;
-      case 'pending':
-        return !todo.completed;
-      case 'favorites':
-        return todo.favorite;
-      case 'overdue':
-        return !todo.completed && isOverdue(todo.dueDate);
-      default:
-        return true;
-    }
-  });
+  // Open todos waiting on this one
+  const getOpenDependents = (todo) => getDependents(allTodos, todo.id)
+    .filter(dependent => !dependent.completed && !isTrashed(dependent));
+
+  const formatLinkedTodos = (linked) => (linked.length === 1 ? `"${linked[0].text}"` : `${linked.length} todos`);
 
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -110,7 +97,7 @@ const TodoList = ({
     }
   };
 
-  if (filteredTodos.length === 0) {
+  if (todos.length === 0) {
     return (
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -123,14 +110,20 @@ const TodoList = ({
           </div>
           <h3 className="text-xl font-semibold text-white/80 mb-2">
             {filter === 'completed' ? 'No completed tasks' : 
-             filter === 'pending' ? 'No pending tasks' :
+             filter === 'active' ? 'No pending tasks' :
+             filter === 'ready' ? 'Nothing ready to work on' :
              filter === 'favorites' ? 'No favorite tasks' :
              filter === 'overdue' ? 'No overdue tasks' :
+             filter === 'today' ? 'Nothing on for today' :
+             filter === 'upcoming' ? 'Nothing scheduled ahead' :
+             filter === 'trash' ? 'Trash is empty' :
              'No tasks yet'}
           </h3>
           <p className="text-white/60">
             {filter === 'all' || !filter ? 
               'Create your first task to get started!' : 
+             filter === 'trash' ?
+              `Deleted tasks stay here for ${trashRetentionDays} days.` :
               'Switch to a different filter to see your tasks.'}
           </p>
         </div>
@@ -146,7 +139,7 @@ const TodoList = ({
       className="space-y-4"
     >
       <AnimatePresence mode="popLayout">
-        {filteredTodos.map((todo) => (
+        {todos.map((todo) => (
           <motion.div
             key={todo.id}
             variants={itemVariants}
@@ -156,7 +149,7 @@ const TodoList = ({
               scale: 1.02,
               transition: { duration: 0.2 }
             }}
-            className={`glass-card backdrop-blur-xl bg-gradient-to-br ${getPriorityColor(todo.priority)} 
+            className={`glass-card backdrop-blur-xl bg-gradient-to-br ${PRIORITY_COLOR_CLASSES[priorityOf(todo).color].card} 
                        border rounded-xl p-6 group hover:shadow-2xl hover:shadow-purple-500/10 
                        transition-all duration-300 ${todo.completed ? 'opacity-75' : ''}`}
           >
@@ -166,6 +159,7 @@ const TodoList = ({
                 whileHover={{ scale: 1.1 }}
                 whileTap={{ scale: 0.95 }}
                 onClick={() => onToggleComplete(todo.id)}
+                disabled={isTrashed(todo)}
                 className={`flex-shrink-0 w-6 h-6 rounded-full border-2 flex items-center justify-center
                            transition-all duration-200 ${
                              todo.completed
@@ -194,7 +188,7 @@ const TodoList = ({
                       ? 'text-white/60 line-through' 
                       : 'text-white/90'
                   }`}>
-                    {todo.title}
+                    {todo.text}
                   </h3>
 
                   {/* Favorite Star */}
@@ -202,6 +196,7 @@ const TodoList = ({
                     whileHover={{ scale: 1.1 }}
                     whileTap={{ scale: 0.95 }}
                     onClick={() => onToggleFavorite(todo.id)}
+                    disabled={isTrashed(todo)}
                     className={`flex-shrink-0 p-1 rounded-full transition-colors duration-200 ${
                       todo.favorite
                         ? 'text-yellow-400 hover:text-yellow-300'
@@ -225,32 +220,147 @@ const TodoList = ({
                   </p>
                 )}
 
+                {/* Subtasks */}
+                {todo.subtasks.length > 0 && (
+                  <SubtaskChecklist
+                    todo={todo}
+                    onToggleSubtask={onToggleSubtask}
+                    disabled={isTrashed(todo)}
+                  />
+                )}
+
                 {/* Tags and Info */}
                 <div className="flex flex-wrap items-center gap-2 mb-4">
                   {/* Category */}
                   {todo.category && (
-                    <span className={`px-3 py-1 rounded-full text-xs font-medium ${getCategoryColor(todo.category)}`}>
-                      {todo.category}
+                    <span className={`flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium ${CATEGORY_COLOR_CLASSES[categoryOf(todo).color].chip}`}>
+                      <CategoryIcon icon={categoryOf(todo).icon} className="w-3 h-3" />
+                      {categoryOf(todo).name}
                     </span>
                   )}
 
                   {/* Priority */}
-                  <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize
-                    ${todo.priority === 'high' ? 'bg-red-500/20 text-red-200' :
-                      todo.priority === 'medium' ? 'bg-yellow-500/20 text-yellow-200' :
-                      todo.priority === 'low' ? 'bg-green-500/20 text-green-200' :
-                      'bg-gray-500/20 text-gray-200'}`}>
-                    {todo.priority || 'normal'} priority
+                  <span
+                    className={`flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium ${PRIORITY_COLOR_CLASSES[priorityOf(todo).color].chip}`}
+                    title="Priority"
+                  >
+                    <Flag className="w-3 h-3" />
+                    {priorityOf(todo).label}
                   </span>
 
                   {/* Due Date */}
                   {todo.dueDate && (
                     <div className={`flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium
-                      ${isOverdue(todo.dueDate) && !todo.completed
+                      ${isOverdue(todo)
                         ? 'bg-red-500/20 text-red-200'
-                        : 'bg-blue-500/20 text-blue-200'}`}>
+                        : 'bg-blue-500/20 text-blue-200'}`}
+                      title={`Due ${formatDue(todo)}`}
+                    >
                       <Calendar className="w-3 h-3" />
-                      {formatDate(todo.dueDate)}
+                      {formatDate(todo)}
+                    </div>
+                  )}
+
+                  {/* Scheduled Date */}
+                  {!todo.completed && todo.scheduledDate && (
+                    <div
+                      className={`flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium
+                        ${todo.scheduledDate < toDayString()
+                          ? 'bg-amber-500/20 text-amber-200'
+                          : 'bg-emerald-500/20 text-emerald-200'}`}
+                      title="Scheduled"
+                    >
+                      <CalendarClock className="w-3 h-3" />
+                      {formatScheduledDate(todo.scheduledDate)}
+                    </div>
+                  )}
+
+                  {/* Next Reminder */}
+                  {!todo.completed && getUpcomingReminder(todo) && (
+                    <div
+                      className="flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-amber-500/20 text-amber-200"
+                      title={todo.reminders.length > 1 ? `${todo.reminders.length} reminders` : 'Reminder'}
+                    >
+                      <Bell className="w-3 h-3" />
+                      {formatReminderTime(getUpcomingReminder(todo).time)}
+                    </div>
+                  )}
+
+                  {/* Recurrence */}
+                  {todo.recurrence && (
+                    <div className="flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-violet-500/20 text-violet-200">
+                      <Repeat className="w-3 h-3" />
+                      {describeRecurrence(todo.recurrence, todo.dueDate)}
+                    </div>
+                  )}
+
+                  {/* Dependencies */}
+                  {!todo.completed && getBlockers(allTodos, todo).length > 0 && (
+                    <div
+                      className="flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-orange-500/20 text-orange-200"
+                      title={getBlockers(allTodos, todo).map(blocker => blocker.text).join(', ')}
+                    >
+                      <Lock className="w-3 h-3" />
+                      Blocked by {formatLinkedTodos(getBlockers(allTodos, todo))}
+                    </div>
+                  )}
+                  {!todo.completed && getOpenDependents(todo).length > 0 && (
+                    <div
+                      className="flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-sky-500/20 text-sky-200"
+                      title={getOpenDependents(todo).map(dependent => dependent.text).join(', ')}
+                    >
+                      <Link2 className="w-3 h-3" />
+                      Blocks {formatLinkedTodos(getOpenDependents(todo))}
+                    </div>
+                  )}
+
+                  {/* Custom Fields */}
+                  {getCustomFieldEntries(todo, customFields).map(({ field, value }) => (
+                    field.type === 'url' ? (
+                      <a
+                        key={field.id}
+                        href={value}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-teal-500/20 text-teal-200 hover:bg-teal-500/30 transition-colors"
+                        title={value}
+                      >
+                        <ExternalLink className="w-3 h-3" />
+                        {field.name}: {formatCustomValue(field, value)}
+                      </a>
+                    ) : (
+                      <div
+                        key={field.id}
+                        className="flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-teal-500/20 text-teal-200"
+                      >
+                        {field.type === 'checkbox' ? (
+                          <>
+                            <CheckSquare className="w-3 h-3" />
+                            {field.name}
+                          </>
+                        ) : `${field.name}: ${formatCustomValue(field, value)}`}
+                      </div>
+                    )
+                  ))}
+
+                  {/* Tracked Time */}
+                  {todo.timeEntries.length > 0 && (
+                    <div
+                      className={`flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium ${
+                        todo.id === runningTodoId ? 'bg-red-500/20 text-red-200' : 'bg-indigo-500/20 text-indigo-200'
+                      }`}
+                      title="Time tracked"
+                    >
+                      <Timer className="w-3 h-3" />
+                      {formatDuration(getTrackedTime(todo))}
+                    </div>
+                  )}
+
+                  {/* Focus Sessions */}
+                  {todo.focusSessions.length > 0 && (
+                    <div className="flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-fuchsia-500/20 text-fuchsia-200">
+                      <Target className="w-3 h-3" />
+                      {todo.focusSessions.length} focus session{todo.focusSessions.length === 1 ? '' : 's'}
                     </div>
                   )}
 
@@ -259,32 +369,114 @@ const TodoList = ({
                     <Clock className="w-3 h-3" />
                     {new Date(todo.createdAt).toLocaleDateString()}
                   </div>
+
+                  {/* Purge Countdown */}
+                  {isTrashed(todo) && (
+                    <div className="flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-red-500/20 text-red-200">
+                      <Trash2 className="w-3 h-3" />
+                      Deleted for good in {getDaysUntilPurge(todo, trashRetentionDays)} days
+                    </div>
+                  )}
                 </div>
 
                 {/* Action Buttons */}
-                <div className="flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
-                  <motion.button
-                    whileHover={{ scale: 1.05 }}
-                    whileTap={{ scale: 0.95 }}
-                    onClick={() => onEditTodo(todo)}
-                    className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-blue-500/20 hover:bg-blue-500/30 
-                             text-blue-200 hover:text-blue-100 text-sm font-medium transition-all duration-200"
-                  >
-                    <Edit2 className="w-4 h-4" />
-                    Edit
-                  </motion.button>
+                {isTrashed(todo) ? (
+                  <div className="flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => onRestoreTodo(todo.id)}
+                      className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-green-500/20 hover:bg-green-500/30 
+                               text-green-200 hover:text-green-100 text-sm font-medium transition-all duration-200"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      Restore
+                    </motion.button>
 
-                  <motion.button
-                    whileHover={{ scale: 1.05 }}
-                    whileTap={{ scale: 0.95 }}
-                    onClick={() => onDeleteTodo(todo.id)}
-                    className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-red-500/20 hover:bg-red-500/30 
-                             text-red-200 hover:text-red-100 text-sm font-medium transition-all duration-200"
-                  >
-                    <Trash2 className="w-4 h-4" />
-                    Delete
-                  </motion.button>
-                </div>
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => onDeleteTodoPermanently(todo.id)}
+                      className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-red-500/20 hover:bg-red-500/30 
+                               text-red-200 hover:text-red-100 text-sm font-medium transition-all duration-200"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                      Delete forever
+                    </motion.button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => onEditTodo(todo)}
+                      className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-blue-500/20 hover:bg-blue-500/30 
+                               text-blue-200 hover:text-blue-100 text-sm font-medium transition-all duration-200"
+                    >
+                      <Edit2 className="w-4 h-4" />
+                      Edit
+                    </motion.button>
+
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => onShowDetails(todo.id)}
+                      className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-violet-500/20 hover:bg-violet-500/30 
+                               text-violet-200 hover:text-violet-100 text-sm font-medium transition-all duration-200"
+                    >
+                      <History className="w-4 h-4" />
+                      History
+                    </motion.button>
+
+                    {!todo.completed && (
+                      <motion.button
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => onStartFocus(todo.id)}
+                        className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-fuchsia-500/20 hover:bg-fuchsia-500/30 
+                                 text-fuchsia-200 hover:text-fuchsia-100 text-sm font-medium transition-all duration-200"
+                      >
+                        <Target className="w-4 h-4" />
+                        Focus
+                      </motion.button>
+                    )}
+
+                    {todo.id === runningTodoId ? (
+                      <motion.button
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={onStopTimer}
+                        className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-indigo-500/20 hover:bg-indigo-500/30 
+                                 text-indigo-200 hover:text-indigo-100 text-sm font-medium transition-all duration-200"
+                      >
+                        <Square className="w-4 h-4" />
+                        Stop
+                      </motion.button>
+                    ) : !todo.completed && (
+                      <motion.button
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => onStartTimer(todo.id)}
+                        className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-indigo-500/20 hover:bg-indigo-500/30 
+                                 text-indigo-200 hover:text-indigo-100 text-sm font-medium transition-all duration-200"
+                      >
+                        <Play className="w-4 h-4" />
+                        {todo.timeEntries.length > 0 ? 'Resume' : 'Start'}
+                      </motion.button>
+                    )}
+
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => onDeleteTodo(todo.id)}
+                      className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-red-500/20 hover:bg-red-500/30 
+                               text-red-200 hover:text-red-100 text-sm font-medium transition-all duration-200"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                      Delete
+                    </motion.button>
+                  </div>
+                )}
               </div>
             </div>
           </motion.div>
@@ -0,0 +1,448 @@
+import { useState, Fragment } from 'react';
+import { Search, AlertTriangle, RotateCcw, CheckCheck, Trash2, List, ListTree, Shapes, Flag, ArrowDownWideNarrow, ArrowUpNarrowWide, SlidersHorizontal } from 'lucide-react';
+import TodoList from './TodoList';
+import TodoOutline from './TodoOutline';
+import TodoDetailsPanel from './TodoDetailsPanel';
+import FocusMode from './FocusMode';
+import RolloverPrompt from './RolloverPrompt';
+import CategoryManagerDialog from './CategoryManagerDialog';
+import PriorityScaleDialog from './PriorityScaleDialog';
+import CategoryIcon from './CategoryIcon';
+import {
+  Breadcrumb,
+  BreadcrumbList,
+  BreadcrumbItem,
+  BreadcrumbLink,
+  BreadcrumbPage,
+  BreadcrumbSeparator
+} from './ui/breadcrumb';
+import { useTodos } from '../context/TodoContext';
+import { useCategories } from '../context/CategoryContext';
+import { usePriorities } from '../context/PriorityContext';
+import { useLists } from '../context/ListContext';
+import { TRASH_RETENTION_OPTIONS, sortTodos } from '../utils/todoHelpers';
+import { CUSTOM_SORT_PREFIX } from '../utils/todoCustomFields';
+import { PRIORITY_COLOR_CLASSES } from '../utils/todoPriorities';
+
+const FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'today', label: 'Today' },
+  { value: 'upcoming', label: 'Upcoming' },
+  { value: 'active', label: 'Active' },
+  { value: 'ready', label: 'Ready' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'favorites', label: 'Favorites' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'trash', label: 'Trash' }
+];
+
+const SORT_OPTIONS = [
+  { value: 'manual', label: 'Manual order' },
+  { value: 'createdAt', label: 'Created' },
+  { value: 'updatedAt', label: 'Updated' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: 'scheduledDate', label: 'Scheduled' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'text', label: 'Title' }
+];
+
+const selectClassName = 'px-2 py-1.5 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50';
+
+const TodoListContainer = () => {
+  const {
+    todos,
+    allTodos,
+    listTodos,
+    filter,
+    categoryFilter,
+    fieldFilter,
+    searchQuery,
+    focusPath,
+    stats,
+    isLoading,
+    loadError,
+    retryLoad,
+    trashRetentionDays,
+    setFilter,
+    setCategoryFilter,
+    setFieldFilter,
+    setSearchQuery,
+    setEditingTodo,
+    setFocusedTodoId,
+    indentTodo,
+    outdentTodo,
+    deleteTodo,
+    restoreTodo,
+    deleteTodoPermanently,
+    emptyTrash,
+    setTrashRetention,
+    toggleTodo,
+    toggleSubtask,
+    toggleFavorite,
+    clearCompleted,
+    markAllCompleted,
+    runningTimer,
+    startTimer,
+    stopTimer,
+    rescheduleTodos
+  } = useTodos();
+  const { categories } = useCategories();
+  const { levels: priorityLevels } = usePriorities();
+  const { activeList } = useLists();
+  const [detailsTodoId, setDetailsTodoId] = useState(null);
+  const [focusModeTodoId, setFocusModeTodoId] = useState(null);
+  const [showCategoryManager, setShowCategoryManager] = useState(false);
+  const [showPriorityScale, setShowPriorityScale] = useState(false);
+  const [sort, setSort] = useState({ by: 'manual', order: 'desc' });
+  const { customFields } = activeList;
+  const sortOptions = [
+    ...SORT_OPTIONS,
+    ...customFields.map(field => ({ value: `${CUSTOM_SORT_PREFIX}${field.id}`, label: field.name }))
+  ];
+  // Falls back to manual order once a sorted-by field is removed
+  const sortBy = sortOptions.some(option => option.value === sort.by) ? sort.by : 'manual';
+  const filteredField = customFields.find(field => field.id === fieldFilter.fieldId) ?? null;
+  const [view, setView] = useState('list'); // list, outline
+  // The trash is always shown as a flat list
+  const showOutline = view === 'outline' && filter !== 'trash';
+  // Sorting only applies to cards; the outline keeps the tree order
+  const sortedTodos = sortBy === 'manual' ? todos : sortTodos(todos, sortBy, sort.order, priorityLevels);
+
+  // Nothing is saved until the todos load, so the stored ones stay intact
+  if (loadError) {
+    return (
+      <div className="glass-card p-8 rounded-2xl text-center space-y-4">
+        <AlertTriangle className="w-8 h-8 mx-auto text-amber-200" />
+        <div className="space-y-1">
+          <h2 className="text-lg font-semibold text-white/90">Your todos could not be loaded</h2>
+          <p className="text-sm text-white/60">
+            Nothing will be saved until they load, so your stored todos are safe.
+          </p>
+        </div>
+        <button
+          onClick={retryLoad}
+          className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-violet-500 to-fuchsia-500 text-white rounded-xl hover:from-violet-600 hover:to-fuchsia-600 transition-all"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="w-8 h-8 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Toolbar */}
+      <div className="glass-card p-4 rounded-2xl space-y-4">
+        <div className="flex items-center gap-2">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-white/50" />
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-violet-400/50 transition-all"
+              placeholder="Search todos..."
+            />
+          </div>
+          {!showOutline && (
+            <>
+              <select
+                value={sortBy}
+                onChange={(e) => setSort({ ...sort, by: e.target.value })}
+                className={selectClassName}
+                aria-label="Sort by"
+              >
+                {sortOptions.map(option => (
+                  <option key={option.value} value={option.value} className="bg-gray-800">{option.label}</option>
+                ))}
+              </select>
+              {sortBy !== 'manual' && (
+                <button
+                  onClick={() => setSort({ ...sort, order: sort.order === 'asc' ? 'desc' : 'asc' })}
+                  className="glass-button p-2"
+                  title={sort.order === 'asc' ? 'Ascending' : 'Descending'}
+                >
+                  {sort.order === 'asc' ? <ArrowUpNarrowWide className="w-4 h-4" /> : <ArrowDownWideNarrow className="w-4 h-4" />}
+                </button>
+              )}
+            </>
+          )}
+          <button
+            onClick={() => setView(view === 'outline' ? 'list' : 'outline')}
+            className="glass-button p-2"
+            title={view === 'outline' ? 'Show as cards' : 'Show as outline'}
+          >
+            {view === 'outline' ? <List className="w-4 h-4" /> : <ListTree className="w-4 h-4" />}
+          </button>
+        </div>
+
+        {/* Category filter */}
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => setCategoryFilter('all')}
+            className={`px-3 py-1 rounded-full text-xs transition-colors ${
+              categoryFilter === 'all' ? 'bg-white/20 text-white' : 'text-white/60 hover:bg-white/10'
+            }`}
+          >
+            All categories
+          </button>
+          {categories.map(category => (
+            <button
+              key={category.id}
+              onClick={() => setCategoryFilter(categoryFilter === category.id ? 'all' : category.id)}
+              className={`flex items-center gap-1 px-3 py-1 rounded-full text-xs transition-colors ${
+                categoryFilter === category.id ? 'bg-white/20 text-white' : 'text-white/60 hover:bg-white/10'
+              }`}
+            >
+              <CategoryIcon icon={category.icon} className="w-3 h-3" />
+              {category.name}
+            </button>
+          ))}
+          <button
+            onClick={() => setShowCategoryManager(true)}
+            className="glass-button p-1.5 ml-auto"
+            title="Manage categories"
+          >
+            <Shapes className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Custom field filter */}
+        {customFields.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            <SlidersHorizontal className="w-4 h-4 text-white/50" />
+            <select
+              value={filteredField?.id ?? ''}
+              onChange={(e) => setFieldFilter({ fieldId: e.target.value || null, value: '' })}
+              className={selectClassName}
+              aria-label="Filter by field"
+            >
+              <option value="" className="bg-gray-800">Any field</option>
+              {customFields.map(field => (
+                <option key={field.id} value={field.id} className="bg-gray-800">{field.name}</option>
+              ))}
+            </select>
+            {filteredField?.type === 'select' && (
+              <select
+                value={fieldFilter.value}
+                onChange={(e) => setFieldFilter({ ...fieldFilter, value: e.target.value })}
+                className={selectClassName}
+                aria-label="Field value"
+              >
+                <option value="" className="bg-gray-800">Any value</option>
+                {filteredField.options.map(option => (
+                  <option key={option} value={option} className="bg-gray-800">{option}</option>
+                ))}
+              </select>
+            )}
+            {filteredField && !['select', 'checkbox'].includes(filteredField.type) && (
+              <input
+                type="text"
+                value={fieldFilter.value}
+                onChange={(e) => setFieldFilter({ ...fieldFilter, value: e.target.value })}
+                placeholder="Any value"
+                className="px-3 py-1.5 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-sm text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-violet-400/50"
+                aria-label="Field value"
+              />
+            )}
+            {filteredField?.type === 'checkbox' && (
+              <span className="text-sm text-white/60">is checked</span>
+            )}
+          </div>
+        )}
+
+        {/* Breadcrumbs for the focused subtree */}
+        {focusPath.length > 0 && (
+          <Breadcrumb>
+            <BreadcrumbList className="text-white/60">
+              <BreadcrumbItem>
+                <BreadcrumbLink asChild>
+                  <button onClick={() => setFocusedTodoId(null)} className="hover:text-white">
+                    All todos
+                  </button>
+                </BreadcrumbLink>
+              </BreadcrumbItem>
+              {focusPath.map((todo, index) => (
+                <Fragment key={todo.id}>
+                  <BreadcrumbSeparator />
+                  <BreadcrumbItem>
+                    {index === focusPath.length - 1 ? (
+                      <BreadcrumbPage className="text-white">{todo.text}</BreadcrumbPage>
+                    ) : (
+                      <BreadcrumbLink asChild>
+                        <button onClick={() => setFocusedTodoId(todo.id)} className="hover:text-white">
+                          {todo.text}
+                        </button>
+                      </BreadcrumbLink>
+                    )}
+                  </BreadcrumbItem>
+                </Fragment>
+              ))}
+            </BreadcrumbList>
+          </Breadcrumb>
+        )}
+
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex flex-wrap gap-2">
+            {FILTERS.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setFilter(value)}
+                className={`px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                  filter === value
+                    ? 'bg-primary/20 text-primary'
+                    : 'hover:bg-white/10'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {filter === 'trash' ? (
+            <div className="flex items-center gap-2">
+              <label className="text-sm opacity-70" htmlFor="trash-retention">
+                Delete after
+              </label>
+              <select
+                id="trash-retention"
+                value={trashRetentionDays}
+                onChange={(e) => setTrashRetention(Number(e.target.value))}
+                className="px-2 py-1.5 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-violet-400/50"
+              >
+                {TRASH_RETENTION_OPTIONS.map(days => (
+                  <option key={days} value={days} className="bg-gray-800">
+                    {days} days
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={emptyTrash}
+                disabled={stats.trashed === 0}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-200 text-sm font-medium transition-all disabled:opacity-40"
+              >
+                <Trash2 className="w-4 h-4" />
+                Empty trash
+              </button>
+            </div>
+          ) : (
+            <div className="flex items-center gap-2">
+              <span className="text-sm opacity-70">
+                {stats.active} active · {stats.completed} done
+                {stats.subtasks.total > 0 && ` · ${stats.subtasks.completed}/${stats.subtasks.total} subtasks`}
+              </span>
+              {/* Open todos by priority */}
+              {stats.byPriority
+                .filter(level => level.count > 0)
+                .map(level => (
+                  <span
+                    key={level.id}
+                    className="flex items-center gap-1 text-xs opacity-70"
+                    title={`${level.count} open at ${level.label}`}
+                  >
+                    <span className={`w-2 h-2 rounded-full ${PRIORITY_COLOR_CLASSES[level.color].dot}`} />
+                    {level.count}
+                  </span>
+                ))}
+              <button
+                onClick={() => setShowPriorityScale(true)}
+                className="glass-button p-2"
+                title="Priority scale"
+              >
+                <Flag className="w-4 h-4" />
+              </button>
+              <button
+                onClick={markAllCompleted}
+                disabled={stats.total === 0}
+                className="glass-button p-2 disabled:opacity-40"
+                title="Toggle all completed"
+              >
+                <CheckCheck className="w-4 h-4" />
+              </button>
+              <button
+                onClick={clearCompleted}
+                disabled={stats.completed === 0}
+                className="glass-button p-2 disabled:opacity-40"
+                title="Move completed to trash"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {filter !== 'trash' && (
+        <RolloverPrompt
+          todos={listTodos}
+          showToday={filter === 'today'}
+          onReschedule={rescheduleTodos}
+        />
+      )}
+
+      {showOutline ? (
+        <TodoOutline
+          todos={todos}
+          priorityLevels={priorityLevels}
+          onToggleComplete={toggleTodo}
+          onEditTodo={setEditingTodo}
+          onIndentTodo={indentTodo}
+          onOutdentTodo={outdentTodo}
+          onFocusTodo={setFocusedTodoId}
+        />
+      ) : (
+        <TodoList
+          todos={sortedTodos}
+          allTodos={allTodos}
+          categories={categories}
+          priorityLevels={priorityLevels}
+          customFields={customFields}
+          filter={filter}
+          onToggleComplete={toggleTodo}
+          onToggleSubtask={toggleSubtask}
+          onDeleteTodo={deleteTodo}
+          onEditTodo={setEditingTodo}
+          onToggleFavorite={toggleFavorite}
+          onRestoreTodo={restoreTodo}
+          onDeleteTodoPermanently={deleteTodoPermanently}
+          trashRetentionDays={trashRetentionDays}
+          onShowDetails={setDetailsTodoId}
+          onStartTimer={startTimer}
+          onStopTimer={stopTimer}
+          onStartFocus={setFocusModeTodoId}
+          runningTodoId={runningTimer?.todo.id}
+        />
+      )}
+
+      <TodoDetailsPanel
+        todoId={detailsTodoId}
+        onOpenChange={(open) => !open && setDetailsTodoId(null)}
+      />
+
+      {focusModeTodoId && (
+        <FocusMode todoId={focusModeTodoId} onClose={() => setFocusModeTodoId(null)} />
+      )}
+
+      <CategoryManagerDialog
+        open={showCategoryManager}
+        onOpenChange={setShowCategoryManager}
+      />
+
+      <PriorityScaleDialog
+        open={showPriorityScale}
+        onOpenChange={setShowPriorityScale}
+      />
+    </div>
+  );
+};
+
+export default TodoListContainer;
@@ -0,0 +1,192 @@
+import { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Check, ChevronRight, ChevronDown, CornerDownRight, Calendar } from 'lucide-react';
+import { flattenTree } from '../utils/todoTree';
+import { isOverdue } from '../utils/todoHelpers';
+import { formatDue } from '../utils/todoDueDates';
+import { getPriorityLevel, PRIORITY_COLOR_CLASSES, DEFAULT_PRIORITY_SCALE } from '../utils/todoPriorities';
+
+// Keyboard-driven tree of todos: Tab/Shift+Tab indent and outdent the
+// focused row, arrow keys move between rows and collapse or expand them
+const TodoOutline = ({
+  todos,
+  priorityLevels = DEFAULT_PRIORITY_SCALE.levels,
+  onToggleComplete,
+  onEditTodo,
+  onIndentTodo,
+  onOutdentTodo,
+  onFocusTodo
+}) => {
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+  const rowRefs = useRef(new Map());
+  // Row to refocus once an indent or outdent has re-rendered the tree
+  const pendingFocusRef = useRef(null);
+
+  const rows = flattenTree(todos, collapsedIds);
+
+  // Moving a row in the DOM can drop its focus, so restore it
+  useEffect(() => {
+    if (!pendingFocusRef.current) return;
+    rowRefs.current.get(pendingFocusRef.current)?.focus();
+    pendingFocusRef.current = null;
+  }, [todos]);
+
+  const setCollapsed = (id, collapsed) => {
+    setCollapsedIds(prev => {
+      const next = new Set(prev);
+      if (collapsed) {
+        next.add(id);
+      } else {
+        next.delete(id);
+      }
+      return next;
+    });
+  };
+
+  const focusRow = (index) => {
+    const row = rows[index];
+    if (row) rowRefs.current.get(row.todo.id)?.focus();
+  };
+
+  const handleKeyDown = (event, row, index) => {
+    // Leave keys pressed on the row's own buttons alone
+    if (event.target !== event.currentTarget) return;
+
+    switch (event.key) {
+      case 'Tab':
+        event.preventDefault();
+        pendingFocusRef.current = row.todo.id;
+        if (event.shiftKey) {
+          onOutdentTodo(row.todo.id);
+        } else {
+          onIndentTodo(row.todo.id);
+        }
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        focusRow(index + 1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        focusRow(index - 1);
+        break;
+      case 'ArrowRight':
+        if (row.collapsed) setCollapsed(row.todo.id, false);
+        break;
+      case 'ArrowLeft':
+        if (row.hasChildren && !row.collapsed) setCollapsed(row.todo.id, true);
+        break;
+      case 'Enter':
+        onEditTodo(row.todo);
+        break;
+      case ' ':
+        event.preventDefault();
+        onToggleComplete(row.todo.id);
+        break;
+      default:
+        break;
+    }
+  };
+
+  if (rows.length === 0) {
+    return (
+      <div className="glass-card p-8 rounded-2xl text-center text-white/60">
+        Nothing to show here.
+      </div>
+    );
+  }
+
+  return (
+    <div className="glass-card p-3 rounded-2xl">
+      <ul role="tree" aria-label="Todo outline" className="space-y-0.5">
+        {rows.map((row, index) => {
+          const { todo, depth, hasChildren, collapsed } = row;
+
+          return (
+            <li
+              key={todo.id}
+              ref={node => {
+                if (node) {
+                  rowRefs.current.set(todo.id, node);
+                } else {
+                  rowRefs.current.delete(todo.id);
+                }
+              }}
+              data-todo-id={todo.id}
+              role="treeitem"
+              aria-level={depth + 1}
+              aria-expanded={hasChildren ? !collapsed : undefined}
+              tabIndex={0}
+              onKeyDown={(event) => handleKeyDown(event, row, index)}
+              className="group flex items-center gap-2 py-1.5 pr-2 rounded-xl hover:bg-white/10 focus:outline-none focus:bg-white/10 focus:ring-2 focus:ring-violet-400/50 transition-colors"
+              style={{ paddingLeft: `${depth * 1.5 + 0.5}rem` }}
+            >
+              {/* Collapse Toggle */}
+              {hasChildren ? (
+                <button
+                  tabIndex={-1}
+                  onClick={() => setCollapsed(todo.id, !collapsed)}
+                  className="p-0.5 rounded hover:bg-white/10 text-white/60"
+                  aria-label={collapsed ? 'Expand' : 'Collapse'}
+                >
+                  {collapsed ? <ChevronRight className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                </button>
+              ) : (
+                <span className="w-5" />
+              )}
+
+              {/* Checkbox */}
+              <motion.button
+                tabIndex={-1}
+                whileTap={{ scale: 0.9 }}
+                onClick={() => onToggleComplete(todo.id)}
+                className={`flex-shrink-0 w-5 h-5 rounded-full border-2 flex items-center justify-center transition-all ${
+                  todo.completed
+                    ? 'bg-gradient-to-r from-green-400 to-emerald-500 border-green-400'
+                    : 'border-white/40 hover:border-white/60'
+                }`}
+                aria-label={todo.completed ? 'Mark as active' : 'Mark as completed'}
+              >
+                {todo.completed && <Check className="w-3 h-3 text-white" />}
+              </motion.button>
+
+              <span className={`w-2 h-2 flex-shrink-0 rounded-full ${PRIORITY_COLOR_CLASSES[getPriorityLevel(priorityLevels, todo.priority).color].dot}`} />
+
+              <button
+                tabIndex={-1}
+                onClick={() => onEditTodo(todo)}
+                className={`flex-1 min-w-0 text-left truncate ${
+                  todo.completed ? 'text-white/50 line-through' : 'text-white/90'
+                }`}
+              >
+                {todo.text}
+              </button>
+
+              {todo.dueDate && (
+                <span className={`flex items-center gap-1 text-xs ${isOverdue(todo) ? 'text-red-300' : 'text-white/50'}`}>
+                  <Calendar className="w-3 h-3" />
+                  {formatDue(todo)}
+                </span>
+              )}
+
+              {/* Drill In */}
+              <button
+                tabIndex={-1}
+                onClick={() => onFocusTodo(todo.id)}
+                className="p-1 rounded-lg text-white/50 hover:text-white hover:bg-white/10 opacity-0 group-hover:opacity-100 group-focus:opacity-100 transition-opacity"
+                title="Open the todos nested under this one"
+              >
+                <CornerDownRight className="w-4 h-4" />
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <p className="px-2 pt-3 text-xs text-white/40">
+        Tab / Shift+Tab to indent or outdent · arrows to move and collapse · Enter to edit · Space to complete
+      </p>
+    </div>
+  );
+};
+
+export default TodoOutline;
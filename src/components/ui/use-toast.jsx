@@ -110,7 +110,7 @@ function dispatch(action) {
   });
 }
 
-function toast({ ...props }) {
+function toast({ duration, ...props }) {
   const id = genId();
 
   const update = (props) =>
@@ -134,6 +134,11 @@ function toast({ ...props }) {
     },
   });
 
+  // Close on its own after `duration` ms when one is given
+  if (duration) {
+    setTimeout(dismiss, duration);
+  }
+
   return {
     id,
     dismiss,
@@ -0,0 +1,111 @@
+import { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import { createSyncChannel } from '../utils/sync';
+import {
+  DEFAULT_CATEGORIES,
+  addCategory as addCategoryTo,
+  updateCategory as updateCategoryIn,
+  moveCategory as moveCategoryIn,
+  removeCategory as removeCategoryFrom,
+  restoreCategory as restoreCategoryIn,
+  parseCategories,
+  loadCategories,
+  saveCategories
+} from '../utils/todoCategories';
+
+// Category Context
+const CategoryContext = createContext();
+
+export const useCategories = () => {
+  const context = useContext(CategoryContext);
+  if (!context) {
+    throw new Error('useCategories must be used within a CategoryProvider');
+  }
+  return context;
+};
+
+// Category Provider Component
+const CategoryProvider = ({ children }) => {
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const categoriesRef = useRef(categories);
+  const syncChannelRef = useRef(null);
+
+  // Store, share with other tabs and apply a new set of categories
+  const commitCategories = useCallback((nextCategories) => {
+    categoriesRef.current = nextCategories;
+    setCategories(nextCategories);
+    saveCategories(nextCategories);
+    syncChannelRef.current?.post({ categories: nextCategories });
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadCategories().then(loadedCategories => {
+      if (cancelled) return;
+      categoriesRef.current = loadedCategories;
+      setCategories(loadedCategories);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Follow category changes made in other tabs; they already persisted them
+  useEffect(() => {
+    const channel = createSyncChannel('categories', message => {
+      if (!Array.isArray(message.categories)) return;
+      const nextCategories = parseCategories(JSON.stringify(message.categories));
+      categoriesRef.current = nextCategories;
+      setCategories(nextCategories);
+    });
+    syncChannelRef.current = channel;
+
+    return () => {
+      channel.close();
+      syncChannelRef.current = null;
+    };
+  }, []);
+
+  // Throws when the fields are invalid or the name is taken
+  const addCategory = (fields) => {
+    commitCategories(addCategoryTo(categoriesRef.current, fields));
+  };
+
+  // Throws when the fields are invalid or the name is taken
+  const updateCategory = (id, updates) => {
+    commitCategories(updateCategoryIn(categoriesRef.current, id, updates));
+  };
+
+  const moveCategory = (id, offset) => {
+    commitCategories(moveCategoryIn(categoriesRef.current, id, offset));
+  };
+
+  // Only removes the category itself; TodoContext's deleteCategory also
+  // reassigns the todos and lists that use it
+  const removeCategory = useCallback((id) => {
+    commitCategories(removeCategoryFrom(categoriesRef.current, id));
+  }, [commitCategories]);
+
+  // Put back a removed category, for undoing its deletion
+  const restoreCategory = useCallback((category, index) => {
+    commitCategories(restoreCategoryIn(categoriesRef.current, category, index));
+  }, [commitCategories]);
+
+  const value = {
+    categories,
+    addCategory,
+    updateCategory,
+    moveCategory,
+    removeCategory,
+    restoreCategory
+  };
+
+  return (
+    <CategoryContext.Provider value={value}>
+      {children}
+    </CategoryContext.Provider>
+  );
+};
+
+export default CategoryProvider;
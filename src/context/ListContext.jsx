@@ -0,0 +1,130 @@
+import { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import { getStorageAdapter, STORAGE_KEYS } from '../utils/storage';
+import { createSyncChannel } from '../utils/sync';
+import {
+  DEFAULT_LIST,
+  createList,
+  updateList as updateListIn,
+  parseLists,
+  loadLists,
+  saveLists
+} from '../utils/todoLists';
+import { DEFAULT_LIST_ID } from '../utils/todoSchema';
+
+// List Context
+const ListContext = createContext();
+
+export const useLists = () => {
+  const context = useContext(ListContext);
+  if (!context) {
+    throw new Error('useLists must be used within a ListProvider');
+  }
+  return context;
+};
+
+// List Provider Component
+const ListProvider = ({ children }) => {
+  const [lists, setLists] = useState([DEFAULT_LIST]);
+  const [activeListId, setActiveListIdState] = useState(DEFAULT_LIST_ID);
+  const [isLoading, setIsLoading] = useState(true);
+  const listsRef = useRef(lists);
+  const syncChannelRef = useRef(null);
+
+  // Store, share with other tabs and apply a new set of lists
+  const commitLists = useCallback((nextLists) => {
+    listsRef.current = nextLists;
+    setLists(nextLists);
+    saveLists(nextLists);
+    syncChannelRef.current?.post({ lists: nextLists });
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const storage = getStorageAdapter();
+
+    Promise.all([
+      loadLists(storage),
+      storage.getItem(STORAGE_KEYS.ACTIVE_LIST).catch(() => null)
+    ]).then(([loadedLists, savedActiveListId]) => {
+      if (cancelled) return;
+
+      listsRef.current = loadedLists;
+      setLists(loadedLists);
+      if (loadedLists.some(list => list.id === savedActiveListId && !list.archived)) {
+        setActiveListIdState(savedActiveListId);
+      }
+      setIsLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Follow list changes made in other tabs; they already persisted them
+  useEffect(() => {
+    const channel = createSyncChannel('lists', message => {
+      if (!Array.isArray(message.lists)) return;
+      const nextLists = parseLists(JSON.stringify(message.lists));
+      listsRef.current = nextLists;
+      setLists(nextLists);
+    });
+    syncChannelRef.current = channel;
+
+    return () => {
+      channel.close();
+      syncChannelRef.current = null;
+    };
+  }, []);
+
+  const activeList = lists.find(list => list.id === activeListId && !list.archived) ?? lists[0];
+
+  // Show the todos of another list
+  const setActiveListId = (id) => {
+    setActiveListIdState(id);
+    getStorageAdapter().setItem(STORAGE_KEYS.ACTIVE_LIST, id).catch(error => {
+      console.error('Error saving active list:', error);
+    });
+  };
+
+  // Create a list and switch to it; throws when the fields are invalid
+  const addList = (fields) => {
+    const list = createList(fields);
+    commitLists([...listsRef.current, list]);
+    setActiveListId(list.id);
+    return list;
+  };
+
+  // Edit a list; throws when the fields are invalid
+  const updateList = useCallback((id, updates) => {
+    commitLists(updateListIn(listsRef.current, id, updates));
+  }, [commitLists]);
+
+  // Archive or unarchive a list, leaving it first if it is the active one
+  const setListArchived = (id, archived) => {
+    updateList(id, { archived });
+    if (archived && id === activeList.id) {
+      setActiveListId(DEFAULT_LIST_ID);
+    }
+  };
+
+  const value = {
+    lists,
+    activeLists: lists.filter(list => !list.archived),
+    archivedLists: lists.filter(list => list.archived),
+    activeList,
+    isLoading,
+    setActiveListId,
+    addList,
+    updateList,
+    setListArchived
+  };
+
+  return (
+    <ListContext.Provider value={value}>
+      {children}
+    </ListContext.Provider>
+  );
+};
+
+export default ListProvider;
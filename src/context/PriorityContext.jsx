@@ -0,0 +1,82 @@
+import { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import { createSyncChannel } from '../utils/sync';
+import {
+  DEFAULT_PRIORITY_SCALE,
+  validatePriorityScale,
+  parsePriorityScale,
+  loadPriorityScale,
+  savePriorityScale
+} from '../utils/todoPriorities';
+import { priorityScaleSchema } from '../utils/todoSchema';
+
+// Priority Context
+const PriorityContext = createContext();
+
+export const usePriorities = () => {
+  const context = useContext(PriorityContext);
+  if (!context) {
+    throw new Error('usePriorities must be used within a PriorityProvider');
+  }
+  return context;
+};
+
+// Priority Provider Component
+const PriorityProvider = ({ children }) => {
+  const [scale, setScaleState] = useState(DEFAULT_PRIORITY_SCALE);
+  const syncChannelRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadPriorityScale().then(loadedScale => {
+      if (!cancelled) setScaleState(loadedScale);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Follow scale changes made in other tabs; they already persisted them
+  useEffect(() => {
+    const channel = createSyncChannel('priorities', message => {
+      if (!message.scale) return;
+      setScaleState(parsePriorityScale(JSON.stringify(message.scale)));
+    });
+    syncChannelRef.current = channel;
+
+    return () => {
+      channel.close();
+      syncChannelRef.current = null;
+    };
+  }, []);
+
+  // Only replaces the scale; TodoContext's changePriorityScale also maps
+  // the todos and lists onto it. Throws when the scale is invalid.
+  const setScale = useCallback((nextScale) => {
+    const errors = validatePriorityScale(nextScale);
+    if (Object.keys(errors).length > 0) {
+      throw new Error(Object.values(errors)[0]);
+    }
+
+    const parsedScale = priorityScaleSchema.parse(nextScale);
+    setScaleState(parsedScale);
+    savePriorityScale(parsedScale);
+    syncChannelRef.current?.post({ scale: parsedScale });
+  }, []);
+
+  const value = {
+    scale,
+    levels: scale.levels,
+    defaultPriority: scale.defaultPriority,
+    setScale
+  };
+
+  return (
+    <PriorityContext.Provider value={value}>
+      {children}
+    </PriorityContext.Provider>
+  );
+};
+
+export default PriorityProvider;
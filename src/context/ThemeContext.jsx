@@ -0,0 +1,102 @@
+import { useState, useEffect, useRef, createContext, useContext } from 'react';
+import { getStorageAdapter, STORAGE_KEYS } from '../utils/storage';
+import { createSyncChannel } from '../utils/sync';
+import { settingsSchema, THEME_NAMES, DEFAULT_THEME } from '../utils/todoSchema';
+
+// Theme Context
+const ThemeContext = createContext();
+
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used within a ThemeProvider');
+  }
+  return context;
+};
+
+const themes = Object.fromEntries(THEME_NAMES.map(name => [name, `theme-${name}`]));
+
+// Persist a theme preference without blocking the UI
+const persistPreference = (key, value) => {
+  getStorageAdapter().setItem(key, value).catch(error => {
+    console.error('Error saving theme preference:', error);
+  });
+};
+
+// Theme Provider Component
+const ThemeProvider = ({ children }) => {
+  const [theme, setTheme] = useState(DEFAULT_THEME);
+  const [isDarkMode, setIsDarkMode] = useState(false);
+  const syncChannelRef = useRef(null);
+
+  const toggleTheme = (newTheme) => {
+    setTheme(newTheme);
+    persistPreference(STORAGE_KEYS.THEME, newTheme);
+    syncChannelRef.current?.post({ theme: newTheme });
+  };
+
+  const toggleDarkMode = () => {
+    setIsDarkMode(!isDarkMode);
+    persistPreference(STORAGE_KEYS.DARK_MODE, (!isDarkMode).toString());
+    syncChannelRef.current?.post({ isDarkMode: !isDarkMode });
+  };
+
+  // Follow theme changes made in other tabs; they already persisted them
+  useEffect(() => {
+    const channel = createSyncChannel('theme', message => {
+      if (THEME_NAMES.includes(message.theme)) {
+        setTheme(message.theme);
+      }
+      if (typeof message.isDarkMode === 'boolean') {
+        setIsDarkMode(message.isDarkMode);
+      }
+    });
+    syncChannelRef.current = channel;
+
+    return () => {
+      channel.close();
+      syncChannelRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const storage = getStorageAdapter();
+
+    Promise.all([
+      storage.getItem(STORAGE_KEYS.THEME),
+      storage.getItem(STORAGE_KEYS.DARK_MODE)
+    ]).then(([savedTheme, savedDarkMode]) => {
+      if (cancelled) return;
+
+      const settings = settingsSchema.parse({
+        theme: savedTheme,
+        isDarkMode: savedDarkMode === 'true'
+      });
+      setTheme(settings.theme);
+      setIsDarkMode(settings.isDarkMode);
+    }).catch(error => {
+      console.error('Error loading theme preferences:', error);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const value = {
+    theme,
+    themes,
+    isDarkMode,
+    toggleTheme,
+    toggleDarkMode
+  };
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+};
+
+export default ThemeProvider;
@@ -0,0 +1,826 @@
+import { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import {
+  loadTodos,
+  persistTodos,
+  filterTodos,
+  filterByCategory,
+  searchTodos,
+  isOverdue,
+  exportTodos,
+  importTodos,
+  getArchivableTodos,
+  diffTodos,
+  mergeTodos,
+  getLiveTodos,
+  isTrashed,
+  trashTodos,
+  restoreTodos,
+  purgeTrash,
+  purgeExpiredTrash,
+  revertTodoToVersion,
+  toggleSubtask as toggleSubtaskIn,
+  toggleTodoCompletion,
+  updateRecurringTodo as updateRecurringTodoIn,
+  DEFAULT_TRASH_RETENTION_DAYS
+} from '../utils/todoHelpers';
+import { createTodo, applyTodoUpdates, validateTodo, getSubtaskProgress } from '../utils/todoModel';
+import { StorageCorruptionError } from '../utils/storageRecovery';
+import { getStorageAdapter, isQuotaExceededError, STORAGE_KEYS } from '../utils/storage';
+import { createSyncChannel } from '../utils/sync';
+import { getAncestors, getDescendantIds, indentTodo as indentTodoIn, outdentTodo as outdentTodoIn } from '../utils/todoTree';
+import {
+  DEFAULT_HISTORY_DEPTH,
+  EMPTY_HISTORY,
+  createHistoryEntry,
+  applyHistoryEntry,
+  pushHistoryEntry,
+  parseHistory
+} from '../utils/todoHistory';
+import { assertNoDependencyCycle, getNewlyUnblocked } from '../utils/todoDependencies';
+import { resolveListId, moveTodosToList as moveTodosToListIn } from '../utils/todoLists';
+import { reassignCategory } from '../utils/todoCategories';
+import { remapPriorities, countByPriority } from '../utils/todoPriorities';
+import { filterByCustomField, mergeCustomFields } from '../utils/todoCustomFields';
+import {
+  getRunningTimer,
+  startTimer as startTimerIn,
+  stopTimers,
+  stopFinishedTimers,
+  addTimeEntry as addTimeEntryIn,
+  removeTimeEntry
+} from '../utils/todoTime';
+import { logFocusSession as logFocusSessionIn } from '../utils/todoFocus';
+import { markRemindersFired as markRemindersFiredIn, snoozeReminder as snoozeReminderIn } from '../utils/todoReminders';
+import { rescheduleTodos as rescheduleTodosIn } from '../utils/todoSchedule';
+import { DEFAULT_CATEGORY } from '../utils/todoSchema';
+import { useLists } from './ListContext';
+import { useCategories } from './CategoryContext';
+import { usePriorities } from './PriorityContext';
+import { toast } from '../components/ui/use-toast';
+import { ToastAction } from '../components/ui/toast';
+
+// How long the undo toast after a destructive change stays up
+const UNDO_TOAST_DURATION = 8000;
+
+// File-name friendly version of a list name
+const toFileSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'list';
+
+// How long notices such as "todo unblocked" stay up
+const NOTICE_TOAST_DURATION = 5000;
+
+// How often expired todos are purged from the trash while the app is open
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Todo Context
+const TodoContext = createContext();
+
+export const useTodos = () => {
+  const context = useContext(TodoContext);
+  if (!context) {
+    throw new Error('useTodos must be used within a TodoProvider');
+  }
+  return context;
+};
+
+// Todo Provider Component
+const TodoProvider = ({ children, historyDepth = DEFAULT_HISTORY_DEPTH }) => {
+  const { lists, activeList, updateList, isLoading: listsLoading } = useLists();
+  const { categories, removeCategory, restoreCategory } = useCategories();
+  const { scale: priorityScale, levels: priorityLevels, setScale: setPriorityScale } = usePriorities();
+  const [todos, setTodos] = useState([]);
+  const [filter, setFilter] = useState('all'); // all, today, upcoming, active, ready, completed, favorites, overdue, trash
+  const [searchQuery, setSearchQuery] = useState('');
+  // Category id to show, or 'all'
+  const [categoryFilter, setCategoryFilter] = useState('all');
+  // Custom field of the active list to filter by, and the value to look for;
+  // an empty value matches any todo with the field set
+  const [fieldFilter, setFieldFilter] = useState({ fieldId: null, value: '' });
+  const [editingTodo, setEditingTodo] = useState(null);
+  // Todo whose subtree is being viewed; null shows the whole tree
+  const [focusedTodoId, setFocusedTodoId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  // Set when stored data was corrupt; saving waits until the user resolves it
+  const [recovery, setRecovery] = useState(null);
+  // Set when stored todos could not be read at all; nothing is saved until a
+  // retry succeeds, so the store is never overwritten with an empty list
+  const [loadError, setLoadError] = useState(null);
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  // idle | saving | saved | error
+  const [persistence, setPersistence] = useState({
+    status: 'idle',
+    error: null,
+    quotaExceeded: false,
+    lastSavedAt: null
+  });
+  const [compactStorage, setCompactStorage] = useState(false);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+  // Undo/redo stacks; null until the stored history has been read
+  const [history, setHistory] = useState(null);
+  const saveRequestRef = useRef(0);
+  const latestSaveRef = useRef({ todos: [], compact: false });
+  const failureToastRef = useRef(null);
+  const syncChannelRef = useRef(null);
+  // Last list shared with other tabs, and the last list merged in from them
+  const syncedTodosRef = useRef(null);
+  const remoteMergedRef = useRef(null);
+  // Latest values for mutations that run several times before a re-render
+  const todosRef = useRef(todos);
+  const historyRef = useRef(EMPTY_HISTORY);
+
+  // Load todos on component mount
+  useEffect(() => {
+    let cancelled = false;
+
+    const storage = getStorageAdapter();
+    Promise.all([
+      storage.getItem(STORAGE_KEYS.COMPACT_STORAGE).catch(() => null),
+      storage.getItem(STORAGE_KEYS.TRASH_RETENTION).catch(() => null)
+    ])
+      .then(([compact, retention]) => {
+        if (!cancelled) {
+          setCompactStorage(compact === 'true');
+          if (Number(retention) > 0) setTrashRetentionDays(Number(retention));
+        }
+        return loadTodos();
+      })
+      .then(loadedTodos => {
+        if (cancelled) return;
+        todosRef.current = loadedTodos;
+        setTodos(loadedTodos);
+        setIsLoading(false);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        if (error instanceof StorageCorruptionError) {
+          setRecovery(error);
+        } else {
+          console.error('Error loading todos:', error);
+          setLoadError(error);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [loadAttempt]);
+
+  // Load undo history so it survives a reload
+  useEffect(() => {
+    let cancelled = false;
+
+    getStorageAdapter().getItem(STORAGE_KEYS.HISTORY)
+      .catch(() => null)
+      .then(stored => {
+        // Changes made while loading take precedence over the stored stacks
+        if (!cancelled) setHistory(prevHistory => prevHistory ?? parseHistory(stored, historyDepth));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [historyDepth]);
+
+  // Purge expired todos from the trash after loading, when the retention
+  // period changes, and periodically while the app stays open
+  useEffect(() => {
+    if (isLoading) return;
+
+    const purge = () => setTodos(prevTodos => purgeExpiredTrash(prevTodos, trashRetentionDays));
+    purge();
+    const interval = setInterval(purge, TRASH_PURGE_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isLoading, trashRetentionDays]);
+
+  // Keep refs in step with state changed outside the mutations (e.g. tab sync)
+  useEffect(() => {
+    todosRef.current = todos;
+  }, [todos]);
+
+  useEffect(() => {
+    if (!history) return;
+
+    historyRef.current = history;
+    getStorageAdapter().setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history)).catch(error => {
+      console.error('Error saving undo history:', error);
+    });
+  }, [history]);
+
+  // Write todos and track the outcome; only the latest save updates the status
+  const persist = useCallback(async (todosToSave, compact) => {
+    const requestId = ++saveRequestRef.current;
+    setPersistence(prev => ({ ...prev, status: 'saving' }));
+
+    try {
+      await persistTodos(todosToSave, getStorageAdapter(), { compact });
+      if (requestId !== saveRequestRef.current) return;
+
+      failureToastRef.current?.dismiss();
+      failureToastRef.current = null;
+      setPersistence({
+        status: 'saved',
+        error: null,
+        quotaExceeded: false,
+        lastSavedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error saving todos to storage:', error);
+      if (requestId !== saveRequestRef.current) return;
+
+      const quotaExceeded = isQuotaExceededError(error);
+      setPersistence(prev => ({ ...prev, status: 'error', error, quotaExceeded }));
+    }
+  }, []);
+
+  // Merge changes made in other tabs
+  useEffect(() => {
+    const channel = createSyncChannel('todos', message => {
+      setTodos(prevTodos => {
+        const merged = mergeTodos(prevTodos, message);
+        remoteMergedRef.current = merged;
+        return merged;
+      });
+    });
+    syncChannelRef.current = channel;
+
+    return () => {
+      channel.close();
+      syncChannelRef.current = null;
+    };
+  }, []);
+
+  // Save todos whenever todos state changes
+  useEffect(() => {
+    if (!isLoading) {
+      latestSaveRef.current = { todos, compact: compactStorage };
+      persist(todos, compactStorage);
+    }
+  }, [todos, isLoading, compactStorage, persist]);
+
+  // Tell other tabs about local changes; merges from them are not echoed back
+  useEffect(() => {
+    if (isLoading) return;
+
+    const previous = syncedTodosRef.current;
+    syncedTodosRef.current = todos;
+    if (!previous || todos === remoteMergedRef.current) return;
+
+    const { upserts, deletes } = diffTodos(previous, todos);
+    if (upserts.length > 0 || deletes.length > 0) {
+      syncChannelRef.current?.post({ upserts, deletes });
+    }
+  }, [todos, isLoading]);
+
+  // Try the last save again, e.g. after freeing space
+  const retrySave = useCallback(() => {
+    failureToastRef.current?.dismiss();
+    failureToastRef.current = null;
+    const { todos: latestTodos, compact } = latestSaveRef.current;
+    return persist(latestTodos, compact);
+  }, [persist]);
+
+  // One toast per failure streak rather than one per change
+  useEffect(() => {
+    if (persistence.status !== 'error' || failureToastRef.current) return;
+
+    failureToastRef.current = toast({
+      variant: 'destructive',
+      title: 'Changes are not being saved',
+      description: persistence.quotaExceeded
+        ? 'Browser storage is full. Open the storage tools to free up space.'
+        : 'Your latest changes could not be written to storage.',
+      action: (
+        <ToastAction altText="Retry saving" onClick={retrySave}>
+          Retry
+        </ToastAction>
+      )
+    });
+  }, [persistence.status, persistence.quotaExceeded, retrySave]);
+
+  // Store todos without default-valued fields to save space
+  const setCompactStorageEnabled = (enabled) => {
+    setCompactStorage(enabled);
+    getStorageAdapter().setItem(STORAGE_KEYS.COMPACT_STORAGE, String(enabled)).catch(error => {
+      console.error('Error saving storage preference:', error);
+    });
+  };
+
+  // Keep trashed todos for `days` days before purging them
+  const setTrashRetention = (days) => {
+    setTrashRetentionDays(days);
+    getStorageAdapter().setItem(STORAGE_KEYS.TRASH_RETENTION, String(days)).catch(error => {
+      console.error('Error saving trash preference:', error);
+    });
+  };
+
+  // Whether a todo shows up in the list being viewed. Until the lists have
+  // loaded every todo would resolve to the inbox, so none counts as in view
+  // and list-wide actions such as clearCompleted leave everything alone.
+  const isInActiveList = (todo) => !listsLoading && resolveListId(todo, lists) === activeList.id;
+
+  // Revert or re-apply what an entry changed besides todos: a deleted
+  // category comes back with the lists that defaulted to it, or goes again;
+  // a priority scale change swaps the scale and the lists' defaults back
+  const applyEntryDetails = useCallback((entry, direction) => {
+    const { deletedCategory, priorityScale: scaleChange } = entry;
+
+    if (deletedCategory) {
+      const { category, index, listIds, reassignTo } = deletedCategory;
+      if (direction === 'undo') {
+        restoreCategory(category, index);
+        listIds.forEach(listId => updateList(listId, { defaultCategory: category.id }));
+      } else {
+        listIds.forEach(listId => updateList(listId, { defaultCategory: reassignTo }));
+        removeCategory(category.id);
+        setCategoryFilter(current => (current === category.id ? 'all' : current));
+      }
+    }
+
+    if (scaleChange) {
+      const key = direction === 'undo' ? 'before' : 'after';
+      setPriorityScale(scaleChange[key]);
+      scaleChange.listDefaults.forEach(change => updateList(change.id, { defaultPriority: change[key] }));
+    }
+  }, [restoreCategory, removeCategory, updateList, setPriorityScale]);
+
+  // Undo the latest change. With `entryId`, only if that change is still the latest.
+  const undoChange = useCallback((entryId = null) => {
+    const { past, future } = historyRef.current;
+    const entry = past[past.length - 1];
+    if (!entry || (entryId && entry.id !== entryId)) return;
+
+    const nextTodos = applyHistoryEntry(todosRef.current, entry, 'undo');
+    const nextHistory = { past: past.slice(0, -1), future: [...future, entry] };
+    todosRef.current = nextTodos;
+    historyRef.current = nextHistory;
+    setTodos(nextTodos);
+    setHistory(nextHistory);
+    applyEntryDetails(entry, 'undo');
+  }, [applyEntryDetails]);
+
+  // Replace the list with `nextTodos` and record the change for undo.
+  // Mutations read the latest list from todosRef so several in a row compose.
+  // Timers of todos the change completes or trashes stop with it. `details`
+  // records what else the change did, for applyEntryDetails to revert.
+  const applyChange = useCallback((label, changedTodos, { undoToast = false, details = null } = {}) => {
+    const nextTodos = stopFinishedTimers(changedTodos);
+    const entry = createHistoryEntry(label, todosRef.current, nextTodos, details);
+    if (!entry) return null;
+
+    const nextHistory = pushHistoryEntry(historyRef.current, entry, historyDepth);
+    todosRef.current = nextTodos;
+    historyRef.current = nextHistory;
+    setTodos(nextTodos);
+    setHistory(nextHistory);
+
+    if (undoToast) {
+      const { dismiss } = toast({
+        title: label,
+        duration: UNDO_TOAST_DURATION,
+        action: (
+          <ToastAction altText="Undo" onClick={() => {
+            undoChange(entry.id);
+            dismiss();
+          }}>
+            Undo
+          </ToastAction>
+        )
+      });
+    }
+    return entry;
+  }, [historyDepth, undoChange]);
+
+  const undo = () => undoChange();
+
+  // Redo the most recently undone change
+  const redo = () => {
+    const { past, future } = historyRef.current;
+    const entry = future[future.length - 1];
+    if (!entry) return;
+
+    const nextTodos = applyHistoryEntry(todosRef.current, entry, 'redo');
+    const nextHistory = { past: [...past, entry], future: future.slice(0, -1) };
+    todosRef.current = nextTodos;
+    historyRef.current = nextHistory;
+    setTodos(nextTodos);
+    setHistory(nextHistory);
+    applyEntryDetails(entry, 'redo');
+  };
+
+  // Download completed todos older than `olderThanDays` to a file and remove
+  // them from the list. Returns how many were archived.
+  const archiveOldCompleted = (olderThanDays = 30) => {
+    const archivable = getArchivableTodos(todosRef.current.filter(isInActiveList), olderThanDays);
+    if (archivable.length === 0) return 0;
+
+    const filename = `todos-${toFileSlug(activeList.name)}-archive-${new Date().toISOString().split('T')[0]}.json`;
+    if (!exportTodos(archivable, filename)) return 0;
+
+    const archivedIds = new Set(archivable.map(todo => todo.id));
+    applyChange(
+      `Archived ${archivable.length} todo${archivable.length === 1 ? '' : 's'}`,
+      todosRef.current.filter(todo => !archivedIds.has(todo.id)),
+      { undoToast: true }
+    );
+    return archivable.length;
+  };
+
+  // Try reading the stored todos again after a failed load
+  const retryLoad = () => {
+    setLoadError(null);
+    setLoadAttempt(attempt => attempt + 1);
+  };
+
+  // Leave the recovery screen, keeping the recovered todos or starting empty.
+  // The corrupt payload stays under its backup key either way.
+  const resolveRecovery = (keepRecovered = true) => {
+    const recoveredTodos = keepRecovered && recovery ? recovery.recoveredTodos : [];
+    todosRef.current = recoveredTodos;
+    setTodos(recoveredTodos);
+    setRecovery(null);
+    setIsLoading(false);
+  };
+
+  // Add new todo
+  const addTodo = (todoData) => {
+    const errors = validateTodo(todoData);
+    if (Object.keys(errors).length > 0) {
+      throw new Error(Object.values(errors)[0]);
+    }
+
+    // New todos go to the list being viewed unless another one was picked
+    const newTodo = createTodo({ ...todoData, listId: todoData.listId ?? activeList.id });
+
+    applyChange('Added todo', [newTodo, ...todosRef.current]);
+    return newTodo;
+  };
+
+  // Update existing todo. Changing its list takes the todos nested under it
+  // along. Throws DependencyCycleError if the todo would end up waiting on itself.
+  const updateTodo = (id, updates, label = 'Updated todo') => {
+    const current = todosRef.current.find(todo => todo.id === id);
+    const isMove = Boolean(current && updates.listId && updates.listId !== current.listId);
+    const moved = isMove ? moveTodosToListIn(todosRef.current, [id], updates.listId) : todosRef.current;
+    const nextTodos = moved.map(todo =>
+      todo.id === id ? applyTodoUpdates(todo, isMove ? { ...updates, parentId: todo.parentId } : updates) : todo
+    );
+    assertNoDependencyCycle(nextTodos, id);
+    applyChange(label, nextTodos);
+  };
+
+  // Update a recurring todo, either this occurrence only ('this') or it
+  // and the rest of the series ('future')
+  const updateRecurringTodo = (id, updates, scope) => {
+    const nextTodos = updateRecurringTodoIn(todosRef.current, id, updates, scope);
+    assertNoDependencyCycle(nextTodos, id);
+    applyChange(scope === 'this' ? 'Updated occurrence' : 'Updated series', nextTodos);
+  };
+
+  // Let the user know which todos a change has unblocked
+  const notifyUnblocked = (previousTodos, nextTodos) => {
+    const unblocked = getNewlyUnblocked(previousTodos, nextTodos);
+    if (unblocked.length === 0) return;
+
+    toast({
+      title: unblocked.length === 1 ? 'Todo unblocked' : `${unblocked.length} todos unblocked`,
+      description: unblocked.map(todo => todo.text).join(', '),
+      duration: NOTICE_TOAST_DURATION
+    });
+  };
+
+  // Move todo to the trash
+  const deleteTodo = (id) => {
+    applyChange(
+      'Moved todo to trash',
+      trashTodos(todosRef.current, [id]),
+      { undoToast: true }
+    );
+  };
+
+  // Take todo back out of the trash
+  const restoreTodo = (id) => {
+    applyChange('Restored todo', restoreTodos(todosRef.current, [id]));
+  };
+
+  // Delete a trashed todo for good
+  const deleteTodoPermanently = (id) => {
+    applyChange('Deleted todo permanently', purgeTrash(todosRef.current, [id]));
+  };
+
+  // Delete everything in this list's trash for good
+  const emptyTrash = () => {
+    const trashedIds = todosRef.current
+      .filter(todo => isTrashed(todo) && isInActiveList(todo))
+      .map(todo => todo.id);
+    applyChange('Emptied trash', purgeTrash(todosRef.current, trashedIds), { undoToast: true });
+  };
+
+  // Restore a todo to an earlier version from its activity log
+  const revertTodo = (id, versionId) => {
+    applyChange('Reverted todo', revertTodoToVersion(todosRef.current, id, versionId));
+  };
+
+  // Toggle todo completion; completing a recurring todo adds its next occurrence
+  const toggleTodo = (id) => {
+    const completed = !todosRef.current.find(todo => todo.id === id)?.completed;
+    const previousTodos = todosRef.current;
+    const nextTodos = toggleTodoCompletion(previousTodos, id);
+    applyChange(completed ? 'Completed todo' : 'Reopened todo', nextTodos);
+    notifyUnblocked(previousTodos, nextTodos);
+  };
+
+  // Nest a todo under the sibling above it
+  const indentTodo = (id) => {
+    applyChange('Indented todo', indentTodoIn(todosRef.current, id, todo => !isTrashed(todo) && isInActiveList(todo)));
+  };
+
+  // Move a todo out to its parent's level
+  const outdentTodo = (id) => {
+    applyChange('Outdented todo', outdentTodoIn(todosRef.current, id, todo => !isTrashed(todo) && isInActiveList(todo)));
+  };
+
+  // Delete a category; its todos, and lists that default to it, move to
+  // `reassignTo`. The default category cannot be deleted. Undo brings back
+  // the category along with its todos and lists.
+  const deleteCategory = (id, reassignTo = DEFAULT_CATEGORY) => {
+    const index = categories.findIndex(category => category.id === id);
+    if (id === DEFAULT_CATEGORY || id === reassignTo || index === -1) return;
+
+    const listIds = lists.filter(list => list.defaultCategory === id).map(list => list.id);
+    applyChange('Deleted category', reassignCategory(todosRef.current, id, reassignTo), {
+      details: { deletedCategory: { category: categories[index], index, listIds, reassignTo } }
+    });
+    listIds.forEach(listId => updateList(listId, { defaultCategory: reassignTo }));
+    removeCategory(id);
+    if (categoryFilter === id) setCategoryFilter('all');
+  };
+
+  // Switch to another priority scale. `mapping` (old id -> new id) moves
+  // todos in every list, and lists' default priorities, onto it. Throws
+  // when the scale is invalid, before anything changes. Undo brings back
+  // the old scale along with the todos' and lists' priorities.
+  const changePriorityScale = (nextScale, mapping) => {
+    const listDefaults = lists
+      .filter(list => mapping[list.defaultPriority] && mapping[list.defaultPriority] !== list.defaultPriority)
+      .map(list => ({ id: list.id, before: list.defaultPriority, after: mapping[list.defaultPriority] }));
+
+    setPriorityScale(nextScale);
+    applyChange('Changed priority scale', remapPriorities(todosRef.current, mapping), {
+      details: { priorityScale: { before: priorityScale, after: nextScale, listDefaults } }
+    });
+    listDefaults.forEach(change => updateList(change.id, { defaultPriority: change.after }));
+  };
+
+  // Move a todo, with everything nested under it, to another list
+  const moveTodoToList = (id, listId) => {
+    applyChange('Moved todo to another list', moveTodosToListIn(todosRef.current, [id], listId));
+  };
+
+  // Check or uncheck a subtask; may complete or reopen the todo
+  const toggleSubtask = (id, subtaskId) => {
+    const previousTodos = todosRef.current;
+    const nextTodos = toggleSubtaskIn(previousTodos, id, subtaskId);
+    applyChange('Updated subtask', nextTodos);
+    notifyUnblocked(previousTodos, nextTodos);
+  };
+
+  // Start or resume tracking time on a todo; any other timer stops
+  const startTimer = (id) => {
+    applyChange('Started timer', startTimerIn(todosRef.current, id));
+  };
+
+  // Stop the running timer
+  const stopTimer = () => {
+    applyChange('Stopped timer', stopTimers(todosRef.current));
+  };
+
+  // Log time on a todo by hand. Throws when the entry is invalid.
+  const addTimeEntry = (id, fields) => {
+    applyChange('Added time entry', addTimeEntryIn(todosRef.current, id, fields));
+  };
+
+  // Remove a time entry from a todo
+  const deleteTimeEntry = (id, entryId) => {
+    applyChange('Deleted time entry', removeTimeEntry(todosRef.current, id, entryId));
+  };
+
+  // Record a work session that focus mode ran to the end
+  const logFocusSession = (id, start) => {
+    applyChange('Logged focus session', logFocusSessionIn(todosRef.current, id, start));
+  };
+
+  // Record that reminders went off. Not a change of the user's, so it
+  // skips the undo history; undo and redo keep the fired state instead.
+  // Both callbacks stay stable so the reminder scheduler is not reset on
+  // every render.
+  const markRemindersFired = useCallback((items) => {
+    const nextTodos = markRemindersFiredIn(todosRef.current, items);
+    todosRef.current = nextTodos;
+    setTodos(nextTodos);
+  }, []);
+
+  // Have a reminder go off again later; `option` is one of SNOOZE_OPTIONS
+  const snoozeReminder = useCallback((id, reminderId, option) => {
+    applyChange('Snoozed reminder', snoozeReminderIn(todosRef.current, id, reminderId, option));
+  }, [applyChange]);
+
+  // Schedule todos for another day, e.g. to roll unfinished ones over
+  const rescheduleTodos = (ids, day) => {
+    applyChange('Rescheduled todos', rescheduleTodosIn(todosRef.current, ids, day));
+  };
+
+  // Toggle todo favorite flag
+  const toggleFavorite = (id) => {
+    updateTodo(id, { favorite: !todosRef.current.find(todo => todo.id === id)?.favorite });
+  };
+
+  // Move this list's completed todos to the trash
+  const clearCompleted = () => {
+    const completedIds = getLiveTodos(todosRef.current)
+      .filter(todo => todo.completed && isInActiveList(todo))
+      .map(todo => todo.id);
+    applyChange(
+      'Moved completed todos to trash',
+      trashTodos(todosRef.current, completedIds),
+      { undoToast: true }
+    );
+  };
+
+  // Mark all of this list's todos as completed; trashed todos are left alone
+  const markAllCompleted = () => {
+    const listTodos = getLiveTodos(todosRef.current).filter(isInActiveList);
+    const hasIncomplete = listTodos.some(todo => !todo.completed);
+    applyChange(
+      hasIncomplete ? 'Marked all todos completed' : 'Marked all todos active',
+      todosRef.current.map(todo =>
+        isTrashed(todo) || !isInActiveList(todo) ? todo : applyTodoUpdates(todo, { completed: hasIncomplete })
+      ),
+      { undoToast: true }
+    );
+  };
+
+  // Everything below is scoped to the list being viewed
+  const listTodos = todos.filter(isInActiveList);
+
+  // Export this list's todos to a file
+  const exportList = () => exportTodos(
+    listTodos.filter(todo => !isTrashed(todo)),
+    `todos-${toFileSlug(activeList.name)}-${new Date().toISOString().split('T')[0]}.json`,
+    activeList.customFields
+  );
+
+  // Add the todos from an exported file to this list, along with custom
+  // fields the list does not have yet. Todos already in the app are left
+  // alone; rejected records are listed in the toast.
+  const importList = async (file) => {
+    let imported;
+    try {
+      imported = await importTodos(file);
+    } catch (error) {
+      toast({ variant: 'destructive', title: 'Import failed', description: error.message });
+      return;
+    }
+
+    const existingIds = new Set(todosRef.current.map(todo => todo.id));
+    const added = imported.todos
+      .filter(todo => !existingIds.has(todo.id))
+      .map(todo => ({ ...todo, listId: activeList.id }));
+    if (imported.customFields.length > 0) {
+      updateList(activeList.id, { customFields: mergeCustomFields(activeList.customFields, imported.customFields) });
+    }
+    if (added.length > 0) {
+      applyChange('Imported todos', [...added, ...todosRef.current], { undoToast: true });
+    }
+
+    const skipped = imported.todos.length - added.length;
+    const notes = [
+      skipped > 0 && `${skipped} already in the app`,
+      ...imported.errors.map(({ index, text, errors }) =>
+        `Record ${index + 1}${text ? ` ("${text}")` : ''}: ${Object.values(errors)[0]}`
+      )
+    ].filter(Boolean);
+    if (added.length === 0 || notes.length > 0) {
+      toast({
+        variant: imported.errors.length > 0 ? 'destructive' : 'default',
+        title: `Imported ${added.length === 1 ? '1 todo' : `${added.length} todos`}`,
+        description: notes.length > 0 ? `Skipped: ${notes.join('; ')}` : undefined,
+        duration: NOTICE_TOAST_DURATION
+      });
+    }
+  };
+
+  // The focused todo and its ancestors, for breadcrumbs; falls back to the
+  // whole tree once the focused todo is gone or trashed
+  const liveTodos = getLiveTodos(listTodos);
+  const focusedTodo = liveTodos.find(todo => todo.id === focusedTodoId) ?? null;
+  const focusPath = focusedTodo ? [...getAncestors(liveTodos, focusedTodo.id), focusedTodo] : [];
+
+  // Filter todos based on current focus, filter and search query. The trash
+  // is never scoped to the focused subtree.
+  const focusedIds = focusedTodo ? getDescendantIds(liveTodos, focusedTodo.id) : null;
+  const scopedTodos = focusedIds && filter !== 'trash'
+    ? listTodos.filter(todo => focusedIds.has(todo.id))
+    : listTodos;
+  const filteredField = activeList.customFields.find(field => field.id === fieldFilter.fieldId) ?? null;
+  const filteredTodos = searchTodos(
+    filterByCustomField(
+      filterByCategory(filterTodos(scopedTodos, filter, todos), categoryFilter),
+      filteredField,
+      fieldFilter.value
+    ),
+    searchQuery,
+    categories
+  );
+
+  // Get todo statistics; trashed todos only count towards `trashed`
+  const stats = {
+    total: liveTodos.length,
+    completed: liveTodos.filter(todo => todo.completed).length,
+    active: liveTodos.filter(todo => !todo.completed).length,
+    overdue: liveTodos.filter(todo => isOverdue(todo)).length,
+    trashed: listTodos.length - liveTodos.length,
+    // Open todos at each level of the priority scale
+    byPriority: countByPriority(liveTodos.filter(todo => !todo.completed), priorityLevels),
+    subtasks: liveTodos.reduce((acc, todo) => {
+      const progress = getSubtaskProgress(todo);
+      return {
+        total: acc.total + progress.total,
+        completed: acc.completed + progress.completed
+      };
+    }, { total: 0, completed: 0 })
+  };
+
+  const value = {
+    todos: filteredTodos,
+    allTodos: todos,
+    listTodos,
+    filter,
+    categoryFilter,
+    fieldFilter,
+    searchQuery,
+    editingTodo,
+    focusedTodo,
+    focusPath,
+    isLoading: isLoading || listsLoading,
+    recovery,
+    loadError,
+    persistence,
+    compactStorage,
+    trashRetentionDays,
+    stats,
+    runningTimer: getRunningTimer(todos),
+    canUndo: Boolean(history?.past.length),
+    canRedo: Boolean(history?.future.length),
+    undoLabel: history?.past[history.past.length - 1]?.label ?? null,
+    redoLabel: history?.future[history.future.length - 1]?.label ?? null,
+    setFilter,
+    setCategoryFilter,
+    setFieldFilter,
+    setSearchQuery,
+    setEditingTodo,
+    setFocusedTodoId,
+    addTodo,
+    updateTodo,
+    updateRecurringTodo,
+    moveTodoToList,
+    deleteCategory,
+    changePriorityScale,
+    exportList,
+    importList,
+    revertTodo,
+    deleteTodo,
+    restoreTodo,
+    deleteTodoPermanently,
+    emptyTrash,
+    setTrashRetention,
+    toggleTodo,
+    toggleSubtask,
+    indentTodo,
+    outdentTodo,
+    clearCompleted,
+    markAllCompleted,
+    toggleFavorite,
+    startTimer,
+    stopTimer,
+    addTimeEntry,
+    deleteTimeEntry,
+    logFocusSession,
+    markRemindersFired,
+    snoozeReminder,
+    rescheduleTodos,
+    resolveRecovery,
+    retryLoad,
+    retrySave,
+    setCompactStorageEnabled,
+    archiveOldCompleted,
+    undo,
+    redo
+  };
+
+  return (
+    <TodoContext.Provider value={value}>
+      {children}
+    </TodoContext.Provider>
+  );
+};
+
+export default TodoProvider;
@@ -0,0 +1,163 @@
+// RRULE-style recurrence rules for todos.
+//
+// A rule is `{ freq, interval, weekdays, monthlyBy, monthDay, ordinal,
+// weekday, until, count }`, roughly FREQ/INTERVAL/BYDAY/BYMONTHDAY/UNTIL/
+// COUNT from RFC 5545. Dates are calendar days ('YYYY-MM-DD') and are
+// computed in UTC so daylight saving changes never shift them.
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const ORDINAL_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', [-1]: 'last' };
+
+const UNIT_LABELS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (value) => {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+export const toDayString = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_IN_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Day of the month, clamped to the month's length (the 31st becomes the 30th in April)
+const clampedDay = (year, month, day) =>
+  new Date(Date.UTC(year, month, Math.min(day, daysInMonth(year, month))));
+
+// The nth (or last, for -1) given weekday of a month
+const nthWeekday = (year, month, weekday, ordinal) => {
+  if (ordinal === -1) {
+    const last = new Date(Date.UTC(year, month, daysInMonth(year, month)));
+    return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  const date = addDays(first, (weekday - first.getUTCDay() + 7) % 7 + (ordinal - 1) * 7);
+  return date.getUTCMonth() === month ? date : null;
+};
+
+// Which nth weekday of its month a date is; the last one counts as -1
+// when it is also the fifth
+export const getMonthlyAnchor = (dateString) => {
+  const date = parseDay(dateString);
+  const ordinal = Math.ceil(date.getUTCDate() / 7);
+  return {
+    monthDay: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+    ordinal: ordinal > 4 ? -1 : ordinal
+  };
+};
+
+// The rule re-anchored on a new due date: monthly and yearly rules move to
+// its day of the month, or to its nth weekday
+export const anchorRecurrence = (rule, dateString) => {
+  if (!rule || !dateString) return rule;
+
+  const anchor = getMonthlyAnchor(dateString);
+  if (rule.freq === 'monthly' && rule.monthlyBy === 'weekday') {
+    return { ...rule, ordinal: anchor.ordinal, weekday: anchor.weekday };
+  }
+  if (rule.freq === 'monthly' || rule.freq === 'yearly') {
+    return { ...rule, monthDay: anchor.monthDay };
+  }
+  return rule;
+};
+
+const nextDate = (rule, from) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.freq) {
+    case 'daily':
+      return addDays(from, interval);
+
+    case 'weekly': {
+      const weekdays = rule.weekdays?.length ? [...rule.weekdays].sort((a, b) => a - b) : [from.getUTCDay()];
+      const laterThisWeek = weekdays.find(weekday => weekday > from.getUTCDay());
+      if (laterThisWeek !== undefined) {
+        return addDays(from, laterThisWeek - from.getUTCDay());
+      }
+      const weekStart = addDays(from, -from.getUTCDay());
+      return addDays(weekStart, interval * 7 + weekdays[0]);
+    }
+
+    case 'monthly': {
+      const anchor = getMonthlyAnchor(formatDay(from));
+      // Skip months without the requested weekday (e.g. no fifth Monday)
+      for (let step = 1; step <= 12; step++) {
+        const month = from.getUTCMonth() + step * interval;
+        const year = from.getUTCFullYear() + Math.floor(month / 12);
+        const date = rule.monthlyBy === 'weekday'
+          ? nthWeekday(year, month % 12, rule.weekday ?? anchor.weekday, rule.ordinal ?? anchor.ordinal)
+          : clampedDay(year, month % 12, rule.monthDay ?? anchor.monthDay);
+        if (date) return date;
+      }
+      return null;
+    }
+
+    // Clamped from the series' day each year, so Feb 29 comes back in leap
+    // years instead of staying on the 28th
+    case 'yearly':
+      return clampedDay(from.getUTCFullYear() + interval, from.getUTCMonth(), rule.monthDay ?? from.getUTCDate());
+
+    default:
+      return null;
+  }
+};
+
+// Due date of the occurrence after the one due on `fromDate`, which is
+// occurrence number `occurrence` of its series. Returns null once the
+// series has ended by `until` or `count`.
+export const getNextOccurrence = (rule, fromDate, occurrence = 1) => {
+  if (!rule) return null;
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const date = nextDate(rule, parseDay(fromDate));
+  if (!date) return null;
+  if (rule.until && date > parseDay(rule.until)) return null;
+  return formatDay(date);
+};
+
+// Short description such as "Every 2 weeks on Mon, Thu, until Mar 1".
+// Yearly rules name their day when the todo's `dueDate` gives the month.
+export const describeRecurrence = (rule, dueDate = null) => {
+  if (!rule) return '';
+
+  const interval = rule.interval || 1;
+  const unit = UNIT_LABELS[rule.freq];
+  const parts = [interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`];
+
+  if (rule.freq === 'weekly' && rule.weekdays?.length) {
+    parts.push(`on ${[...rule.weekdays].sort((a, b) => a - b).map(day => WEEKDAY_LABELS[day]).join(', ')}`);
+  }
+  if (rule.freq === 'monthly' && rule.monthlyBy === 'weekday' && rule.weekday !== null && rule.ordinal !== null) {
+    parts.push(`on the ${ORDINAL_LABELS[rule.ordinal]} ${WEEKDAY_LABELS[rule.weekday]}`);
+  } else if (rule.freq === 'monthly' && rule.monthDay) {
+    parts.push(`on day ${rule.monthDay}`);
+  } else if (rule.freq === 'yearly' && dueDate) {
+    const due = parseDay(dueDate);
+    const month = due.toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+    parts.push(`on ${month} ${rule.monthDay ?? due.getUTCDate()}`);
+  } else if (rule.freq === 'yearly' && rule.monthDay) {
+    parts.push(`on day ${rule.monthDay}`);
+  }
+
+  let description = parts.join(' ');
+  if (rule.until) {
+    description += `, until ${parseDay(rule.until).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}`;
+  }
+  if (rule.count) {
+    description += `, ${rule.count} times`;
+  }
+  return description;
+};
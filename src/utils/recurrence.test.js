@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { getNextOccurrence, anchorRecurrence, describeRecurrence } from './recurrence';
+
+const rule = (fields) => ({
+  interval: 1,
+  weekdays: [],
+  monthlyBy: 'day',
+  monthDay: null,
+  ordinal: null,
+  weekday: null,
+  until: null,
+  count: null,
+  ...fields
+});
+
+describe('getNextOccurrence', () => {
+  it('keeps a monthly series on its day after a shorter month', () => {
+    const monthly = rule({ freq: 'monthly', monthDay: 31 });
+    expect(getNextOccurrence(monthly, '2025-01-31')).toBe('2025-02-28');
+    expect(getNextOccurrence(monthly, '2025-02-28')).toBe('2025-03-31');
+  });
+
+  it('brings a Feb 29 yearly series back to the 29th in leap years', () => {
+    const yearly = rule({ freq: 'yearly', monthDay: 29 });
+    const dates = ['2024-02-29'];
+    for (let i = 0; i < 4; i++) dates.push(getNextOccurrence(yearly, dates[dates.length - 1]));
+    expect(dates).toEqual(['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+  });
+
+  it('ends a series at its until date', () => {
+    expect(getNextOccurrence(rule({ freq: 'daily', until: '2025-01-01' }), '2025-01-01')).toBeNull();
+  });
+});
+
+describe('anchorRecurrence', () => {
+  it('moves monthly and yearly rules to the new due day', () => {
+    const monthly = anchorRecurrence(rule({ freq: 'monthly', monthDay: 3 }), '2025-05-20');
+    expect(getNextOccurrence(monthly, '2025-05-20')).toBe('2025-06-20');
+    expect(anchorRecurrence(rule({ freq: 'yearly', monthDay: 3 }), '2024-02-29').monthDay).toBe(29);
+  });
+
+  it('moves monthly weekday rules to the new nth weekday', () => {
+    const monthly = rule({ freq: 'monthly', monthlyBy: 'weekday', ordinal: 1, weekday: 1 });
+    expect(anchorRecurrence(monthly, '2025-05-20')).toMatchObject({ ordinal: 3, weekday: 2 });
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('names the day a yearly rule repeats on', () => {
+    expect(describeRecurrence(rule({ freq: 'yearly', monthDay: 29 }), '2025-02-28')).toBe('Every year on Feb 29');
+  });
+});
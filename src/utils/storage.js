@@ -0,0 +1,442 @@
+// Storage adapters: one async key/value API over localStorage, memory and IndexedDB
+//
+// Every adapter implements:
+//   getItem(key)        -> Promise<string | null>
+//   setItem(key, value) -> Promise<void>
+//   removeItem(key)     -> Promise<void>
+//   keys()              -> Promise<string[]>
+//   estimateUsage()     -> Promise<{ usage, quota }>  (quota may be null)
+//
+// Adapters that store todos as individual records also implement:
+//   loadTodoRecords()                  -> Promise<object[]>
+//   saveTodoRecords(todos, { compact }) -> Promise<void>
+//
+// The default adapter may only settle on a backend once it has been opened;
+// it implements resolve() -> Promise<adapter> to get at that backend.
+import { sanitizeTodos, compactTodo } from './todoModel';
+import { migrateTodos, CURRENT_SCHEMA_VERSION } from './todoMigrations';
+import { StorageCorruptionError, BACKUP_KEY_PREFIX, readStoredTodos } from './storageRecovery';
+
+// Keys shared by the todo and theme providers
+export const STORAGE_KEYS = {
+  TODOS: 'glassmorphic-todos',
+  THEME: 'todo-theme',
+  DARK_MODE: 'todo-dark-mode',
+  COMPACT_STORAGE: 'todo-compact-storage',
+  HISTORY: 'glassmorphic-todos-history',
+  TRASH_RETENTION: 'todo-trash-retention-days',
+  LISTS: 'glassmorphic-todos-lists',
+  CATEGORIES: 'glassmorphic-todos-categories',
+  PRIORITY_SCALE: 'glassmorphic-todos-priority-scale',
+  FOCUS_SETTINGS: 'todo-focus-settings',
+  ACTIVE_LIST: 'todo-active-list'
+};
+
+// Most browsers give each origin about 5 MB of localStorage
+const WEB_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+// Detect "storage is full" across browsers
+export const isQuotaExceededError = (error) => Boolean(error) && (
+  error.name === 'QuotaExceededError' ||
+  error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error.code === 22 ||
+  error.code === 1014
+);
+
+// Approximate the bytes used by string entries (UTF-16, two bytes per char)
+const measureEntries = (entries) => entries.reduce(
+  (total, [key, value]) => total + (key.length + (value ? value.length : 0)) * 2,
+  0
+);
+
+// Origin-wide usage for IndexedDB backed adapters
+const estimateOriginUsage = async () => {
+  if (!globalThis.navigator?.storage?.estimate) {
+    return { usage: null, quota: null };
+  }
+  const { usage, quota } = await globalThis.navigator.storage.estimate();
+  return { usage, quota };
+};
+
+// Web Storage (localStorage / sessionStorage) adapter
+export const createLocalStorageAdapter = (webStorage = globalThis.localStorage) => ({
+  name: 'localStorage',
+  getItem: async (key) => webStorage.getItem(key),
+  setItem: async (key, value) => {
+    webStorage.setItem(key, value);
+  },
+  removeItem: async (key) => {
+    webStorage.removeItem(key);
+  },
+  keys: async () => Object.keys(webStorage),
+  estimateUsage: async () => ({
+    usage: measureEntries(Object.keys(webStorage).map(key => [key, webStorage.getItem(key)])),
+    quota: WEB_STORAGE_QUOTA
+  })
+});
+
+// In-memory adapter for tests and browsers without persistent storage
+export const createMemoryAdapter = (initial = {}) => {
+  const store = new Map(Object.entries(initial));
+
+  return {
+    name: 'memory',
+    getItem: async (key) => (store.has(key) ? store.get(key) : null),
+    setItem: async (key, value) => {
+      store.set(key, String(value));
+    },
+    removeItem: async (key) => {
+      store.delete(key);
+    },
+    keys: async () => [...store.keys()],
+    estimateUsage: async () => ({ usage: measureEntries([...store.entries()]), quota: null })
+  };
+};
+
+// Wrap an IDBRequest in a promise
+export const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolve once an IDBTransaction commits
+export const promisifyTransaction = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// IndexedDB adapter backed by a single key/value object store
+export const createIndexedDBAdapter = ({
+  dbName = 'glasstodos-kv',
+  storeName = 'kv',
+  indexedDB = globalThis.indexedDB
+} = {}) => {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName);
+      };
+      dbPromise = promisifyRequest(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, callback) => {
+    const db = await openDb();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisifyRequest(callback(store));
+  };
+
+  return {
+    name: 'indexedDB',
+    getItem: async (key) => {
+      const value = await withStore('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    },
+    setItem: async (key, value) => {
+      await withStore('readwrite', store => store.put(String(value), key));
+    },
+    removeItem: async (key) => {
+      await withStore('readwrite', store => store.delete(key));
+    },
+    keys: async () => {
+      const keys = await withStore('readonly', store => store.getAllKeys());
+      return keys.map(String);
+    },
+    estimateUsage: estimateOriginUsage
+  };
+};
+
+// Record-level IndexedDB adapter: one record per todo with indexes on
+// status, category and due date, and a settings store for everything else.
+// On first open it copies the legacy localStorage payload and theme keys.
+// The localStorage copies are left untouched as a backup. A corrupt legacy
+// payload is checked and quarantined like a stored one, and the next load
+// reports it so the recovery screen can offer what was salvaged. Such a
+// migration only counts as done once the user's choice there is saved, so
+// a reload before that brings the recovery screen back. The schema version
+// of the records is kept in the meta store.
+export const createTodoDatabaseAdapter = ({
+  dbName = 'glasstodos',
+  indexedDB = globalThis.indexedDB,
+  legacyStorage = globalThis.localStorage
+} = {}) => {
+  let dbPromise = null;
+  // Last persisted version of each todo, used to write only what changed
+  let persisted = new Map();
+  // Corruption found while copying legacy data, reported by the next load
+  let legacyCorruption = null;
+  // Set until the save that resolves legacyCorruption marks the migration done
+  let legacyRecoveryPending = false;
+  // Whether the stored records are compacted; null when unknown, which
+  // makes the next save rewrite them all
+  let persistedCompact = null;
+
+  const toRecord = (todo) => ({
+    ...todo,
+    status: todo.deletedAt ? 'trashed' : todo.completed ? 'completed' : 'active'
+  });
+
+  const migrateLegacyStorage = async (db) => {
+    const migrated = await promisifyRequest(
+      db.transaction('meta', 'readonly').objectStore('meta').get('migratedFromLocalStorage')
+    );
+    if (migrated || !legacyStorage) return;
+
+    // Quarantined payloads go to the settings store, next to other backups
+    const backupStorage = {
+      setItem: (key, value) => promisifyRequest(
+        db.transaction('settings', 'readwrite').objectStore('settings').put(String(value), key)
+      )
+    };
+
+    let legacyTodos = [];
+    try {
+      const stored = legacyStorage.getItem(STORAGE_KEYS.TODOS);
+      legacyTodos = stored ? await readStoredTodos(backupStorage, stored) : [];
+    } catch (error) {
+      if (!(error instanceof StorageCorruptionError)) {
+        console.error('Error reading legacy todos for migration:', error);
+        return;
+      }
+      // Nothing is copied; the recovery screen decides what gets saved
+      legacyCorruption = error;
+      legacyRecoveryPending = true;
+    }
+
+    const transaction = db.transaction(['todos', 'settings', 'meta'], 'readwrite');
+    const done = promisifyTransaction(transaction);
+
+    legacyTodos.forEach(todo => {
+      transaction.objectStore('todos').put(toRecord(todo));
+    });
+
+    [STORAGE_KEYS.THEME, STORAGE_KEYS.DARK_MODE].forEach(key => {
+      const value = legacyStorage.getItem(key);
+      if (value !== null) {
+        transaction.objectStore('settings').put(value, key);
+      }
+    });
+
+    if (!legacyRecoveryPending) {
+      transaction.objectStore('meta').put(new Date().toISOString(), 'migratedFromLocalStorage');
+    }
+    transaction.objectStore('meta').put(CURRENT_SCHEMA_VERSION, 'schemaVersion');
+    transaction.objectStore('meta').put(false, 'compact');
+    await done;
+  };
+
+  const openDb = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const todos = db.createObjectStore('todos', { keyPath: 'id' });
+        todos.createIndex('status', 'status');
+        todos.createIndex('category', 'category');
+        todos.createIndex('dueDate', 'dueDate');
+        db.createObjectStore('settings');
+        db.createObjectStore('meta');
+      };
+      dbPromise = promisifyRequest(request).then(async (db) => {
+        await migrateLegacyStorage(db);
+        return db;
+      });
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (storeName, mode, callback) => {
+    const db = await openDb();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisifyRequest(callback(store));
+  };
+
+  return {
+    name: 'indexedDB',
+    // Open the database, rejecting when IndexedDB is blocked
+    open: async () => {
+      await openDb();
+    },
+    getItem: async (key) => {
+      const value = await withStore('settings', 'readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    },
+    setItem: async (key, value) => {
+      await withStore('settings', 'readwrite', store => store.put(String(value), key));
+    },
+    removeItem: async (key) => {
+      await withStore('settings', 'readwrite', store => store.delete(key));
+    },
+    keys: async () => {
+      const keys = await withStore('settings', 'readonly', store => store.getAllKeys());
+      return keys.map(String);
+    },
+    estimateUsage: estimateOriginUsage,
+    loadTodoRecords: async () => {
+      const db = await openDb();
+      if (legacyCorruption) {
+        const error = legacyCorruption;
+        legacyCorruption = null;
+        throw error;
+      }
+
+      const transaction = db.transaction(['todos', 'meta'], 'readonly');
+      const [records, version = 0, compact] = await Promise.all([
+        promisifyRequest(transaction.objectStore('todos').getAll()),
+        promisifyRequest(transaction.objectStore('meta').get('schemaVersion')),
+        promisifyRequest(transaction.objectStore('meta').get('compact'))
+      ]);
+      persistedCompact = typeof compact === 'boolean' ? compact : null;
+
+      const { todos, errors } = sanitizeTodos(migrateTodos(records, version));
+      todos.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      if (version < CURRENT_SCHEMA_VERSION) {
+        // Write the upgraded records back together with the new version
+        const upgrade = db.transaction(['todos', 'meta'], 'readwrite');
+        todos.forEach(todo => upgrade.objectStore('todos').put(toRecord(todo)));
+        upgrade.objectStore('meta').put(CURRENT_SCHEMA_VERSION, 'schemaVersion');
+        upgrade.objectStore('meta').put(false, 'compact');
+        await promisifyTransaction(upgrade);
+        persistedCompact = false;
+      }
+
+      persisted = new Map(todos.map(todo => [todo.id, todo]));
+
+      if (errors.length > 0) {
+        // Move invalid records to a backup key and out of the todos store
+        const invalid = errors.map(({ index }) => records[index]);
+        const raw = JSON.stringify(invalid);
+        const backupKey = `${BACKUP_KEY_PREFIX}${new Date().toISOString()}`;
+        const quarantine = db.transaction(['todos', 'settings'], 'readwrite');
+        quarantine.objectStore('settings').put(raw, backupKey);
+        invalid
+          .filter(record => record && record.id !== undefined)
+          .forEach(record => quarantine.objectStore('todos').delete(record.id));
+        await promisifyTransaction(quarantine);
+
+        throw new StorageCorruptionError(`${errors.length} stored todo(s) are invalid`, {
+          raw,
+          recoveredTodos: todos,
+          invalidRecords: errors,
+          backupKey
+        });
+      }
+
+      return todos;
+    },
+    // Writes only the todos that changed, or all of them once when the
+    // storage format switches between full and compact records. The first
+    // save after a legacy recovery also marks the migration done.
+    saveTodoRecords: async (todos, { compact = false } = {}) => {
+      const db = await openDb();
+      const next = new Map(todos.map(todo => [todo.id, todo]));
+      const formatChanged = compact !== persistedCompact;
+      const finishesMigration = legacyRecoveryPending && !legacyCorruption;
+      const changed = formatChanged ? todos : todos.filter(todo => persisted.get(todo.id) !== todo);
+      const removed = [...persisted.keys()].filter(id => !next.has(id));
+      if (changed.length === 0 && removed.length === 0 && !formatChanged && !finishesMigration) return;
+
+      const transaction = db.transaction(['todos', 'meta'], 'readwrite');
+      const store = transaction.objectStore('todos');
+      changed.forEach(todo => store.put(toRecord(compact ? compactTodo(todo) : todo)));
+      removed.forEach(id => store.delete(id));
+      if (formatChanged) transaction.objectStore('meta').put(compact, 'compact');
+      if (finishesMigration) {
+        transaction.objectStore('meta').put(new Date().toISOString(), 'migratedFromLocalStorage');
+      }
+
+      await promisifyTransaction(transaction);
+      persisted = next;
+      persistedCompact = compact;
+      if (finishesMigration) legacyRecoveryPending = false;
+    }
+  };
+};
+
+// Check that localStorage exists and accepts writes (fails in some private modes)
+const isLocalStorageUsable = () => {
+  try {
+    const probeKey = '__storage_probe__';
+    globalThis.localStorage.setItem(probeKey, probeKey);
+    globalThis.localStorage.removeItem(probeKey);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Use `primary` once it opens, or the adapter `createFallback` makes when it
+// cannot (e.g. IndexedDB in private mode or with storage blocked)
+export const createFallbackAdapter = (primary, createFallback) => {
+  let resolved = null;
+
+  const resolve = () => {
+    if (!resolved) {
+      resolved = primary.open().then(
+        () => primary,
+        (error) => {
+          console.warn(`Falling back from ${primary.name} storage:`, error);
+          return createFallback();
+        }
+      );
+    }
+    return resolved;
+  };
+
+  const delegate = (method) => async (...args) => (await resolve())[method](...args);
+
+  return {
+    name: primary.name,
+    resolve,
+    getItem: delegate('getItem'),
+    setItem: delegate('setItem'),
+    removeItem: delegate('removeItem'),
+    keys: delegate('keys'),
+    estimateUsage: delegate('estimateUsage')
+  };
+};
+
+const createWebStorageAdapter = () =>
+  (isLocalStorageUsable() ? createLocalStorageAdapter() : createMemoryAdapter());
+
+const createDefaultAdapter = () => {
+  if (globalThis.indexedDB) {
+    const database = createTodoDatabaseAdapter({
+      legacyStorage: isLocalStorageUsable() ? globalThis.localStorage : null
+    });
+    return createFallbackAdapter(database, createWebStorageAdapter);
+  }
+  return createWebStorageAdapter();
+};
+
+let activeAdapter = null;
+
+// Get the adapter used by the todo helpers and providers
+export const getStorageAdapter = () => {
+  if (!activeAdapter) {
+    activeAdapter = createDefaultAdapter();
+  }
+  return activeAdapter;
+};
+
+// Swap the adapter, e.g. to an in-memory store in tests
+export const setStorageAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+// Report how much space the adapter uses, as bytes and a percentage of quota
+export const getStorageUsage = async (storage = getStorageAdapter()) => {
+  if (!storage.estimateUsage) return null;
+  const { usage, quota } = await storage.estimateUsage();
+  return {
+    usage,
+    quota,
+    percent: usage !== null && quota ? Math.min(100, Math.round((usage / quota) * 100)) : null
+  };
+};
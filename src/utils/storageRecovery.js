@@ -0,0 +1,159 @@
+// Corrupt-storage detection, quarantine and best-effort recovery
+import { sanitizeTodos } from './todoModel';
+import { migratePayload, migrateTodos } from './todoMigrations';
+
+// Prefix for keys that hold quarantined payloads
+export const BACKUP_KEY_PREFIX = 'glassmorphic-todos-corrupt-';
+
+// Thrown by loadTodos when stored data cannot be trusted. Saving is held
+// back until the user has seen the recovery screen.
+export class StorageCorruptionError extends Error {
+  constructor(message, { raw = '', recoveredTodos = [], invalidRecords = [], backupKey = null } = {}) {
+    super(message);
+    this.name = 'StorageCorruptionError';
+    this.raw = raw;
+    this.recoveredTodos = recoveredTodos;
+    this.invalidRecords = invalidRecords;
+    this.backupKey = backupKey;
+  }
+}
+
+// 32-bit FNV-1a hash of a string, as 8 hex characters
+export const computeChecksum = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+// Pull every complete top-level object out of the todos array of a
+// truncated or otherwise unparseable payload
+export const salvageRecords = (raw) => {
+  const todosKey = raw.indexOf('"todos"');
+  const start = raw.indexOf('[', todosKey === -1 ? 0 : todosKey);
+  if (start === -1) return [];
+
+  const records = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+
+  for (let i = start + 1; i < raw.length; i++) {
+    const char = raw[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) objectStart = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        try {
+          records.push(JSON.parse(raw.slice(objectStart, i + 1)));
+        } catch {
+          // Skip records that are themselves damaged
+        }
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
+
+  return records;
+};
+
+// Copy a payload to a timestamped backup key so it is never overwritten
+export const quarantinePayload = async (storage, raw) => {
+  const backupKey = `${BACKUP_KEY_PREFIX}${new Date().toISOString()}`;
+  try {
+    await storage.setItem(backupKey, raw);
+    return backupKey;
+  } catch (error) {
+    console.error('Error quarantining corrupt todos:', error);
+    return null;
+  }
+};
+
+// Parse and verify a stored payload. Throws StorageCorruptionError when it
+// cannot be parsed, fails its checksum or holds invalid records, after
+// copying the raw payload to a backup key.
+export const readStoredTodos = async (storage, stored) => {
+  let records = [];
+  let problem = null;
+
+  try {
+    const payload = JSON.parse(stored);
+    records = migratePayload(payload).todos;
+    if (payload.checksum && payload.checksum !== computeChecksum(JSON.stringify(payload.todos))) {
+      problem = 'Stored todos failed their integrity check';
+    }
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      problem = 'Stored todos could not be read';
+      // Migrations tolerate current records, so salvaged ones start from version 0
+      records = migrateTodos(salvageRecords(stored), 0);
+    } else {
+      problem = error.message;
+    }
+  }
+
+  // Upgrade older payloads, then ensure todos have all required properties
+  const { todos, errors } = sanitizeTodos(records);
+  if (!problem && errors.length > 0) {
+    problem = `${errors.length} stored todo(s) are invalid`;
+  }
+
+  if (problem) {
+    const backupKey = await quarantinePayload(storage, stored);
+    throw new StorageCorruptionError(problem, {
+      raw: stored,
+      recoveredTodos: todos,
+      invalidRecords: errors,
+      backupKey
+    });
+  }
+
+  return todos;
+};
+
+// Keys of every quarantined payload in the adapter
+export const listBackupKeys = async (storage) => {
+  const keys = await storage.keys();
+  return keys.filter(key => key.startsWith(BACKUP_KEY_PREFIX));
+};
+
+// Remove quarantined payloads once the user no longer needs them
+export const deleteBackups = async (storage) => {
+  const keys = await listBackupKeys(storage);
+  await Promise.all(keys.map(key => storage.removeItem(key)));
+  return keys.length;
+};
+
+// Let the user download the raw payload before continuing
+export const downloadRawData = (raw, filename = `todos-raw-${new Date().toISOString().split('T')[0]}.json`) => {
+  const dataBlob = new Blob([raw], { type: 'application/json' });
+  const url = URL.createObjectURL(dataBlob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,77 @@
+// Cross-tab messaging over BroadcastChannel, with a localStorage `storage`
+// event fallback for browsers without it. Messages never echo back to the
+// tab that sent them.
+
+const CHANNEL_PREFIX = 'glasstodos-sync';
+
+// Identifies this tab, so fallback messages it wrote itself can be ignored
+export const TAB_ID = Math.random().toString(36).slice(2);
+
+// Identifies this browser across reloads, so activity entries show which
+// device made a change. Where localStorage is unavailable it lasts as long
+// as the tab.
+export const DEVICE_ID = (() => {
+  const key = `${CHANNEL_PREFIX}-device`;
+  try {
+    const stored = globalThis.localStorage.getItem(key);
+    if (stored) return stored;
+    globalThis.localStorage.setItem(key, TAB_ID);
+    return TAB_ID;
+  } catch {
+    return TAB_ID;
+  }
+})();
+
+const createBroadcastChannel = (name, onMessage) => {
+  const channel = new BroadcastChannel(`${CHANNEL_PREFIX}-${name}`);
+  channel.onmessage = (event) => onMessage(event.data);
+
+  return {
+    post: (message) => channel.postMessage(message),
+    close: () => channel.close()
+  };
+};
+
+const createStorageEventChannel = (name, onMessage) => {
+  const key = `${CHANNEL_PREFIX}-${name}`;
+
+  const handleStorage = (event) => {
+    if (event.key !== key || !event.newValue) return;
+    try {
+      const { sender, message } = JSON.parse(event.newValue);
+      if (sender !== TAB_ID) onMessage(message);
+    } catch (error) {
+      console.error('Error reading sync message:', error);
+    }
+  };
+
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    post: (message) => {
+      try {
+        // The nonce makes every write a change, so the event always fires
+        localStorage.setItem(key, JSON.stringify({ sender: TAB_ID, nonce: Date.now(), message }));
+      } catch (error) {
+        console.error('Error sending sync message:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage)
+  };
+};
+
+const noopChannel = {
+  post: () => {},
+  close: () => {}
+};
+
+// Open a named channel shared by every tab of the app
+export const createSyncChannel = (name, onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    return createBroadcastChannel(name, onMessage);
+  }
+  if (typeof window !== 'undefined' && globalThis.localStorage) {
+    return createStorageEventChannel(name, onMessage);
+  }
+  return noopChannel;
+};
@@ -0,0 +1,94 @@
+// Per-todo activity log: every change to a tracked field is appended to the
+// todo's `activity` as `{ id, at, source, actor, changes: [{ field, from, to }] }`,
+// where `actor` is the id of the device that made the change (see sync.js).
+// Earlier versions are rebuilt by walking the log backwards, so only the
+// changed values are stored.
+import { v4 as uuidv4 } from 'uuid';
+import { DEVICE_ID } from './sync';
+
+// Entries kept per todo; older ones are dropped
+export const ACTIVITY_LIMIT = 50;
+
+// Fields whose changes are logged and restored on revert
+export const TRACKED_FIELDS = [
+  'text',
+  'description',
+  'completed',
+  'favorite',
+  'category',
+  'priority',
+  'tags',
+  'subtasks',
+  'autoCompleteSubtasks',
+  'listId',
+  'parentId',
+  'blockedBy',
+  'customValues',
+  'recurrence',
+  'dueDate',
+  'dueTime',
+  'scheduledDate',
+  'deletedAt'
+];
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Field-level differences between two versions of a todo
+export const diffFields = (before, after) => TRACKED_FIELDS
+  .filter(field => !isSameValue(before[field], after[field]))
+  .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+// Append an entry describing how `previous` became `next`. Returns `next`
+// unchanged when no tracked field differs.
+export const recordActivity = (previous, next, { source = 'edit', revertedTo = null } = {}) => {
+  const changes = diffFields(previous, next);
+  if (changes.length === 0) return next;
+
+  const entry = {
+    id: uuidv4(),
+    at: next.updatedAt,
+    source,
+    actor: DEVICE_ID,
+    changes,
+    ...(revertedTo ? { revertedTo } : {})
+  };
+
+  return {
+    ...next,
+    activity: [...(previous.activity ?? []), entry].slice(-ACTIVITY_LIMIT)
+  };
+};
+
+// Only the tracked fields of a todo
+export const pickTrackedFields = (todo) => Object.fromEntries(
+  TRACKED_FIELDS.map(field => [field, todo[field] ?? null])
+);
+
+// Every version of the todo that the log can rebuild, newest first. Each
+// version has the fields as they were right after its entry; the last one
+// is the earliest recorded state and has no entry. It is the state at
+// creation unless the log has been trimmed.
+export const getTodoVersions = (todo) => {
+  const activity = todo.activity ?? [];
+  let fields = pickTrackedFields(todo);
+  const versions = [];
+
+  for (let i = activity.length - 1; i >= 0; i--) {
+    const entry = activity[i];
+    versions.push({ id: entry.id, at: entry.at, entry, fields });
+    fields = {
+      ...fields,
+      ...Object.fromEntries(entry.changes.map(({ field, from }) => [field, from]))
+    };
+  }
+
+  const isComplete = activity.length < ACTIVITY_LIMIT;
+  versions.push({
+    id: 'earliest',
+    at: isComplete ? todo.createdAt : null,
+    entry: null,
+    fields
+  });
+
+  return versions;
+};
@@ -0,0 +1,179 @@
+// Categories todos are tagged with.
+//
+// Categories are stored in display order under STORAGE_KEYS.CATEGORIES and
+// todos refer to them by id, so renaming or recoloring never touches the
+// todos. The built-in categories keep their old names as ids. A todo whose
+// category is unknown (e.g. from an import) is shown with a neutral style.
+import { generateId, applyTodoUpdates } from './todoModel';
+import {
+  categorySchema,
+  categoryFieldsSchema,
+  toFieldErrors,
+  DEFAULT_CATEGORY
+} from './todoSchema';
+import { getStorageAdapter, STORAGE_KEYS } from './storage';
+
+export const DEFAULT_CATEGORIES = [
+  { id: DEFAULT_CATEGORY, name: 'General', color: 'slate', icon: 'folder' },
+  { id: 'work', name: 'Work', color: 'blue', icon: 'briefcase' },
+  { id: 'personal', name: 'Personal', color: 'emerald', icon: 'user' },
+  { id: 'shopping', name: 'Shopping', color: 'violet', icon: 'shopping-cart' },
+  { id: 'health', name: 'Health', color: 'rose', icon: 'heart-pulse' },
+  { id: 'learning', name: 'Learning', color: 'amber', icon: 'graduation-cap' },
+  { id: 'projects', name: 'Projects', color: 'cyan', icon: 'folder-kanban' }
+];
+
+// Classes for each category color: `gradient` for bars and swatches,
+// `chip` for badges
+export const CATEGORY_COLOR_CLASSES = {
+  slate: {
+    gradient: 'from-gray-400 to-slate-400',
+    chip: 'bg-gradient-to-r from-gray-500/20 to-slate-500/20 text-gray-200'
+  },
+  blue: {
+    gradient: 'from-blue-400 to-indigo-400',
+    chip: 'bg-gradient-to-r from-indigo-500/20 to-blue-500/20 text-indigo-200'
+  },
+  emerald: {
+    gradient: 'from-green-400 to-emerald-400',
+    chip: 'bg-gradient-to-r from-emerald-500/20 to-teal-500/20 text-emerald-200'
+  },
+  violet: {
+    gradient: 'from-purple-400 to-violet-400',
+    chip: 'bg-gradient-to-r from-violet-500/20 to-purple-500/20 text-violet-200'
+  },
+  rose: {
+    gradient: 'from-red-400 to-rose-400',
+    chip: 'bg-gradient-to-r from-red-500/20 to-rose-500/20 text-red-200'
+  },
+  amber: {
+    gradient: 'from-yellow-400 to-amber-400',
+    chip: 'bg-gradient-to-r from-yellow-500/20 to-amber-500/20 text-amber-200'
+  },
+  cyan: {
+    gradient: 'from-cyan-400 to-teal-400',
+    chip: 'bg-gradient-to-r from-blue-500/20 to-cyan-500/20 text-cyan-200'
+  },
+  pink: {
+    gradient: 'from-pink-400 to-fuchsia-400',
+    chip: 'bg-gradient-to-r from-pink-500/20 to-rose-500/20 text-pink-200'
+  },
+  orange: {
+    gradient: 'from-orange-400 to-red-400',
+    chip: 'bg-gradient-to-r from-orange-500/20 to-red-500/20 text-orange-200'
+  }
+};
+
+// The category with `id`, or a neutral stand-in named after the id
+export const getCategory = (categories, id) =>
+  categories.find(category => category.id === id) ?? {
+    id,
+    name: id ? id.charAt(0).toUpperCase() + id.slice(1) : '',
+    color: 'slate',
+    icon: 'folder'
+  };
+
+// Validate category fields; names must be unique, ignoring case.
+// Returns a map of field -> error message.
+export const validateCategory = (categories, fields, id = null) => {
+  const result = categoryFieldsSchema.safeParse(fields);
+  if (!result.success) return toFieldErrors(result.error);
+
+  const name = result.data.name.toLowerCase();
+  const taken = categories.some(category => category.id !== id && category.name.toLowerCase() === name);
+  return taken ? { name: 'A category with this name already exists' } : {};
+};
+
+const assertValidCategory = (categories, fields, id) => {
+  const errors = validateCategory(categories, fields, id);
+  if (Object.keys(errors).length > 0) {
+    throw new Error(Object.values(errors)[0]);
+  }
+};
+
+// Append a new category; throws when the fields are invalid
+export const addCategory = (categories, fields) => {
+  assertValidCategory(categories, fields, null);
+  return [...categories, { ...categoryFieldsSchema.parse(fields), id: generateId() }];
+};
+
+// Rename, recolor or change the icon of a category; throws when invalid
+export const updateCategory = (categories, id, updates) => categories.map(category => {
+  if (category.id !== id) return category;
+
+  assertValidCategory(categories, { ...category, ...updates }, id);
+  return { ...category, ...categoryFieldsSchema.parse({ ...category, ...updates }) };
+});
+
+// Move a category up (-1) or down (+1) in the order
+export const moveCategory = (categories, id, offset) => {
+  const index = categories.findIndex(category => category.id === id);
+  const target = index + offset;
+  if (index < 0 || target < 0 || target >= categories.length) return categories;
+
+  const reordered = [...categories];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+};
+
+// Remove a category. The default category cannot be removed.
+export const removeCategory = (categories, id) =>
+  id === DEFAULT_CATEGORY ? categories : categories.filter(category => category.id !== id);
+
+// Put a removed category back at `index`, e.g. when its deletion is undone.
+// If its name was taken meanwhile, the restored one is marked as such.
+export const restoreCategory = (categories, category, index) => {
+  if (categories.some(existing => existing.id === category.id)) return categories;
+
+  const name = validateCategory(categories, category).name ? `${category.name} (restored)` : category.name;
+  const restored = [...categories];
+  restored.splice(Math.min(index, restored.length), 0, { ...category, name });
+  return restored;
+};
+
+// Give every todo in category `fromId` category `toId` instead
+export const reassignCategory = (todos, fromId, toId) => todos.map(todo =>
+  todo.category === fromId ? applyTodoUpdates(todo, { category: toId }) : todo
+);
+
+// Valid categories from a stored value, falling back to the built-in ones.
+// The default category is always present.
+export const parseCategories = (stored) => {
+  let records = null;
+  try {
+    const parsed = stored ? JSON.parse(stored) : null;
+    records = Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    console.error('Error reading stored categories:', error);
+  }
+  if (!records) return DEFAULT_CATEGORIES;
+
+  const categories = records
+    .map(record => categorySchema.safeParse(record))
+    .filter(result => result.success)
+    .map(result => result.data)
+    .filter((category, index, all) => all.findIndex(other => other.id === category.id) === index);
+
+  return categories.some(category => category.id === DEFAULT_CATEGORY)
+    ? categories
+    : [DEFAULT_CATEGORIES[0], ...categories];
+};
+
+export const loadCategories = async (storage = getStorageAdapter()) => {
+  try {
+    return parseCategories(await storage.getItem(STORAGE_KEYS.CATEGORIES));
+  } catch (error) {
+    console.error('Error loading categories:', error);
+    return DEFAULT_CATEGORIES;
+  }
+};
+
+export const saveCategories = async (categories, storage = getStorageAdapter()) => {
+  try {
+    await storage.setItem(STORAGE_KEYS.CATEGORIES, JSON.stringify(categories));
+    return true;
+  } catch (error) {
+    console.error('Error saving categories:', error);
+    return false;
+  }
+};
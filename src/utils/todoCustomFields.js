@@ -0,0 +1,166 @@
+// Custom fields lists define for their todos.
+//
+// A list keeps its field definitions in `customFields`; a todo keeps its
+// values in `customValues`, keyed by field id. Unset values are left out, so
+// a checkbox is only stored while checked. Values for fields the todo's list
+// does not define (e.g. after moving it) are kept but not shown.
+import { customFieldSchema, CUSTOM_FIELD_VALUE_MAX_LENGTH } from './todoSchema';
+import { withAncestors } from './todoTree';
+
+// sortTodos sorts by a custom field when given `${CUSTOM_SORT_PREFIX}<id>`
+export const CUSTOM_SORT_PREFIX = 'custom:';
+
+export const CUSTOM_FIELD_TYPE_LABELS = {
+  text: 'Text',
+  number: 'Number',
+  select: 'Select',
+  date: 'Date',
+  url: 'URL',
+  checkbox: 'Checkbox'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '' || value === false;
+
+const isValidUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// The stored form of a value typed into the form, or null when unset
+export const normalizeCustomValue = (field, value) => {
+  if (field.type === 'checkbox') return value === true || value === 'true' ? true : null;
+  if (isEmptyValue(value)) return null;
+  if (field.type === 'number') return typeof value === 'number' ? value : Number(String(value).trim());
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+// Error message for a value of `field`, or null when it is valid
+export const validateCustomValue = (field, value) => {
+  const normalized = normalizeCustomValue(field, value);
+  if (normalized === null) return null;
+
+  switch (field.type) {
+    case 'number':
+      return Number.isFinite(normalized) ? null : 'Must be a number';
+    case 'select':
+      return field.options.includes(normalized) ? null : 'Pick one of the options';
+    case 'date':
+      return DATE_PATTERN.test(normalized) && !isNaN(new Date(normalized).getTime()) ? null : 'Must be a valid date';
+    case 'url':
+      return isValidUrl(normalized) ? null : 'Must be a link starting with http:// or https://';
+    case 'text':
+      return normalized.length <= CUSTOM_FIELD_VALUE_MAX_LENGTH
+        ? null
+        : `Must be less than ${CUSTOM_FIELD_VALUE_MAX_LENGTH} characters`;
+    default:
+      return null;
+  }
+};
+
+// Validate the values of `fields`; returns a map of field id -> error message
+export const validateCustomValues = (fields, values = {}) => fields.reduce((errors, field) => {
+  const error = validateCustomValue(field, values[field.id]);
+  if (error) errors[field.id] = error;
+  return errors;
+}, {});
+
+// Values ready to store: the values of `fields` normalized, unset ones
+// dropped, and values of other fields left as they were
+export const cleanCustomValues = (fields, values = {}) => fields.reduce((cleaned, field) => {
+  const value = normalizeCustomValue(field, values[field.id]);
+  if (value === null) {
+    delete cleaned[field.id];
+  } else {
+    cleaned[field.id] = value;
+  }
+  return cleaned;
+}, { ...values });
+
+// Human-readable value
+export const formatCustomValue = (field, value) => {
+  switch (field.type) {
+    case 'checkbox':
+      return value ? 'Yes' : 'No';
+    case 'number':
+      return Number(value).toLocaleString();
+    case 'date':
+      return new Date(`${value}T00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    case 'url':
+      try {
+        const url = new URL(value);
+        return `${url.hostname}${url.pathname === '/' ? '' : url.pathname}`;
+      } catch {
+        return String(value);
+      }
+    default:
+      return String(value);
+  }
+};
+
+// The fields of `fields` that `todo` has a value for, with their values
+export const getCustomFieldEntries = (todo, fields) => fields
+  .filter(field => !isEmptyValue(todo.customValues[field.id]))
+  .map(field => ({ field, value: todo.customValues[field.id] }));
+
+// Whether `todo`'s value of `field` matches `query`. An empty query matches
+// any set value; select values must match exactly, numbers must be equal
+// and other values must contain the query.
+export const matchesCustomField = (todo, field, query = '') => {
+  const value = todo.customValues[field.id];
+  if (isEmptyValue(value)) return false;
+
+  const term = query.trim().toLowerCase();
+  if (!term || field.type === 'checkbox') return true;
+
+  switch (field.type) {
+    case 'select':
+      return String(value).toLowerCase() === term;
+    case 'number':
+      return Number(value) === Number(term);
+    default:
+      return String(value).toLowerCase().includes(term);
+  }
+};
+
+// Filter todos by a custom field value, keeping ancestors of matches
+export const filterByCustomField = (todos, field, query = '') => {
+  if (!field) return todos;
+  return withAncestors(todos, todos.filter(todo => matchesCustomField(todo, field, query)));
+};
+
+const toSortValue = (value) => (typeof value === 'string' ? value.toLowerCase() : Number(value));
+
+// Sort todos by a custom field value; todos without a value go last
+export const sortByCustomField = (todos, fieldId, order = 'asc') => [...todos].sort((a, b) => {
+  const aMissing = isEmptyValue(a.customValues[fieldId]);
+  const bMissing = isEmptyValue(b.customValues[fieldId]);
+  if (aMissing || bMissing) return Number(aMissing) - Number(bMissing);
+
+  const aValue = toSortValue(a.customValues[fieldId]);
+  const bValue = toSortValue(b.customValues[fieldId]);
+  const result = aValue > bValue ? 1 : aValue < bValue ? -1 : 0;
+  return order === 'asc' ? result : -result;
+});
+
+// Whether any custom value of `todo` contains `term` (already lowercased)
+export const customValuesMatch = (todo, term) => Object.values(todo.customValues).some(value =>
+  typeof value !== 'boolean' && String(value).toLowerCase().includes(term)
+);
+
+// Valid field definitions from an imported file, if it has any
+export const parseCustomFields = (records) => (Array.isArray(records) ? records : [])
+  .map(record => customFieldSchema.safeParse(record))
+  .filter(result => result.success)
+  .map(result => result.data);
+
+// `fields` followed by the definitions in `incoming` it does not have yet
+export const mergeCustomFields = (fields, incoming) => [
+  ...fields,
+  ...incoming.filter(field => !fields.some(existing => existing.id === field.id))
+];
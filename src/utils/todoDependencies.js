@@ -0,0 +1,95 @@
+// Dependencies between todos.
+//
+// A todo's `blockedBy` lists the ids of todos that have to be done before
+// it can start. It stays blocked while any of them is open; blockers that
+// are completed, trashed or gone no longer count. Links that would make a
+// todo wait on itself, directly or through other todos, are rejected.
+
+// Thrown when an edit would make a todo wait on itself
+export class DependencyCycleError extends Error {
+  constructor(message, { cycle = [] } = {}) {
+    super(message);
+    this.name = 'DependencyCycleError';
+    this.cycle = cycle;
+  }
+}
+
+const isOpen = (todo) => !todo.completed && !todo.deletedAt;
+
+// Open todos that `todo` is waiting on
+export const getBlockers = (todos, todo) => {
+  const byId = new Map(todos.map(candidate => [candidate.id, candidate]));
+  return (todo.blockedBy ?? [])
+    .map(id => byId.get(id))
+    .filter(blocker => blocker && isOpen(blocker));
+};
+
+// Ids of every todo waiting on at least one open blocker
+export const getBlockedIds = (todos) => {
+  const openIds = new Set(todos.filter(isOpen).map(todo => todo.id));
+  return new Set(todos
+    .filter(todo => (todo.blockedBy ?? []).some(id => openIds.has(id)))
+    .map(todo => todo.id));
+};
+
+export const isBlocked = (todos, todo) => getBlockers(todos, todo).length > 0;
+
+// Todos that list `id` as a blocker
+export const getDependents = (todos, id) =>
+  todos.filter(todo => (todo.blockedBy ?? []).includes(id));
+
+// Ids of every todo waiting on `id`, directly or through other todos
+export const getDependentIds = (todos, id) => {
+  const dependents = new Set();
+  let frontier = [id];
+
+  while (frontier.length > 0) {
+    const next = todos
+      .filter(todo => !dependents.has(todo.id) && (todo.blockedBy ?? []).some(blockerId => frontier.includes(blockerId)))
+      .map(todo => todo.id);
+    next.forEach(dependentId => dependents.add(dependentId));
+    frontier = next;
+  }
+  return dependents;
+};
+
+// The todos on a chain of blockers leading from `id` back to itself, or
+// null when there is none
+export const findDependencyCycle = (todos, id) => {
+  const byId = new Map(todos.map(todo => [todo.id, todo]));
+  const visited = new Set();
+
+  const visit = (path) => {
+    const current = path[path.length - 1];
+    for (const blockerId of current.blockedBy ?? []) {
+      if (blockerId === id) return [...path, byId.get(id)];
+      const blocker = byId.get(blockerId);
+      if (!blocker || visited.has(blockerId)) continue;
+      visited.add(blockerId);
+      const cycle = visit([...path, blocker]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  const todo = byId.get(id);
+  return todo ? visit([todo]) : null;
+};
+
+// Throw a DependencyCycleError if todo `id` ends up waiting on itself
+export const assertNoDependencyCycle = (todos, id) => {
+  const cycle = findDependencyCycle(todos, id);
+  if (cycle) {
+    throw new DependencyCycleError(
+      `Circular dependency: ${cycle.map(todo => `"${todo.text}"`).join(' → ')}`,
+      { cycle }
+    );
+  }
+};
+
+// Todos that were blocked in `previous` and no longer are in `next`
+export const getNewlyUnblocked = (previous, next) => {
+  const wasBlocked = getBlockedIds(previous);
+  const stillBlocked = getBlockedIds(next);
+  return next.filter(todo => isOpen(todo) && wasBlocked.has(todo.id) && !stillBlocked.has(todo.id));
+};
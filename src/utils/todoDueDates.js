@@ -0,0 +1,153 @@
+// Due dates and times.
+//
+// `dueDate` is a calendar day, 'YYYY-MM-DD', in the user's own calendar.
+// It must never go through `new Date(dueDate)`, which reads it as UTC
+// midnight and lands on the day before anywhere west of UTC. A todo with
+// only a due date is due all day and overdue from the next day. A todo with
+// a `dueTime` ('HH:mm') is due at that wall-clock time in `dueTimeZone`, the
+// IANA time zone it was set in, and overdue from that moment on.
+import { toDayString } from './recurrence';
+
+export const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const splitDay = (day) => day.split('-').map(Number);
+
+// Local midnight at the start of `day`
+export const parseLocalDay = (day) => {
+  const [year, month, date] = splitDay(day);
+  return new Date(year, month - 1, date);
+};
+
+// A stored or imported date as a calendar day, or null. Date-times
+// that are exactly UTC midnight were days read as UTC, so keep their day;
+// any other date-time falls on its local day.
+export const toCalendarDay = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  if (DAY_PATTERN.test(value)) return value;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return /T00:00(:00(\.0+)?)?(Z|[+-]00:?00)$/.test(value) ? value.slice(0, 10) : toDayString(date);
+};
+
+// Offset of `timeZone` from UTC at `instant`, in ms
+const getZoneOffset = (timeZone, instant) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(instant));
+  const part = (type) => Number(parts.find(candidate => candidate.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wallClock - (instant - (instant % 1000));
+};
+
+// The moment `day` at `time` happens in `timeZone`, in ms. The offset is
+// looked up again at the first guess so times next to a daylight saving
+// change come out right; a time skipped by the change moves forward, as it
+// does for local dates.
+export const zonedTimeToInstant = (day, time, timeZone) => {
+  const [year, month, date] = splitDay(day);
+  const [hours, minutes] = time.split(':').map(Number);
+  if (!timeZone) return new Date(year, month - 1, date, hours, minutes).getTime();
+
+  const wallClock = Date.UTC(year, month - 1, date, hours, minutes);
+  const offset = getZoneOffset(timeZone, wallClock - getZoneOffset(timeZone, wallClock));
+  const instant = wallClock - offset;
+  const actualOffset = getZoneOffset(timeZone, instant);
+  return actualOffset === offset ? instant : wallClock - actualOffset;
+};
+
+// When a todo with a due time is due, in ms; null for all-day todos
+export const getDueInstant = (todo) => (todo.dueDate && todo.dueTime
+  ? zonedTimeToInstant(todo.dueDate, todo.dueTime, todo.dueTimeZone)
+  : null);
+
+// The local day a todo is due on; a due time set in another time zone may
+// fall on a different day here
+export const getDueDay = (todo) => {
+  if (!todo.dueDate) return null;
+  const instant = getDueInstant(todo);
+  return instant === null ? todo.dueDate : toDayString(new Date(instant));
+};
+
+// When the todo becomes overdue, in ms
+export const getDueDeadline = (todo) => {
+  if (!todo.dueDate) return null;
+  const instant = getDueInstant(todo);
+  if (instant !== null) return instant;
+
+  const [year, month, date] = splitDay(todo.dueDate);
+  return new Date(year, month - 1, date + 1).getTime();
+};
+
+export const isPastDue = (todo, now = new Date()) => {
+  const deadline = getDueDeadline(todo);
+  return deadline !== null && now.getTime() >= deadline;
+};
+
+// Sort key for due dates: all-day todos sort at the start of their day
+export const getDueSortKey = (todo) => {
+  if (!todo.dueDate) return null;
+  return getDueInstant(todo) ?? parseLocalDay(todo.dueDate).getTime();
+};
+
+// Calendar days from today until the todo is due; negative once past
+export const getDaysUntilDue = (todo, now = new Date()) => {
+  const day = getDueDay(todo);
+  if (!day) return null;
+  const [year, month, date] = splitDay(day);
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((Date.UTC(year, month - 1, date) - today) / DAY_IN_MS);
+};
+
+// Local time of day a todo is due, e.g. "3:30 PM"; null for all-day todos
+export const formatDueTime = (todo) => {
+  const instant = getDueInstant(todo);
+  return instant === null
+    ? null
+    : new Date(instant).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+};
+
+// A calendar day for display, e.g. "Oct 20" or "Oct 20, 2027"
+export const formatDay = (day, now = new Date()) => {
+  const date = parseLocalDay(day);
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: date.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
+  });
+};
+
+// "Tue, Oct 20" or "Tue, Oct 20, 3:30 PM"
+export const formatDue = (todo) => {
+  const day = getDueDay(todo);
+  if (!day) return '';
+  const label = parseLocalDay(day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  const time = formatDueTime(todo);
+  return time ? `${label}, ${time}` : label;
+};
+
+// Whether a due time was set in a time zone other than the user's
+export const isInOtherTimeZone = (todo) =>
+  Boolean(todo.dueTime && todo.dueTimeZone && todo.dueTimeZone !== getLocalTimeZone());
@@ -0,0 +1,82 @@
+// Focus mode.
+//
+// Focus mode works on one todo in Pomodoro cycles: a work session, then a
+// short break, with a long break in place of every
+// `sessionsBeforeLongBreak`-th short one. Each work session that runs to the
+// end is logged on the todo in `focusSessions`. Cycle lengths are stored
+// under STORAGE_KEYS.FOCUS_SETTINGS.
+import { generateId, applyTodoUpdates } from './todoModel';
+import { focusSettingsSchema, toFieldErrors } from './todoSchema';
+import { getStorageAdapter, STORAGE_KEYS } from './storage';
+import { toDayString } from './recurrence';
+
+export const FOCUS_PHASE_LABELS = {
+  work: 'Focus',
+  shortBreak: 'Short break',
+  longBreak: 'Long break'
+};
+
+export const DEFAULT_FOCUS_SETTINGS = focusSettingsSchema.parse({});
+
+const PHASE_MINUTES = {
+  work: 'workMinutes',
+  shortBreak: 'shortBreakMinutes',
+  longBreak: 'longBreakMinutes'
+};
+
+// Length of a phase in ms
+export const getPhaseDuration = (phase, settings) => settings[PHASE_MINUTES[phase]] * 60 * 1000;
+
+// The phase after `phase`; `completedSessions` counts work sessions done so
+// far, including one that just ended
+export const getNextPhase = (phase, completedSessions, settings) => {
+  if (phase !== 'work') return 'work';
+  return completedSessions % settings.sessionsBeforeLongBreak === 0 ? 'longBreak' : 'shortBreak';
+};
+
+// Log a finished work session on todo `id`
+export const logFocusSession = (todos, id, start, end = new Date()) => todos.map(todo => (todo.id === id
+  ? applyTodoUpdates(todo, {
+    focusSessions: [...todo.focusSessions, { id: generateId(), start: start.toISOString(), end: end.toISOString() }]
+  })
+  : todo
+));
+
+// Work sessions finished on `todo` today
+export const countFocusSessionsToday = (todo, now = new Date()) =>
+  todo.focusSessions.filter(session => toDayString(new Date(session.end)) === toDayString(now)).length;
+
+// Validate cycle lengths; returns a map of field -> error message
+export const validateFocusSettings = (fields) => {
+  const result = focusSettingsSchema.safeParse(fields);
+  return result.success ? {} : toFieldErrors(result.error);
+};
+
+export const parseFocusSettings = (stored) => {
+  try {
+    const result = focusSettingsSchema.safeParse(stored ? JSON.parse(stored) : {});
+    return result.success ? result.data : DEFAULT_FOCUS_SETTINGS;
+  } catch (error) {
+    console.error('Error reading stored focus settings:', error);
+    return DEFAULT_FOCUS_SETTINGS;
+  }
+};
+
+export const loadFocusSettings = async (storage = getStorageAdapter()) => {
+  try {
+    return parseFocusSettings(await storage.getItem(STORAGE_KEYS.FOCUS_SETTINGS));
+  } catch (error) {
+    console.error('Error loading focus settings:', error);
+    return DEFAULT_FOCUS_SETTINGS;
+  }
+};
+
+export const saveFocusSettings = async (settings, storage = getStorageAdapter()) => {
+  try {
+    await storage.setItem(STORAGE_KEYS.FOCUS_SETTINGS, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('Error saving focus settings:', error);
+    return false;
+  }
+};
@@ -1,143 +1,296 @@
-// Todo utility functions and localStorage management
-import { v4 as uuidv4 } from 'uuid';
-
-// Local storage key
-const TODOS_STORAGE_KEY = 'glassmorphic-todos';
-
-// Generate new unique ID
-export const generateId = () => uuidv4();
-
-// Default todo structure
-const createTodo = (text, category = 'general', priority = 'medium') => ({
-  id: uuidv4(),
-  text: text.trim(),
-  completed: false,
-  category,
-  priority,
-  createdAt: new Date().toISOString(),
-  updatedAt: new Date().toISOString(),
-  dueDate: null,
-  tags: [],
-  description: ''
-});
+// Todo utility functions and persistence through the storage adapter
+import {
+  generateId,
+  createTodo,
+  applyTodoUpdates,
+  sanitizeTodos,
+  compactTodo
+} from './todoModel';
+import { getTodoVersions } from './todoActivity';
+import { withAncestors, getDescendantIds } from './todoTree';
+import { getNextOccurrence, toDayString } from './recurrence';
+import { getBlockedIds } from './todoDependencies';
+import { getCategory } from './todoCategories';
+import { DEFAULT_PRIORITY_SCALE, getPriorityRank } from './todoPriorities';
+import { carryOverReminders } from './todoReminders';
+import { isPastDue, getDueSortKey } from './todoDueDates';
+import { isOnToday, isScheduledLater, shiftScheduledDate } from './todoSchedule';
+import {
+  CUSTOM_SORT_PREFIX,
+  sortByCustomField,
+  customValuesMatch,
+  parseCustomFields
+} from './todoCustomFields';
+import { getStorageAdapter, STORAGE_KEYS } from './storage';
+import { migratePayload, createPayload } from './todoMigrations';
+import { importedTodoSchema } from './todoSchema';
+import { computeChecksum, readStoredTodos } from './storageRecovery';
 
-// Load todos from localStorage
-export const loadTodos = () => {
-  try {
-    const stored = localStorage.getItem(TODOS_STORAGE_KEY);
-    if (!stored) return [];
-    
-    const todos = JSON.parse(stored);
-    // Ensure todos have all required properties
-    return todos.map(todo => ({
-      ...createTodo(''),
-      ...todo,
-      // Ensure dates are properly formatted
-      createdAt: todo.createdAt || new Date().toISOString(),
-      updatedAt: todo.updatedAt || new Date().toISOString()
-    }));
-  } catch (error) {
-    console.error('Error loading todos from localStorage:', error);
-    return [];
+export { generateId };
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Days a todo stays in the trash before it is purged
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const TRASH_RETENTION_OPTIONS = [7, 14, 30, 90];
+
+// Load todos from storage. Errors are rethrown: treating an unreadable
+// store as empty would let the next save overwrite it.
+export const loadTodos = async (adapter = getStorageAdapter()) => {
+  const storage = adapter.resolve ? await adapter.resolve() : adapter;
+  if (storage.loadTodoRecords) {
+    return storage.loadTodoRecords();
   }
+
+  const stored = await storage.getItem(STORAGE_KEYS.TODOS);
+  if (!stored) return [];
+
+  return readStoredTodos(storage, stored);
 };
 
-// Save todos to localStorage
-export const saveTodos = (todos) => {
-  try {
-    localStorage.setItem(TODOS_STORAGE_KEY, JSON.stringify(todos));
-    return true;
-  } catch (error) {
-    console.error('Error saving todos to localStorage:', error);
-    return false;
+// Write todos to storage, throwing on failure (e.g. QuotaExceededError).
+// `compact` drops default-valued fields to save space.
+export const persistTodos = async (todos, adapter = getStorageAdapter(), { compact = false } = {}) => {
+  const storage = adapter.resolve ? await adapter.resolve() : adapter;
+  if (storage.saveTodoRecords) {
+    await storage.saveTodoRecords(todos, { compact });
+    return;
   }
+
+  const stored = compact ? todos.map(compactTodo) : todos;
+  const payload = {
+    ...createPayload(stored),
+    checksum: computeChecksum(JSON.stringify(stored))
+  };
+  await storage.setItem(STORAGE_KEYS.TODOS, JSON.stringify(payload));
 };
 
-// Add a new todo
-export const addTodo = (todos, text, category = 'general', priority = 'medium') => {
-  if (!text || !text.trim()) {
-    throw new Error('Todo text cannot be empty');
+// Check or uncheck one subtask of a todo
+export const toggleSubtask = (todos, id, subtaskId) => todos.map(todo => {
+  if (todo.id !== id) return todo;
+
+  return applyTodoUpdates(todo, {
+    subtasks: todo.subtasks.map(subtask =>
+      subtask.id === subtaskId ? { ...subtask, completed: !subtask.completed } : subtask
+    )
+  });
+});
+
+// Fields each occurrence of a recurring todo takes from its series
+const SERIES_FIELDS = [
+  'listId',
+  'text',
+  'description',
+  'category',
+  'priority',
+  'tags',
+  'subtasks',
+  'autoCompleteSubtasks',
+  'customValues',
+  'reminders',
+  'parentId',
+  'dueDate',
+  'dueTime',
+  'dueTimeZone',
+  'scheduledDate'
+];
+
+const pickFields = (todo, fields) => Object.fromEntries(
+  fields.map(field => [field, todo[field]])
+);
+
+const omitFields = (todo, fields) => Object.fromEntries(
+  Object.entries(todo).filter(([field]) => !fields.includes(field))
+);
+
+// The occurrence after `todo` in its series, or null once the series has
+// ended. Values edited on `todo` alone do not carry over.
+export const createNextOccurrence = (todo) => {
+  const series = { ...todo, ...todo.seriesFields };
+  const fromDate = series.dueDate ?? toDayString();
+  const dueDate = getNextOccurrence(todo.recurrence, fromDate, todo.occurrence);
+  if (!dueDate) return null;
+
+  return createTodo({
+    ...pickFields(series, SERIES_FIELDS),
+    subtasks: series.subtasks.map(subtask => ({ ...subtask, completed: false })),
+    reminders: carryOverReminders(series.reminders),
+    dueDate,
+    scheduledDate: shiftScheduledDate(series.scheduledDate, fromDate, dueDate),
+    recurrence: todo.recurrence,
+    seriesId: todo.seriesId ?? todo.id,
+    occurrence: todo.occurrence + 1
+  });
+};
+
+// Complete or reopen a todo. Completing a recurring todo adds its next
+// occurrence right above it, unless the series has already moved on.
+export const toggleTodoCompletion = (todos, id) => {
+  const todo = todos.find(candidate => candidate.id === id);
+  if (!todo) return todos;
+
+  const completed = !todo.completed;
+  const seriesId = todo.seriesId ?? todo.id;
+  const updated = todos.map(candidate => (
+    candidate.id === id
+      ? applyTodoUpdates(candidate, todo.recurrence ? { completed, seriesId } : { completed })
+      : candidate
+  ));
+
+  const hasNext = todos.some(candidate => candidate.seriesId === seriesId && candidate.occurrence > todo.occurrence);
+  const next = completed && todo.recurrence && !isTrashed(todo) && !hasNext
+    ? createNextOccurrence(todo)
+    : null;
+  if (!next) return updated;
+
+  const index = updated.findIndex(candidate => candidate.id === id);
+  return [...updated.slice(0, index), next, ...updated.slice(index)];
+};
+
+// Edit a recurring todo. With scope 'this' only this occurrence changes and
+// the series values it hid are kept for the next one; with 'future' the
+// changes also reach every later open occurrence, which keep their own due
+// and scheduled dates.
+export const updateRecurringTodo = (todos, id, updates, scope = 'future') => {
+  const todo = todos.find(candidate => candidate.id === id);
+  if (!todo) return todos;
+
+  if (scope === 'this') {
+    const seriesFields = todo.seriesFields ?? pickFields(todo, SERIES_FIELDS);
+    return todos.map(candidate => (
+      candidate.id === id
+        ? applyTodoUpdates(candidate, { ...omitFields(updates, ['recurrence']), seriesFields })
+        : candidate
+    ));
   }
-  
-  const newTodo = createTodo(text, category, priority);
-  const updatedTodos = [newTodo, ...todos];
-  saveTodos(updatedTodos);
-  return updatedTodos;
+
+  const seriesId = todo.seriesId ?? todo.id;
+  return todos.map(candidate => {
+    if (candidate.id === id) {
+      return applyTodoUpdates(candidate, { ...updates, seriesFields: null });
+    }
+    const isLaterOccurrence = candidate.seriesId === seriesId &&
+      candidate.occurrence > todo.occurrence &&
+      !candidate.completed &&
+      !isTrashed(candidate);
+    return isLaterOccurrence
+      ? applyTodoUpdates(candidate, { ...omitFields(updates, ['dueDate', 'scheduledDate']), seriesFields: null })
+      : candidate;
+  });
 };
 
-// Update an existing todo
-export const updateTodo = (todos, id, updates) => {
-  const updatedTodos = todos.map(todo => 
-    todo.id === id 
-      ? { 
-          ...todo, 
-          ...updates, 
-          updatedAt: new Date().toISOString(),
-          // Ensure text is trimmed if being updated
-          text: updates.text ? updates.text.trim() : todo.text
-        }
-      : todo
+// Restore a todo's tracked fields to one of its earlier versions
+export const revertTodoToVersion = (todos, id, versionId) => todos.map(todo => {
+  if (todo.id !== id) return todo;
+
+  const version = getTodoVersions(todo).find(candidate => candidate.id === versionId);
+  if (!version) return todo;
+
+  return applyTodoUpdates(todo, version.fields, { source: 'revert', revertedTo: version.at });
+});
+
+// Whether a todo has been moved to the trash
+export const isTrashed = (todo) => Boolean(todo.deletedAt);
+
+// Move the todos with the given ids, and everything nested under them, to the trash
+export const trashTodos = (todos, ids, deletedAt = new Date().toISOString()) => {
+  const liveTodos = getLiveTodos(todos);
+  const trashIds = new Set(ids);
+  ids.forEach(id => getDescendantIds(liveTodos, id).forEach(childId => trashIds.add(childId)));
+
+  return todos.map(todo =>
+    trashIds.has(todo.id) && !isTrashed(todo) ? applyTodoUpdates(todo, { deletedAt }) : todo
   );
-  saveTodos(updatedTodos);
-  return updatedTodos;
 };
 
-// Toggle todo completion status
-export const toggleTodo = (todos, id) => {
-  return updateTodo(todos, id, { 
-    completed: !todos.find(todo => todo.id === id)?.completed 
+// Take the todos with the given ids back out of the trash, together with
+// the nested todos that were trashed along with them
+export const restoreTodos = (todos, ids) => {
+  const restoreIds = new Set(ids);
+  ids.forEach(id => {
+    const todo = todos.find(candidate => candidate.id === id);
+    if (!todo || !isTrashed(todo)) return;
+    getDescendantIds(todos, id)
+      .forEach(childId => {
+        const child = todos.find(candidate => candidate.id === childId);
+        if (child.deletedAt === todo.deletedAt) restoreIds.add(childId);
+      });
   });
-};
 
-// Delete a todo
-export const deleteTodo = (todos, id) => {
-  const updatedTodos = todos.filter(todo => todo.id !== id);
-  saveTodos(updatedTodos);
-  return updatedTodos;
+  return todos.map(todo =>
+    restoreIds.has(todo.id) && isTrashed(todo) ? applyTodoUpdates(todo, { deletedAt: null }) : todo
+  );
 };
 
-// Delete multiple todos
-export const deleteTodos = (todos, ids) => {
-  const updatedTodos = todos.filter(todo => !ids.includes(todo.id));
-  saveTodos(updatedTodos);
-  return updatedTodos;
+// Permanently remove trashed todos; with `ids`, only those
+export const purgeTrash = (todos, ids = null) => todos.filter(todo =>
+  !isTrashed(todo) || (ids !== null && !ids.includes(todo.id))
+);
+
+// Permanently remove todos trashed more than `retentionDays` days ago.
+// Returns `todos` itself when nothing expired.
+export const purgeExpiredTrash = (todos, retentionDays = DEFAULT_TRASH_RETENTION_DAYS, now = Date.now()) => {
+  const cutoff = now - retentionDays * DAY_IN_MS;
+  const kept = todos.filter(todo => !isTrashed(todo) || new Date(todo.deletedAt).getTime() >= cutoff);
+  return kept.length === todos.length ? todos : kept;
 };
 
-// Clear all completed todos
-export const clearCompleted = (todos) => {
-  const updatedTodos = todos.filter(todo => !todo.completed);
-  saveTodos(updatedTodos);
-  return updatedTodos;
+// Whole days left before a trashed todo is purged
+export const getDaysUntilPurge = (todo, retentionDays = DEFAULT_TRASH_RETENTION_DAYS, now = Date.now()) => {
+  const purgeAt = new Date(todo.deletedAt).getTime() + retentionDays * DAY_IN_MS;
+  return Math.max(0, Math.ceil((purgeAt - now) / DAY_IN_MS));
 };
 
-// Mark all todos as completed/uncompleted
-export const toggleAllTodos = (todos, completed = true) => {
-  const updatedTodos = todos.map(todo => ({
-    ...todo,
-    completed,
-    updatedAt: new Date().toISOString()
-  }));
-  saveTodos(updatedTodos);
-  return updatedTodos;
+// Todos that are not in the trash
+export const getLiveTodos = (todos) => todos.filter(todo => !isTrashed(todo));
+
+// Check whether an open todo is past its due date, or its due time when
+// it has one
+export const isOverdue = (todo, now = new Date()) => {
+  if (!todo.dueDate || todo.completed || isTrashed(todo)) return false;
+  return isPastDue(todo, now);
 };
 
-// Filter todos by status
-export const filterTodos = (todos, filter) => {
+// Match todos by status. Only the 'trash' filter matches trashed todos.
+const matchesFilter = (todo, filter, blockedIds) => {
+  if (filter === 'trash') return isTrashed(todo);
+  if (isTrashed(todo)) return false;
+
   switch (filter) {
     case 'active':
-      return todos.filter(todo => !todo.completed);
+      return !todo.completed;
+    case 'ready':
+      return !todo.completed && !blockedIds.has(todo.id);
     case 'completed':
-      return todos.filter(todo => todo.completed);
+      return todo.completed;
+    case 'favorites':
+      return todo.favorite;
+    case 'overdue':
+      return isOverdue(todo);
+    case 'today':
+      return isOnToday(todo);
+    case 'upcoming':
+      return isScheduledLater(todo);
     case 'all':
     default:
-      return todos;
+      // Open todos scheduled for a later day wait until then
+      return !isScheduledLater(todo);
   }
 };
 
-// Filter todos by category
+// Filter todos by status. Ancestors of matching todos stay visible so
+// nested todos keep their place in the tree; the trash is shown flat.
+// Blockers are looked up in `allTodos`, which may be wider than `todos`.
+export const filterTodos = (todos, filter, allTodos = todos) => {
+  const blockedIds = getBlockedIds(allTodos);
+  const matches = todos.filter(todo => matchesFilter(todo, filter, blockedIds));
+  return filter === 'trash' ? matches : withAncestors(getLiveTodos(todos), matches);
+};
+
+// Filter todos by category id, keeping ancestors as filterTodos does
 export const filterByCategory = (todos, category) => {
   if (!category || category === 'all') return todos;
-  return todos.filter(todo => todo.category === category);
+  return withAncestors(todos, todos.filter(todo => todo.category === category));
 };
 
 // Filter todos by priority
@@ -147,20 +300,30 @@ export const filterByPriority = (todos, priority) => {
 };
 
 // Search todos by text
-export const searchTodos = (todos, searchTerm) => {
+export const searchTodos = (todos, searchTerm, categories = []) => {
   if (!searchTerm.trim()) return todos;
   
   const term = searchTerm.toLowerCase();
-  return todos.filter(todo => 
+  const matches = todos.filter(todo => 
     todo.text.toLowerCase().includes(term) ||
     todo.description.toLowerCase().includes(term) ||
-    todo.category.toLowerCase().includes(term) ||
-    todo.tags.some(tag => tag.toLowerCase().includes(term))
+    getCategory(categories, todo.category).name.toLowerCase().includes(term) ||
+    todo.tags.some(tag => tag.toLowerCase().includes(term)) ||
+    todo.subtasks.some(subtask => subtask.text.toLowerCase().includes(term)) ||
+    customValuesMatch(todo, term)
   );
+  // Keep ancestors of matches visible, as filterTodos does
+  return withAncestors(todos, matches);
 };
 
-// Sort todos by different criteria
-export const sortTodos = (todos, sortBy = 'createdAt', order = 'desc') => {
+// Sort todos by different criteria; priorities rank by `priorityLevels`,
+// most important first. `${CUSTOM_SORT_PREFIX}<field id>` sorts by a custom
+// field.
+export const sortTodos = (todos, sortBy = 'createdAt', order = 'desc', priorityLevels = DEFAULT_PRIORITY_SCALE.levels) => {
+  if (sortBy.startsWith(CUSTOM_SORT_PREFIX)) {
+    return sortByCustomField(todos, sortBy.slice(CUSTOM_SORT_PREFIX.length), order);
+  }
+
   const sorted = [...todos].sort((a, b) => {
     let aValue, bValue;
     
@@ -170,9 +333,8 @@ export const sortTodos = (todos, sortBy = 'createdAt', order = 'desc') => {
         bValue = b.text.toLowerCase();
         break;
       case 'priority':
-        const priorityOrder = { high: 3, medium: 2, low: 1 };
-        aValue = priorityOrder[a.priority] || 0;
-        bValue = priorityOrder[b.priority] || 0;
+        aValue = getPriorityRank(priorityLevels, a.priority);
+        bValue = getPriorityRank(priorityLevels, b.priority);
         break;
       case 'category':
         aValue = a.category.toLowerCase();
@@ -183,8 +345,12 @@ export const sortTodos = (todos, sortBy = 'createdAt', order = 'desc') => {
         bValue = b.completed ? 1 : 0;
         break;
       case 'dueDate':
-        aValue = a.dueDate ? new Date(a.dueDate).getTime() : 0;
-        bValue = b.dueDate ? new Date(b.dueDate).getTime() : 0;
+        aValue = getDueSortKey(a) ?? 0;
+        bValue = getDueSortKey(b) ?? 0;
+        break;
+      case 'scheduledDate':
+        aValue = a.scheduledDate ?? '';
+        bValue = b.scheduledDate ?? '';
         break;
       case 'updatedAt':
         aValue = new Date(a.updatedAt).getTime();
@@ -207,38 +373,6 @@ export const sortTodos = (todos, sortBy = 'createdAt', order = 'desc') => {
   return sorted;
 };
 
-// Get todo statistics
-export const getTodoStats = (todos) => {
-  const total = todos.length;
-  const completed = todos.filter(todo => todo.completed).length;
-  const active = total - completed;
-  const overdue = todos.filter(todo => 
-    todo.dueDate && 
-    !todo.completed && 
-    new Date(todo.dueDate) < new Date()
-  ).length;
-  
-  const byCategory = todos.reduce((acc, todo) => {
-    acc[todo.category] = (acc[todo.category] || 0) + 1;
-    return acc;
-  }, {});
-  
-  const byPriority = todos.reduce((acc, todo) => {
-    acc[todo.priority] = (acc[todo.priority] || 0) + 1;
-    return acc;
-  }, {});
-  
-  return {
-    total,
-    completed,
-    active,
-    overdue,
-    completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
-    byCategory,
-    byPriority
-  };
-};
-
 // Get unique categories from todos
 export const getCategories = (todos) => {
   const categories = [...new Set(todos.map(todo => todo.category))];
@@ -252,15 +386,19 @@ export const getTags = (todos) => {
 };
 
 // Export/Import functionality
-export const exportTodos = (todos) => {
+
+// Export todos to a JSON file. `customFields` are the definitions of the
+// custom fields the todos have values for.
+export const exportTodos = (todos, filename = `todos-${new Date().toISOString().split('T')[0]}.json`, customFields = []) => {
   try {
-    const dataStr = JSON.stringify(todos, null, 2);
+    const payload = customFields.length > 0 ? { ...createPayload(todos), customFields } : createPayload(todos);
+    const dataStr = JSON.stringify(payload, null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
     const url = URL.createObjectURL(dataBlob);
     
     const link = document.createElement('a');
     link.href = url;
-    link.download = `todos-${new Date().toISOString().split('T')[0]}.json`;
+    link.download = filename;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -273,34 +411,32 @@ export const exportTodos = (todos) => {
   }
 };
 
-// Import todos from JSON file
+// Import todos from JSON file.
+// Resolves with the valid todos, one error entry per rejected record and
+// the custom field definitions the file came with.
 export const importTodos = (file) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     
     reader.onload = (e) => {
       try {
-        const importedTodos = JSON.parse(e.target.result);
-        
-        // Validate imported data
-        if (!Array.isArray(importedTodos)) {
-          throw new Error('Invalid file format: expected array of todos');
-        }
+        // Upgrade the file through the same migrations as stored data
+        const payload = JSON.parse(e.target.result);
+        const { todos: importedTodos } = migratePayload(payload);
         
         // Validate and normalize each todo
-        const validTodos = importedTodos
-          .filter(todo => todo && typeof todo === 'object' && todo.text)
-          .map(todo => ({
-            ...createTodo(todo.text, todo.category, todo.priority),
-            ...todo,
-            id: todo.id || uuidv4(), // Ensure unique ID
-            createdAt: todo.createdAt || new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          }));
+        const { todos, errors } = sanitizeTodos(importedTodos, importedTodoSchema);
+        const now = new Date().toISOString();
         
-        resolve(validTodos);
+        resolve({
+          todos: todos.map(todo => ({ ...todo, updatedAt: now })),
+          errors,
+          customFields: parseCustomFields(payload.customFields)
+        });
       } catch (error) {
-        reject(new Error('Invalid JSON file or file format'));
+        reject(new Error(
+          error instanceof SyntaxError ? 'Invalid JSON file or file format' : error.message
+        ));
       }
     };
     
@@ -312,73 +448,52 @@ export const importTodos = (file) => {
   });
 };
 
-// Duplicate a todo
-export const duplicateTodo = (todos, id) => {
-  const todoToDuplicate = todos.find(todo => todo.id === id);
-  if (!todoToDuplicate) {
-    throw new Error('Todo not found');
-  }
-  
-  const duplicatedTodo = {
-    ...todoToDuplicate,
-    id: uuidv4(),
-    text: `${todoToDuplicate.text} (Copy)`,
-    completed: false,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
-  
-  const updatedTodos = [duplicatedTodo, ...todos];
-  saveTodos(updatedTodos);
-  return updatedTodos;
+// Completed todos untouched for at least `olderThanDays` days
+export const getArchivableTodos = (todos, olderThanDays = 30) => {
+  const cutoff = Date.now() - olderThanDays * DAY_IN_MS;
+  return getLiveTodos(todos).filter(todo => todo.completed && new Date(todo.updatedAt).getTime() < cutoff);
 };
 
-// Batch operations
-export const batchUpdateTodos = (todos, ids, updates) => {
-  const updatedTodos = todos.map(todo => 
-    ids.includes(todo.id) 
-      ? { 
-          ...todo, 
-          ...updates, 
-          updatedAt: new Date().toISOString() 
-        }
-      : todo
-  );
-  saveTodos(updatedTodos);
-  return updatedTodos;
+// Describe what changed between two versions of the list, for other tabs.
+// Todos count as changed when their `updatedAt` differs.
+export const diffTodos = (previous, next, deletedAt = new Date().toISOString()) => {
+  const previousById = new Map(previous.map(todo => [todo.id, todo]));
+  const nextIds = new Set(next.map(todo => todo.id));
+
+  return {
+    upserts: next.filter(todo => previousById.get(todo.id)?.updatedAt !== todo.updatedAt),
+    deletes: previous
+      .filter(todo => !nextIds.has(todo.id))
+      .map(todo => ({ id: todo.id, deletedAt }))
+  };
 };
 
-// Default categories and priorities
-export const DEFAULT_CATEGORIES = [
-  'general',
-  'work',
-  'personal',
-  'shopping',
-  'health',
-  'learning',
-  'projects'
-];
+// Apply changes from another tab per todo: the newer `updatedAt` wins, and a
+// delete only applies to todos not edited after it. Returns `local` itself
+// when nothing changed.
+export const mergeTodos = (local, { upserts = [], deletes = [] }) => {
+  const incoming = new Map(sanitizeTodos(upserts).todos.map(todo => [todo.id, todo]));
+  const deletedAt = new Map(deletes.map(({ id, deletedAt }) => [id, new Date(deletedAt)]));
+  let changed = false;
 
-export const DEFAULT_PRIORITIES = [
-  'low',
-  'medium',
-  'high'
-];
+  const merged = local.reduce((result, todo) => {
+    const remote = incoming.get(todo.id);
+    incoming.delete(todo.id);
 
-// Priority colors for UI
-export const PRIORITY_COLORS = {
-  low: 'from-blue-400 to-cyan-400',
-  medium: 'from-yellow-400 to-orange-400',
-  high: 'from-red-400 to-pink-400'
-};
+    if (deletedAt.has(todo.id) && new Date(todo.updatedAt) <= deletedAt.get(todo.id)) {
+      changed = true;
+      return result;
+    }
+
+    if (remote && new Date(remote.updatedAt) > new Date(todo.updatedAt)) {
+      changed = true;
+      result.push(remote);
+    } else {
+      result.push(todo);
+    }
+    return result;
+  }, []);
 
-// Category colors for UI
-export const CATEGORY_COLORS = {
-  general: 'from-gray-400 to-slate-400',
-  work: 'from-blue-400 to-indigo-400',
-  personal: 'from-green-400 to-emerald-400',
-  shopping: 'from-purple-400 to-violet-400',
-  health: 'from-red-400 to-rose-400',
-  learning: 'from-yellow-400 to-amber-400',
-  projects: 'from-cyan-400 to-teal-400'
+  if (incoming.size === 0 && !changed) return local;
+  return [...incoming.values(), ...merged];
 };
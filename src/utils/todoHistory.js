@@ -0,0 +1,134 @@
+// Undo/redo history for todo mutations.
+//
+// Each entry records, per affected todo, its state and position before and
+// after the change. Undo and redo re-apply those states per todo, so they
+// still work after unrelated todos changed (e.g. edits merged from another
+// tab). Restored todos get a fresh `updatedAt` so the change syncs, and
+// the undo or redo is added to their activity log. Reminders that went off
+// meanwhile stay fired. Changes outside the todos, such as a deleted
+// category, are kept as extra `details` on the entry for the caller to
+// revert alongside.
+//
+// The stack is persisted on every change, so it is kept small: snapshots of
+// todos that exist on both sides leave out `activity`, which undo and redo
+// never restore, and the oldest entries are dropped once the stack passes
+// MAX_HISTORY_SIZE characters as well as `depth` entries.
+import { generateId } from './todoModel';
+import { recordActivity } from './todoActivity';
+import { keepFiredReminders } from './todoReminders';
+
+export const DEFAULT_HISTORY_DEPTH = 50;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// Serialized size the stack may reach before its oldest entries are dropped
+export const MAX_HISTORY_SIZE = 1024 * 1024;
+
+// A todo without its activity log
+const withoutActivity = (todo) => {
+  const copy = { ...todo };
+  delete copy.activity;
+  return copy;
+};
+
+// The newest `depth` entries that fit in MAX_HISTORY_SIZE; the newest is always kept
+const trimEntries = (entries, depth) => {
+  const kept = entries.slice(-depth);
+  let size = 0;
+  for (let i = kept.length - 1; i >= 0; i--) {
+    size += JSON.stringify(kept[i]).length;
+    if (size > MAX_HISTORY_SIZE && i < kept.length - 1) return kept.slice(i + 1);
+  }
+  return kept;
+};
+
+// Build a history entry from two versions of the list, or null if nothing changed
+export const createHistoryEntry = (label, previous, next, details = null) => {
+  const previousById = new Map(previous.map((todo, index) => [todo.id, { todo, index }]));
+  const nextById = new Map(next.map((todo, index) => [todo.id, { todo, index }]));
+  const ids = new Set([...previousById.keys(), ...nextById.keys()]);
+
+  const changes = [...ids]
+    .filter(id => previousById.get(id)?.todo !== nextById.get(id)?.todo)
+    .map(id => {
+      const before = previousById.get(id)?.todo ?? null;
+      const after = nextById.get(id)?.todo ?? null;
+      const keepActivity = !before || !after;
+      return {
+        id,
+        before: before && (keepActivity ? before : withoutActivity(before)),
+        beforeIndex: previousById.get(id)?.index ?? 0,
+        after: after && (keepActivity ? after : withoutActivity(after)),
+        afterIndex: nextById.get(id)?.index ?? 0
+      };
+    });
+
+  if (changes.length === 0 && !details) return null;
+
+  return {
+    id: generateId(),
+    label,
+    at: new Date().toISOString(),
+    changes,
+    ...details
+  };
+};
+
+// Apply an entry to the list in either direction ('undo' or 'redo')
+export const applyHistoryEntry = (todos, entry, direction) => {
+  const now = new Date().toISOString();
+  const result = [...todos];
+  const changes = direction === 'undo' ? [...entry.changes].reverse() : entry.changes;
+
+  changes.forEach(change => {
+    const target = direction === 'undo' ? change.before : change.after;
+    const targetIndex = direction === 'undo' ? change.beforeIndex : change.afterIndex;
+    const position = result.findIndex(todo => todo.id === change.id);
+
+    if (!target) {
+      if (position !== -1) result.splice(position, 1);
+      return;
+    }
+
+    if (position !== -1) {
+      const current = result[position];
+      result[position] = recordActivity(
+        current,
+        {
+          ...target,
+          reminders: keepFiredReminders(target.reminders ?? [], current.reminders ?? []),
+          updatedAt: now,
+          activity: current.activity
+        },
+        { source: direction }
+      );
+    } else {
+      result.splice(Math.min(targetIndex, result.length), 0, { activity: [], ...target, updatedAt: now });
+    }
+  });
+
+  return result;
+};
+
+// Record a new entry; a new change discards the redo stack
+export const pushHistoryEntry = (history, entry, depth = DEFAULT_HISTORY_DEPTH) => ({
+  past: trimEntries([...history.past, entry], depth),
+  future: []
+});
+
+// Read persisted history, falling back to empty on anything unexpected
+export const parseHistory = (stored, depth = DEFAULT_HISTORY_DEPTH) => {
+  try {
+    const history = stored ? JSON.parse(stored) : EMPTY_HISTORY;
+    if (!Array.isArray(history.past) || !Array.isArray(history.future)) {
+      return EMPTY_HISTORY;
+    }
+    return {
+      past: trimEntries(history.past, depth),
+      future: trimEntries(history.future, depth)
+    };
+  } catch (error) {
+    console.error('Error reading undo history:', error);
+    return EMPTY_HISTORY;
+  }
+};
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_HISTORY_SIZE,
+  EMPTY_HISTORY,
+  createHistoryEntry,
+  applyHistoryEntry,
+  pushHistoryEntry
+} from './todoHistory';
+import { DEVICE_ID } from './sync';
+
+const activity = [{ id: 'a1', at: '2024-01-01T00:00:00.000Z', source: 'edit', changes: [] }];
+const todo = { id: '1', text: 'Write report', completed: false, reminders: [], activity };
+
+describe('todo history', () => {
+  it('leaves the activity log out of snapshots of edited todos', () => {
+    const entry = createHistoryEntry('Edited todo', [todo], [{ ...todo, text: 'Send report' }]);
+    expect(entry.changes[0].before).not.toHaveProperty('activity');
+    expect(entry.changes[0].after).not.toHaveProperty('activity');
+  });
+
+  it('keeps the activity log of removed todos so undo brings it back', () => {
+    const entry = createHistoryEntry('Deleted todo', [todo], []);
+    expect(applyHistoryEntry([], entry, 'undo')[0].activity).toEqual(activity);
+  });
+
+  it('logs the undo as made by this device', () => {
+    const edited = { ...todo, text: 'Send report' };
+    const entry = createHistoryEntry('Edited todo', [todo], [edited]);
+    const [undone] = applyHistoryEntry([edited], entry, 'undo');
+    expect(undone.activity.at(-1)).toMatchObject({ source: 'undo', actor: DEVICE_ID });
+  });
+
+  it('drops the oldest entries once the stack grows too large', () => {
+    const text = 'x'.repeat(MAX_HISTORY_SIZE / 4);
+    const history = [1, 2, 3, 4, 5].reduce((current, index) => pushHistoryEntry(
+      current,
+      createHistoryEntry(`Edit ${index}`, [todo], [{ ...todo, text: `${text}${index}` }])
+    ), EMPTY_HISTORY);
+
+    expect(history.past.map(entry => entry.label)).toEqual(['Edit 3', 'Edit 4', 'Edit 5']);
+  });
+});
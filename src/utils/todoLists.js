@@ -0,0 +1,135 @@
+// Lists (projects) that todos are grouped into.
+//
+// Lists are stored apart from the todos under STORAGE_KEYS.LISTS. The inbox
+// always exists, cannot be archived, and also holds todos whose list is
+// missing (e.g. after importing todos from another device).
+import { generateId, applyTodoUpdates } from './todoModel';
+import { getDescendantIds } from './todoTree';
+import {
+  listSchema,
+  listFieldsSchema,
+  toFieldErrors,
+  DEFAULT_LIST_ID,
+  DEFAULT_CATEGORY,
+  DEFAULT_PRIORITY,
+  LIST_COLORS,
+  LIST_ICONS
+} from './todoSchema';
+import { getStorageAdapter, STORAGE_KEYS } from './storage';
+
+export const DEFAULT_LIST = {
+  id: DEFAULT_LIST_ID,
+  name: 'Inbox',
+  color: LIST_COLORS[0],
+  icon: LIST_ICONS[0],
+  defaultCategory: DEFAULT_CATEGORY,
+  defaultPriority: DEFAULT_PRIORITY,
+  archived: false,
+  customFields: [],
+  createdAt: new Date(0).toISOString()
+};
+
+// Validate user-editable list fields; returns a map of field -> error message
+export const validateList = (fields) => {
+  const result = listFieldsSchema.safeParse(fields);
+  return result.success ? {} : toFieldErrors(result.error);
+};
+
+// Create a new list; throws when the fields are invalid
+export const createList = (fields) => {
+  const errors = validateList(fields);
+  if (Object.keys(errors).length > 0) {
+    throw new Error(Object.values(errors)[0]);
+  }
+
+  return listSchema.parse({
+    ...listFieldsSchema.parse(fields),
+    id: generateId(),
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Apply edits to a list. The inbox is never archived.
+export const updateList = (lists, id, updates) => lists.map(list => {
+  if (list.id !== id) return list;
+
+  const errors = validateList({ ...list, ...updates });
+  if (Object.keys(errors).length > 0) {
+    throw new Error(Object.values(errors)[0]);
+  }
+
+  const fields = listFieldsSchema.parse({ ...list, ...updates });
+  return { ...list, ...fields, archived: id !== DEFAULT_LIST_ID && fields.archived };
+});
+
+// Valid lists from a stored value, always starting with the inbox
+export const parseLists = (stored) => {
+  let records = [];
+  try {
+    const parsed = stored ? JSON.parse(stored) : [];
+    records = Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Error reading stored lists:', error);
+  }
+
+  const lists = records
+    .map(record => listSchema.safeParse(record))
+    .filter(result => result.success)
+    .map(result => result.data);
+  const inbox = lists.find(list => list.id === DEFAULT_LIST_ID);
+
+  return [
+    { ...DEFAULT_LIST, ...inbox, archived: false },
+    ...lists.filter(list => list.id !== DEFAULT_LIST_ID)
+  ];
+};
+
+export const loadLists = async (storage = getStorageAdapter()) => {
+  try {
+    return parseLists(await storage.getItem(STORAGE_KEYS.LISTS));
+  } catch (error) {
+    console.error('Error loading lists:', error);
+    return parseLists(null);
+  }
+};
+
+export const saveLists = async (lists, storage = getStorageAdapter()) => {
+  try {
+    await storage.setItem(STORAGE_KEYS.LISTS, JSON.stringify(lists));
+    return true;
+  } catch (error) {
+    console.error('Error saving lists:', error);
+    return false;
+  }
+};
+
+// Id of the list a todo is shown in
+export const resolveListId = (todo, lists) =>
+  lists.some(list => list.id === todo.listId) ? todo.listId : DEFAULT_LIST_ID;
+
+// Todos shown in a list
+export const getListTodos = (todos, listId, lists) =>
+  todos.filter(todo => resolveListId(todo, lists) === listId);
+
+// Move todos, and everything nested under them, to another list. Moved
+// todos leave a parent that stays behind and become top-level there.
+export const moveTodosToList = (todos, ids, listId) => {
+  const moveIds = new Set(ids);
+  ids.forEach(id => getDescendantIds(todos, id).forEach(childId => moveIds.add(childId)));
+
+  return todos.map(todo => {
+    if (!moveIds.has(todo.id)) return todo;
+    const keepsParent = todo.parentId !== null && moveIds.has(todo.parentId);
+    return applyTodoUpdates(todo, keepsParent ? { listId } : { listId, parentId: null });
+  });
+};
+
+// Gradient for each list color
+export const LIST_COLOR_CLASSES = {
+  violet: 'from-violet-400 to-fuchsia-400',
+  blue: 'from-blue-400 to-indigo-400',
+  emerald: 'from-green-400 to-emerald-400',
+  amber: 'from-yellow-400 to-amber-400',
+  rose: 'from-red-400 to-rose-400',
+  slate: 'from-gray-400 to-slate-400'
+};
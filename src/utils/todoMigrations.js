@@ -0,0 +1,192 @@
+// Versioned schema for stored and imported todo payloads.
+//
+// Payloads are saved as `{ version, todos }`. Older payloads (a bare array,
+// or a lower version) are upgraded by running every migration above their
+// version in order. Each step receives the raw todos of the previous version
+// and must tolerate records that are already in the new shape. Records that
+// are not objects pass through untouched so validation can report them.
+import { toCalendarDay } from './todoDueDates';
+
+const mapRecords = (todos, upgrade) => todos.map(todo => (
+  todo && typeof todo === 'object' && !Array.isArray(todo) ? upgrade(todo) : todo
+));
+
+// Upgrade steps, ordered by the version they produce
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Rename `title` to `text` and use string ids',
+    up: (todos) => mapRecords(todos, ({ title, ...todo }) => ({
+      ...todo,
+      text: todo.text ?? title ?? '',
+      id: todo.id === undefined || todo.id === null ? todo.id : String(todo.id)
+    }))
+  },
+  {
+    version: 2,
+    description: 'Add `favorite` and `tags`, lowercase categories',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      favorite: Boolean(todo.favorite),
+      tags: Array.isArray(todo.tags) ? todo.tags : [],
+      category: typeof todo.category === 'string' ? todo.category.toLowerCase() : todo.category
+    }))
+  },
+  {
+    version: 3,
+    description: 'Add `deletedAt` for todos in the trash',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      deletedAt: todo.deletedAt ?? null
+    }))
+  },
+  {
+    version: 4,
+    description: 'Add the per-todo `activity` log',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      activity: Array.isArray(todo.activity) ? todo.activity : []
+    }))
+  },
+  {
+    version: 5,
+    description: 'Add `subtasks` checklists and `autoCompleteSubtasks`',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      subtasks: Array.isArray(todo.subtasks) ? todo.subtasks : [],
+      autoCompleteSubtasks: Boolean(todo.autoCompleteSubtasks)
+    }))
+  },
+  {
+    version: 6,
+    description: 'Add `parentId` for nested todos',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      parentId: todo.parentId ?? null
+    }))
+  },
+  {
+    version: 7,
+    description: 'Add `recurrence` rules and series tracking',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      recurrence: todo.recurrence ?? null,
+      seriesId: todo.seriesId ?? null,
+      occurrence: todo.occurrence ?? 1,
+      seriesFields: todo.seriesFields ?? null
+    }))
+  },
+  {
+    version: 8,
+    description: 'Add `blockedBy` dependency links',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      blockedBy: todo.blockedBy ?? []
+    }))
+  },
+  {
+    version: 9,
+    description: 'Put every todo in a list, starting with the inbox',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      listId: todo.listId ?? 'inbox'
+    }))
+  },
+  {
+    version: 10,
+    description: 'Add custom field values',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      customValues: todo.customValues ?? {}
+    }))
+  },
+  {
+    version: 11,
+    description: 'Add time tracking entries',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      timeEntries: todo.timeEntries ?? []
+    }))
+  },
+  {
+    version: 12,
+    description: 'Add focus sessions',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      focusSessions: todo.focusSessions ?? []
+    }))
+  },
+  {
+    version: 13,
+    description: 'Add reminders',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      reminders: todo.reminders ?? []
+    }))
+  },
+  {
+    version: 14,
+    description: 'Store due dates as calendar days and add due times',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      // The same local day normalizeTodo picks; unreadable values are kept
+      // for validation to report
+      dueDate: toCalendarDay(todo.dueDate) ?? todo.dueDate ?? null,
+      dueTime: todo.dueTime ?? null,
+      dueTimeZone: todo.dueTimeZone ?? null
+    }))
+  },
+  {
+    version: 15,
+    description: 'Add `scheduledDate`',
+    up: (todos) => mapRecords(todos, todo => ({
+      ...todo,
+      scheduledDate: todo.scheduledDate ?? null
+    }))
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Run the migrations needed to bring todos from `fromVersion` to the current version
+export const migrateTodos = (todos, fromVersion = 0) => {
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Data was saved by a newer version of the app (schema ${fromVersion}, supported ${CURRENT_SCHEMA_VERSION})`
+    );
+  }
+
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((current, migration) => migration.up(current), todos);
+};
+
+// Read the version and todos out of any supported payload shape
+export const readPayload = (payload) => {
+  if (Array.isArray(payload)) {
+    return { version: 0, todos: payload };
+  }
+
+  if (payload && typeof payload === 'object' && Array.isArray(payload.todos)) {
+    const version = Number.isInteger(payload.version) ? payload.version : 0;
+    return { version, todos: payload.todos };
+  }
+
+  throw new Error('Invalid file format: expected an array of todos or a versioned payload');
+};
+
+// Upgrade a stored or imported payload to the current schema
+export const migratePayload = (payload) => {
+  const { version, todos } = readPayload(payload);
+
+  return {
+    version: CURRENT_SCHEMA_VERSION,
+    todos: migrateTodos(todos, version)
+  };
+};
+
+// Wrap todos in a versioned payload for saving or exporting
+export const createPayload = (todos) => ({
+  version: CURRENT_SCHEMA_VERSION,
+  todos
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  migratePayload,
+  migrateTodos,
+  readPayload
+} from './todoMigrations';
+
+// One stored payload per schema version, with the todos it should migrate to
+const fixtures = Object.fromEntries(
+  Object.entries(import.meta.glob('./__fixtures__/migrations/v*.json', { eager: true, import: 'default' }))
+    .map(([path, fixture]) => [Number(path.match(/v(\d+)\.json$/)[1]), fixture])
+);
+
+describe('todo migrations', () => {
+  it('are numbered one after another up to the current version', () => {
+    expect(MIGRATIONS.map(migration => migration.version))
+      .toEqual(Array.from({ length: CURRENT_SCHEMA_VERSION }, (_, index) => index + 1));
+    expect(CURRENT_SCHEMA_VERSION).toBe(15);
+  });
+
+  it('have a fixture for every schema version', () => {
+    expect(Object.keys(fixtures).map(Number).sort((a, b) => a - b))
+      .toEqual(Array.from({ length: CURRENT_SCHEMA_VERSION + 1 }, (_, index) => index));
+  });
+
+  Object.entries(fixtures).forEach(([version, { stored, expected }]) => {
+    it(`upgrade version ${version} data to the current schema`, () => {
+      expect(migratePayload(stored)).toEqual({ version: CURRENT_SCHEMA_VERSION, todos: expected });
+    });
+
+    it(`leave version ${version} data unchanged when run again`, () => {
+      expect(migrateTodos(expected, 0)).toEqual(expected);
+    });
+  });
+
+  it('refuse data from a newer version of the app', () => {
+    expect(() => migratePayload({ version: CURRENT_SCHEMA_VERSION + 1, todos: [] }))
+      .toThrow(/newer version/);
+  });
+
+  it('reject payloads that are not todos', () => {
+    expect(() => readPayload({ todos: 'nope' })).toThrow(/Invalid file format/);
+    expect(readPayload({ todos: [] })).toEqual({ version: 0, todos: [] });
+  });
+});
@@ -0,0 +1,261 @@
+// Canonical todo entity: factory, normalization and validation
+import { v4 as uuidv4 } from 'uuid';
+import {
+  todoFieldsSchema,
+  todoSchema,
+  toFieldErrors,
+  DEFAULT_CATEGORY,
+  DEFAULT_PRIORITY,
+  DEFAULT_LIST_ID
+} from './todoSchema';
+import { recordActivity } from './todoActivity';
+import { toCalendarDay, isValidTimeZone, getLocalTimeZone, TIME_PATTERN } from './todoDueDates';
+
+export {
+  TODO_TEXT_MAX_LENGTH,
+  TODO_DESCRIPTION_MAX_LENGTH,
+  DEFAULT_CATEGORY,
+  DEFAULT_PRIORITY
+} from './todoSchema';
+
+// Generate new unique ID
+export const generateId = () => uuidv4();
+
+const toTrimmedString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toTagList = (tags) => {
+  if (!Array.isArray(tags)) return [];
+  const cleaned = tags.map(toTrimmedString).filter(Boolean);
+  return [...new Set(cleaned)];
+};
+
+const toIdList = (ids) => {
+  if (!Array.isArray(ids)) return [];
+  const cleaned = ids.filter(id => id !== undefined && id !== null && id !== '').map(String);
+  return [...new Set(cleaned)];
+};
+
+const toSubtaskList = (subtasks) => {
+  if (!Array.isArray(subtasks)) return [];
+  return subtasks
+    .filter(subtask => subtask && typeof subtask === 'object')
+    .map(subtask => ({
+      id: subtask.id !== undefined && subtask.id !== null && subtask.id !== '' ? String(subtask.id) : generateId(),
+      text: toTrimmedString(subtask.text),
+      completed: Boolean(subtask.completed)
+    }));
+};
+
+// Custom field values, keeping only scalar values under non-empty ids
+const toCustomValues = (values) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return {};
+  return Object.fromEntries(Object.entries(values).filter(([id, value]) =>
+    id && ['string', 'number', 'boolean'].includes(typeof value)
+  ));
+};
+
+const toReminderList = (reminders) => {
+  if (!Array.isArray(reminders)) return [];
+  return reminders
+    .filter(reminder => reminder && typeof reminder === 'object')
+    .map(reminder => ({
+      id: reminder.id !== undefined && reminder.id !== null && reminder.id !== '' ? String(reminder.id) : generateId(),
+      type: reminder.type === 'absolute' ? 'absolute' : 'relative',
+      at: reminder.at || null,
+      offsetMinutes: Number.isInteger(reminder.offsetMinutes) ? reminder.offsetMinutes : null,
+      firedAt: reminder.firedAt || null,
+      snoozedUntil: reminder.snoozedUntil || null
+    }));
+};
+
+const toPlainObject = (value) => (
+  value && typeof value === 'object' && !Array.isArray(value) ? value : null
+);
+
+const toIsoString = (value, fallback) => {
+  if (!value) return fallback;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? fallback : date.toISOString();
+};
+
+const toTimeEntryList = (entries) => {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .filter(entry => entry && typeof entry === 'object' && entry.start)
+    .map(entry => ({
+      id: entry.id !== undefined && entry.id !== null && entry.id !== '' ? String(entry.id) : generateId(),
+      start: toIsoString(entry.start, null),
+      end: toIsoString(entry.end, null),
+      note: toTrimmedString(entry.note)
+    }))
+    .filter(entry => entry.start);
+};
+
+const toFocusSessionList = (sessions) => {
+  if (!Array.isArray(sessions)) return [];
+  return sessions
+    .filter(session => session && typeof session === 'object')
+    .map(session => ({
+      id: session.id !== undefined && session.id !== null && session.id !== '' ? String(session.id) : generateId(),
+      start: toIsoString(session.start, null),
+      end: toIsoString(session.end, null)
+    }))
+    .filter(session => session.start && session.end);
+};
+
+// Create a checklist item for a todo
+export const createSubtask = (text) => ({
+  id: generateId(),
+  text: toTrimmedString(text),
+  completed: false
+});
+
+// Create a brand new todo from user-editable fields
+export const createTodo = (fields = {}) => {
+  const now = new Date().toISOString();
+
+  return normalizeTodo({
+    ...fields,
+    id: generateId(),
+    completed: false,
+    createdAt: now,
+    updatedAt: now,
+    activity: []
+  });
+};
+
+// Coerce any stored, imported or submitted record into the canonical shape.
+// Records from older schema versions go through todoMigrations first.
+export const normalizeTodo = (raw = {}) => {
+  const now = new Date().toISOString();
+  const createdAt = toIsoString(raw.createdAt, now);
+  const dueDate = toCalendarDay(raw.dueDate);
+  // A due time needs a due date
+  const dueTime = dueDate && TIME_PATTERN.test(raw.dueTime ?? '') ? raw.dueTime : null;
+
+  return {
+    id: raw.id !== undefined && raw.id !== null && raw.id !== '' ? String(raw.id) : generateId(),
+    text: toTrimmedString(raw.text),
+    description: toTrimmedString(raw.description),
+    completed: Boolean(raw.completed),
+    favorite: Boolean(raw.favorite),
+    category: toTrimmedString(raw.category).toLowerCase() || DEFAULT_CATEGORY,
+    priority: toTrimmedString(raw.priority).toLowerCase() || DEFAULT_PRIORITY,
+    tags: toTagList(raw.tags),
+    subtasks: toSubtaskList(raw.subtasks),
+    autoCompleteSubtasks: Boolean(raw.autoCompleteSubtasks),
+    parentId: raw.parentId !== undefined && raw.parentId !== null && raw.parentId !== '' ? String(raw.parentId) : null,
+    listId: raw.listId !== undefined && raw.listId !== null && raw.listId !== '' ? String(raw.listId) : DEFAULT_LIST_ID,
+    blockedBy: toIdList(raw.blockedBy),
+    customValues: toCustomValues(raw.customValues),
+    reminders: toReminderList(raw.reminders),
+    recurrence: toPlainObject(raw.recurrence),
+    seriesId: raw.seriesId ? String(raw.seriesId) : null,
+    occurrence: Number.isInteger(raw.occurrence) && raw.occurrence > 0 ? raw.occurrence : 1,
+    seriesFields: toPlainObject(raw.seriesFields),
+    timeEntries: toTimeEntryList(raw.timeEntries),
+    focusSessions: toFocusSessionList(raw.focusSessions),
+    dueDate,
+    dueTime,
+    dueTimeZone: dueTime ? (isValidTimeZone(raw.dueTimeZone) ? raw.dueTimeZone : getLocalTimeZone()) : null,
+    scheduledDate: toCalendarDay(raw.scheduledDate),
+    createdAt,
+    updatedAt: toIsoString(raw.updatedAt, createdAt),
+    deletedAt: toIsoString(raw.deletedAt, null),
+    activity: Array.isArray(raw.activity) ? raw.activity : []
+  };
+};
+
+// Progress through a todo's checklist
+export const getSubtaskProgress = (todo) => {
+  const total = todo.subtasks.length;
+  const completed = todo.subtasks.filter(subtask => subtask.completed).length;
+  return {
+    total,
+    completed,
+    percent: total > 0 ? Math.round((completed / total) * 100) : 0
+  };
+};
+
+const allSubtasksDone = (todo) => todo.subtasks.length > 0 && todo.subtasks.every(subtask => subtask.completed);
+
+// With auto-complete on, finishing the last subtask completes the todo and
+// reopening one reopens it. Toggling the todo itself is left alone.
+const rollUpSubtasks = (previous, next) => {
+  if (!next.autoCompleteSubtasks) return next;
+
+  const done = allSubtasksDone(next);
+  if (done === allSubtasksDone(previous)) return next;
+  return { ...next, completed: done };
+};
+
+// Reminders set relative to the due date go off again once it moves: a
+// snooze or an earlier firing no longer applies
+const rearmRelativeReminders = (previous, next) => {
+  const dueMoved = ['dueDate', 'dueTime', 'dueTimeZone'].some(field => previous[field] !== next[field]);
+  if (!dueMoved) return next;
+
+  return {
+    ...next,
+    reminders: next.reminders.map(reminder => (
+      reminder.type === 'relative' ? { ...reminder, firedAt: null, snoozedUntil: null } : reminder
+    ))
+  };
+};
+
+// Apply a partial update to a todo, keeping it canonical and logging the
+// changed fields. `activityOptions` are passed on to recordActivity.
+export const applyTodoUpdates = (todo, updates, activityOptions) => {
+  const next = rearmRelativeReminders(todo, normalizeTodo({
+    ...todo,
+    ...updates,
+    id: todo.id,
+    createdAt: todo.createdAt,
+    updatedAt: new Date().toISOString(),
+    activity: todo.activity
+  }));
+
+  return recordActivity(todo, rollUpSubtasks(todo, next), activityOptions);
+};
+
+// Drop empty and default-valued fields to shrink the stored payload.
+// normalizeTodo restores them on load.
+export const compactTodo = (todo) => Object.fromEntries(
+  Object.entries(todo).filter(([, value]) => (
+    value !== null &&
+    value !== false &&
+    value !== '' &&
+    !(Array.isArray(value) && value.length === 0)
+  ))
+);
+
+// Validate user-editable fields; returns a map of field -> error message
+export const validateTodo = (fields) => {
+  const result = todoFieldsSchema.safeParse(fields);
+  return result.success ? {} : toFieldErrors(result.error);
+};
+
+export const isValidTodo = (fields) => todoFieldsSchema.safeParse(fields).success;
+
+// Normalize and validate a list of raw records (from storage or an import).
+// Returns the valid todos plus one error entry per rejected record. Imports
+// pass importedTodoSchema to apply the form's length limits.
+export const sanitizeTodos = (records, schema = todoSchema) => records.reduce((result, record, index) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    result.errors.push({ index, id: null, text: null, errors: { record: 'Record is not an object' } });
+    return result;
+  }
+
+  const parsed = schema.safeParse(normalizeTodo(record));
+  if (parsed.success) {
+    result.todos.push(parsed.data);
+  } else {
+    result.errors.push({
+      index,
+      id: record.id ?? null,
+      text: typeof record.text === 'string' ? record.text : null,
+      errors: toFieldErrors(parsed.error)
+    });
+  }
+  return result;
+}, { todos: [], errors: [] });
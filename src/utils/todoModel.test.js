@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeTodos, validateTodo, applyTodoUpdates } from './todoModel';
+import { importedTodoSchema, TODO_TEXT_MAX_LENGTH } from './todoSchema';
+
+const longTitle = 'x'.repeat(TODO_TEXT_MAX_LENGTH + 1);
+const record = {
+  id: '1',
+  text: longTitle,
+  subtasks: [{ id: 's1', text: longTitle, completed: false }],
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z'
+};
+
+describe('sanitizeTodos', () => {
+  it('loads saved todos that are longer than the form allows', () => {
+    const { todos, errors } = sanitizeTodos([record]);
+    expect(errors).toEqual([]);
+    expect(todos[0].text).toBe(longTitle);
+  });
+
+  it('holds imported todos to the form limits', () => {
+    const { todos, errors } = sanitizeTodos([record], importedTodoSchema);
+    expect(todos).toEqual([]);
+    expect(errors[0].errors.text).toMatch(/less than/);
+  });
+
+  it('leaves the limits in place for the form', () => {
+    expect(validateTodo({ text: longTitle })).toHaveProperty('text');
+  });
+});
+
+describe('applyTodoUpdates', () => {
+  const [todo] = sanitizeTodos([{
+    ...record,
+    text: 'Call back',
+    dueDate: '2024-03-01',
+    reminders: [
+      { id: 'r1', type: 'relative', offsetMinutes: 10, firedAt: '2024-03-01T08:50:00.000Z', snoozedUntil: '2024-03-01T09:50:00.000Z' },
+      { id: 'r2', type: 'absolute', at: '2024-02-28T09:00:00.000Z', firedAt: '2024-02-28T09:00:00.000Z' }
+    ]
+  }]).todos;
+
+  it('re-arms relative reminders when the due date moves', () => {
+    const [relative, absolute] = applyTodoUpdates(todo, { dueDate: '2024-03-08' }).reminders;
+    expect(relative).toMatchObject({ firedAt: null, snoozedUntil: null });
+    expect(absolute.firedAt).toBe('2024-02-28T09:00:00.000Z');
+  });
+
+  it('leaves reminders alone when the due date stays', () => {
+    expect(applyTodoUpdates(todo, { text: 'Call back soon' }).reminders).toEqual(todo.reminders);
+  });
+});
@@ -0,0 +1,214 @@
+// Priority scales.
+//
+// Todos store the id of a priority level; the active scale, stored under
+// STORAGE_KEYS.PRIORITY_SCALE, lists its levels most important first and
+// gives each a label and color. Switching scales maps the old level ids onto
+// new ones. A todo whose priority is not on the scale (e.g. from an import)
+// ranks below every level and is shown with a neutral style.
+import { applyTodoUpdates } from './todoModel';
+import { priorityScaleSchema, toFieldErrors } from './todoSchema';
+import { getStorageAdapter, STORAGE_KEYS } from './storage';
+
+export const PRIORITY_PRESETS = [
+  {
+    id: 'standard',
+    name: 'High / Medium / Low',
+    defaultPriority: 'medium',
+    levels: [
+      { id: 'high', label: 'High', color: 'red' },
+      { id: 'medium', label: 'Medium', color: 'amber' },
+      { id: 'low', label: 'Low', color: 'emerald' }
+    ]
+  },
+  {
+    id: 'p0-p4',
+    name: 'P0 – P4',
+    defaultPriority: 'p2',
+    levels: [
+      { id: 'p0', label: 'P0', color: 'red' },
+      { id: 'p1', label: 'P1', color: 'orange' },
+      { id: 'p2', label: 'P2', color: 'amber' },
+      { id: 'p3', label: 'P3', color: 'blue' },
+      { id: 'p4', label: 'P4', color: 'slate' }
+    ]
+  },
+  {
+    id: 'p1-p5',
+    name: 'P1 – P5',
+    defaultPriority: 'p3',
+    levels: [
+      { id: 'p1', label: 'P1', color: 'red' },
+      { id: 'p2', label: 'P2', color: 'orange' },
+      { id: 'p3', label: 'P3', color: 'amber' },
+      { id: 'p4', label: 'P4', color: 'blue' },
+      { id: 'p5', label: 'P5', color: 'slate' }
+    ]
+  },
+  {
+    id: 'moscow',
+    name: 'MoSCoW',
+    defaultPriority: 'should',
+    levels: [
+      { id: 'must', label: 'Must have', color: 'red' },
+      { id: 'should', label: 'Should have', color: 'amber' },
+      { id: 'could', label: 'Could have', color: 'blue' },
+      { id: 'wont', label: 'Won\'t have', color: 'slate' }
+    ]
+  }
+];
+
+// A fresh copy of a preset as a scale
+export const createPresetScale = (presetId) => {
+  const preset = PRIORITY_PRESETS.find(candidate => candidate.id === presetId) ?? PRIORITY_PRESETS[0];
+  return {
+    preset: preset.id,
+    levels: preset.levels.map(level => ({ ...level })),
+    defaultPriority: preset.defaultPriority
+  };
+};
+
+export const DEFAULT_PRIORITY_SCALE = createPresetScale('standard');
+
+// Classes for each priority color: `card` for todo cards, `chip` for
+// badges, `bar` for form accents and `dot` for the outline
+export const PRIORITY_COLOR_CLASSES = {
+  red: {
+    card: 'from-red-400/30 to-pink-600/30 border-red-400/50',
+    chip: 'bg-red-500/20 text-red-200',
+    bar: 'from-red-400 to-pink-500',
+    dot: 'bg-red-400'
+  },
+  orange: {
+    card: 'from-orange-400/30 to-red-600/30 border-orange-400/50',
+    chip: 'bg-orange-500/20 text-orange-200',
+    bar: 'from-orange-400 to-red-500',
+    dot: 'bg-orange-400'
+  },
+  amber: {
+    card: 'from-yellow-400/30 to-orange-600/30 border-yellow-400/50',
+    chip: 'bg-yellow-500/20 text-yellow-200',
+    bar: 'from-amber-400 to-orange-500',
+    dot: 'bg-yellow-400'
+  },
+  emerald: {
+    card: 'from-green-400/30 to-emerald-600/30 border-green-400/50',
+    chip: 'bg-green-500/20 text-green-200',
+    bar: 'from-emerald-400 to-teal-500',
+    dot: 'bg-green-400'
+  },
+  blue: {
+    card: 'from-blue-400/30 to-cyan-600/30 border-blue-400/50',
+    chip: 'bg-blue-500/20 text-blue-200',
+    bar: 'from-blue-400 to-cyan-400',
+    dot: 'bg-blue-400'
+  },
+  violet: {
+    card: 'from-violet-400/30 to-purple-600/30 border-violet-400/50',
+    chip: 'bg-violet-500/20 text-violet-200',
+    bar: 'from-violet-400 to-purple-500',
+    dot: 'bg-violet-400'
+  },
+  slate: {
+    card: 'from-blue-400/30 to-purple-600/30 border-blue-400/50',
+    chip: 'bg-gray-500/20 text-gray-200',
+    bar: 'from-gray-400 to-slate-400',
+    dot: 'bg-gray-400'
+  }
+};
+
+// The level with `id`, or a neutral stand-in named after the id
+export const getPriorityLevel = (levels, id) =>
+  levels.find(level => level.id === id) ?? {
+    id,
+    label: id ? id.charAt(0).toUpperCase() + id.slice(1) : 'Normal',
+    color: 'slate'
+  };
+
+// Higher is more important; priorities not on the scale rank 0
+export const getPriorityRank = (levels, id) => {
+  const index = levels.findIndex(level => level.id === id);
+  return index < 0 ? 0 : levels.length - index;
+};
+
+// Validate a scale. Returns a map of field -> error message.
+export const validatePriorityScale = (scale) => {
+  const result = priorityScaleSchema.safeParse(scale);
+  return result.success ? {} : toFieldErrors(result.error);
+};
+
+// Suggest where each of `ids` goes on `toScale`: a level with the same id
+// keeps it, other levels of `fromLevels` go to the level at the same
+// relative rank, and anything else goes to the new default
+export const suggestPriorityMapping = (ids, fromLevels, toScale) => {
+  const toIds = toScale.levels.map(level => level.id);
+  return ids.reduce((mapping, id) => {
+    const index = fromLevels.findIndex(level => level.id === id);
+    if (toIds.includes(id)) {
+      mapping[id] = id;
+    } else if (index < 0) {
+      mapping[id] = toScale.defaultPriority;
+    } else {
+      const position = fromLevels.length > 1 ? index / (fromLevels.length - 1) : 0;
+      mapping[id] = toIds[Math.round(position * (toIds.length - 1))];
+    }
+    return mapping;
+  }, {});
+};
+
+// Move todos to new priorities; `mapping` is old id -> new id
+export const remapPriorities = (todos, mapping) => todos.map(todo =>
+  mapping[todo.priority] && mapping[todo.priority] !== todo.priority
+    ? applyTodoUpdates(todo, { priority: mapping[todo.priority] })
+    : todo
+);
+
+// Every priority in use by `todos`, in scale order with unknown ones last
+export const getUsedPriorities = (todos, levels) => {
+  const used = new Set(todos.map(todo => todo.priority));
+  return [
+    ...levels.map(level => level.id).filter(id => used.has(id)),
+    ...[...used].filter(id => !levels.some(level => level.id === id))
+  ];
+};
+
+// Number of todos at each level, in scale order; priorities that are not
+// on the scale follow the levels
+export const countByPriority = (todos, levels) => {
+  const counts = todos.reduce((acc, todo) => {
+    acc[todo.priority] = (acc[todo.priority] || 0) + 1;
+    return acc;
+  }, {});
+  const unknownIds = getUsedPriorities(todos, levels).filter(id => !levels.some(level => level.id === id));
+  return [...levels, ...unknownIds.map(id => getPriorityLevel(levels, id))]
+    .map(level => ({ ...level, count: counts[level.id] || 0 }));
+};
+
+// The scale from a stored value, falling back to the default one
+export const parsePriorityScale = (stored) => {
+  try {
+    const result = priorityScaleSchema.safeParse(stored ? JSON.parse(stored) : null);
+    return result.success ? result.data : DEFAULT_PRIORITY_SCALE;
+  } catch (error) {
+    console.error('Error reading stored priority scale:', error);
+    return DEFAULT_PRIORITY_SCALE;
+  }
+};
+
+export const loadPriorityScale = async (storage = getStorageAdapter()) => {
+  try {
+    return parsePriorityScale(await storage.getItem(STORAGE_KEYS.PRIORITY_SCALE));
+  } catch (error) {
+    console.error('Error loading priority scale:', error);
+    return DEFAULT_PRIORITY_SCALE;
+  }
+};
+
+export const savePriorityScale = async (scale, storage = getStorageAdapter()) => {
+  try {
+    await storage.setItem(STORAGE_KEYS.PRIORITY_SCALE, JSON.stringify(scale));
+    return true;
+  } catch (error) {
+    console.error('Error saving priority scale:', error);
+    return false;
+  }
+};
@@ -0,0 +1,184 @@
+// Reminders.
+//
+// A todo keeps its reminders in `reminders`. An 'absolute' reminder goes off
+// at `at`; a 'relative' one `offsetMinutes` before the todo is due, so it
+// follows the due date around and carries over to the next occurrence of a
+// recurring todo. A reminder is due once its time has passed and it has not
+// gone off since that time: `firedAt` records when it last went off, and
+// snoozing sets `snoozedUntil` as its new time. Moving the due date clears
+// both on relative reminders (see applyTodoUpdates). Completed and trashed
+// todos never remind.
+import { generateId, applyTodoUpdates } from './todoModel';
+import { getDueInstant, parseLocalDay, formatDue } from './todoDueDates';
+
+export const REMINDER_OFFSETS = [
+  { value: 0, label: 'When due' },
+  { value: 10, label: '10 minutes before' },
+  { value: 60, label: '1 hour before' },
+  { value: 24 * 60, label: '1 day before' },
+  { value: 2 * 24 * 60, label: '2 days before' },
+  { value: 7 * 24 * 60, label: '1 week before' }
+];
+
+export const SNOOZE_OPTIONS = [
+  { value: '10m', label: '10 min' },
+  { value: '1h', label: '1 hour' },
+  { value: 'tomorrow', label: 'Tomorrow' }
+];
+
+// All-day todos have no due time; reminders treat them as due at this hour
+export const DUE_REMINDER_HOUR = 9;
+
+// Reminders that came due more than this long before the app was opened
+// count as missed
+export const MISSED_REMINDER_GRACE = 60 * 1000;
+
+const toTime = (value) => new Date(value).getTime();
+
+export const createReminder = (type = 'relative') => ({
+  id: generateId(),
+  type,
+  at: null,
+  offsetMinutes: type === 'relative' ? 0 : null,
+  firedAt: null,
+  snoozedUntil: null
+});
+
+// When `todo` is due, in ms, or null without a due date
+export const getDueTime = (todo) => {
+  if (!todo.dueDate) return null;
+  return getDueInstant(todo) ?? parseLocalDay(todo.dueDate).setHours(DUE_REMINDER_HOUR);
+};
+
+// When `reminder` goes off, in ms, or null when it cannot (a relative
+// reminder on a todo without a due date)
+export const getReminderTime = (todo, reminder) => {
+  if (reminder.snoozedUntil) return toTime(reminder.snoozedUntil);
+  if (reminder.type === 'absolute') return reminder.at ? toTime(reminder.at) : null;
+
+  const dueTime = getDueTime(todo);
+  return dueTime === null ? null : dueTime - reminder.offsetMinutes * 60 * 1000;
+};
+
+const isActive = (todo) => !todo.completed && !todo.deletedAt;
+
+const hasFiredSince = (reminder, time) => Boolean(reminder.firedAt) && toTime(reminder.firedAt) >= time;
+
+// Reminders that should go off at `now`, oldest first, as `{ todo, reminder, time }`
+export const getDueReminders = (todos, now = Date.now()) => todos
+  .filter(isActive)
+  .flatMap(todo => todo.reminders.map(reminder => ({ todo, reminder, time: getReminderTime(todo, reminder) })))
+  .filter(({ reminder, time }) => time !== null && time <= now && !hasFiredSince(reminder, time))
+  .sort((a, b) => a.time - b.time);
+
+// When the next reminder after `now` goes off, in ms, or null
+export const getNextReminderTime = (todos, now = Date.now()) => todos
+  .filter(isActive)
+  .flatMap(todo => todo.reminders.map(reminder => getReminderTime(todo, reminder)))
+  .filter(time => time !== null && time > now)
+  .reduce((next, time) => (next === null || time < next ? time : next), null);
+
+// The next reminder of `todo` that has not gone off yet, as `{ reminder, time }`
+export const getUpcomingReminder = (todo) => todo.reminders
+  .map(reminder => ({ reminder, time: getReminderTime(todo, reminder) }))
+  .filter(({ reminder, time }) => time !== null && !hasFiredSince(reminder, time))
+  .sort((a, b) => a.time - b.time)[0] ?? null;
+
+const updateReminders = (todos, todoIds, update) => todos.map(todo => (todoIds.includes(todo.id)
+  ? applyTodoUpdates(todo, { reminders: todo.reminders.map(update) })
+  : todo
+));
+
+// Record that the reminders in `items` (`{ todo, reminder }`) went off
+export const markRemindersFired = (todos, items, now = new Date()) => {
+  const reminderIds = items.map(item => item.reminder.id);
+  return updateReminders(todos, items.map(item => item.todo.id), reminder => (
+    reminderIds.includes(reminder.id) ? { ...reminder, firedAt: now.toISOString() } : reminder
+  ));
+};
+
+// When a reminder snoozed with `option` goes off again
+export const getSnoozeTime = (option, now = new Date()) => {
+  switch (option) {
+    case '10m':
+      return new Date(now.getTime() + 10 * 60 * 1000);
+    case '1h':
+      return new Date(now.getTime() + 60 * 60 * 1000);
+    default:
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, DUE_REMINDER_HOUR);
+  }
+};
+
+// Snooze one reminder of todo `id`
+export const snoozeReminder = (todos, id, reminderId, option, now = new Date()) =>
+  updateReminders(todos, [id], reminder => (
+    reminder.id === reminderId ? { ...reminder, snoozedUntil: getSnoozeTime(option, now).toISOString() } : reminder
+  ));
+
+// `reminders` with the later `firedAt` of the same reminder in `current`.
+// Going off is not a change of the user's, so undo and redo keep it and a
+// reminder does not go off again.
+export const keepFiredReminders = (reminders, current) => reminders.map(reminder => {
+  const firedAt = current.find(candidate => candidate.id === reminder.id)?.firedAt;
+  return firedAt && (!reminder.firedAt || toTime(firedAt) > toTime(reminder.firedAt))
+    ? { ...reminder, firedAt }
+    : reminder;
+});
+
+// Copies of `reminders` that have not gone off, for a new todo
+export const resetReminders = (reminders) =>
+  reminders.map(reminder => ({ ...reminder, id: generateId(), firedAt: null, snoozedUntil: null }));
+
+// Reminders for the next occurrence of a recurring todo: the relative ones
+export const carryOverReminders = (reminders) =>
+  resetReminders(reminders.filter(reminder => reminder.type === 'relative'));
+
+export const formatReminderTime = (time) => new Date(time).toLocaleString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// "10 minutes before" or "Mon, Oct 19, 9:00 AM"
+export const describeReminder = (reminder) => {
+  if (reminder.type === 'absolute') return reminder.at ? formatReminderTime(reminder.at) : 'No time set';
+  return REMINDER_OFFSETS.find(offset => offset.value === reminder.offsetMinutes)?.label
+    ?? `${reminder.offsetMinutes} minutes before`;
+};
+
+// Browser notifications, where supported and allowed
+export const getNotificationPermission = () =>
+  (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return Notification.permission;
+  }
+};
+
+// Show a reminder as a browser notification; returns false when that is
+// not possible, so the caller can fall back to an in-app toast
+export const showReminderNotification = ({ todo, reminder }, onClick) => {
+  if (getNotificationPermission() !== 'granted') return false;
+  try {
+    const notification = new Notification(todo.text, {
+      body: todo.dueDate ? `Due ${formatDue(todo)}` : 'Reminder',
+      tag: reminder.id
+    });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      onClick?.();
+    };
+    return true;
+  } catch (error) {
+    console.error('Error showing notification:', error);
+    return false;
+  }
+};
@@ -0,0 +1,61 @@
+// Scheduled dates and the Today view.
+//
+// `scheduledDate` is the calendar day the user plans to work on a todo,
+// separate from when it is due. Open todos scheduled for a later day stay
+// out of the default list until that day comes. The Today view gathers open
+// todos scheduled for today, due today or overdue. Those still open after
+// their scheduled day are offered for rollover, which moves them on to a
+// new day.
+import { applyTodoUpdates } from './todoModel';
+import { toDayString } from './recurrence';
+import { parseLocalDay, getDaysUntilDue, isPastDue, formatDay } from './todoDueDates';
+
+const isOpen = (todo) => !todo.completed && !todo.deletedAt;
+
+// The day after `day`
+export const getNextDay = (day = toDayString()) => {
+  const date = parseLocalDay(day);
+  return toDayString(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+};
+
+// Move `scheduledDate` by as many days as the due date moved from `fromDay`
+// to `toDay`, so the next occurrence of a recurring todo keeps its lead time
+export const shiftScheduledDate = (scheduledDate, fromDay, toDay) => {
+  if (!scheduledDate) return null;
+  const days = Math.round((parseLocalDay(toDay) - parseLocalDay(fromDay)) / (24 * 60 * 60 * 1000));
+  const date = parseLocalDay(scheduledDate);
+  return toDayString(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+};
+
+// Open and scheduled for a day after today
+export const isScheduledLater = (todo, today = toDayString()) =>
+  isOpen(todo) && Boolean(todo.scheduledDate) && todo.scheduledDate > today;
+
+// Open and scheduled for today or an earlier day, due today, or overdue
+export const isOnToday = (todo, now = new Date()) => {
+  if (!isOpen(todo)) return false;
+  if (todo.scheduledDate && todo.scheduledDate <= toDayString(now)) return true;
+  return Boolean(todo.dueDate) && (getDaysUntilDue(todo, now) === 0 || isPastDue(todo, now));
+};
+
+// Open todos whose scheduled day has passed
+export const getRolloverTodos = (todos, today = toDayString()) => todos
+  .filter(todo => isOpen(todo) && Boolean(todo.scheduledDate) && todo.scheduledDate < today);
+
+// Open todos scheduled for today
+export const getScheduledToday = (todos, today = toDayString()) => todos
+  .filter(todo => isOpen(todo) && todo.scheduledDate === today);
+
+// Schedule the todos `ids` for `day`
+export const rescheduleTodos = (todos, ids, day) => todos.map(todo => (
+  ids.includes(todo.id) ? applyTodoUpdates(todo, { scheduledDate: day }) : todo
+));
+
+// "Today", "Tomorrow", "Yesterday" or the day itself
+export const formatScheduledDate = (day, now = new Date()) => {
+  const today = toDayString(now);
+  if (day === today) return 'Today';
+  if (day === getNextDay(today)) return 'Tomorrow';
+  if (getNextDay(day) === today) return 'Yesterday';
+  return formatDay(day, now);
+};
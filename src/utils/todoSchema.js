@@ -0,0 +1,372 @@
+// Zod schemas shared by the todo form, storage sanitization and import
+import { z } from 'zod';
+import { RECURRENCE_FREQUENCIES } from './recurrence';
+import { DAY_PATTERN, TIME_PATTERN, isValidTimeZone } from './todoDueDates';
+
+// Field limits shared by the form and the import path. Saved and synced
+// records are not held to them: todos saved before a limit existed must
+// still load.
+export const TODO_TEXT_MAX_LENGTH = 100;
+export const TODO_DESCRIPTION_MAX_LENGTH = 500;
+
+export const DEFAULT_CATEGORY = 'general';
+export const DEFAULT_PRIORITY = 'medium';
+
+// User-managed categories; todos refer to them by id and the default
+// category cannot be deleted
+export const CATEGORY_NAME_MAX_LENGTH = 30;
+export const CATEGORY_COLORS = ['slate', 'blue', 'emerald', 'violet', 'rose', 'amber', 'cyan', 'pink', 'orange'];
+export const CATEGORY_ICONS = [
+  'folder',
+  'briefcase',
+  'user',
+  'shopping-cart',
+  'heart-pulse',
+  'graduation-cap',
+  'folder-kanban',
+  'home',
+  'star',
+  'book-open',
+  'dumbbell',
+  'plane',
+  'wallet',
+  'code'
+];
+
+// Priority scales; todos store a level id and the scale gives levels their
+// label, color and rank
+export const PRIORITY_LABEL_MAX_LENGTH = 20;
+export const PRIORITY_MIN_LEVELS = 2;
+export const PRIORITY_MAX_LEVELS = 7;
+export const PRIORITY_COLORS = ['red', 'orange', 'amber', 'emerald', 'blue', 'violet', 'slate'];
+
+// Lists every todo can belong to; the default list cannot be archived
+export const DEFAULT_LIST_ID = 'inbox';
+export const LIST_NAME_MAX_LENGTH = 50;
+export const LIST_COLORS = ['violet', 'blue', 'emerald', 'amber', 'rose', 'slate'];
+export const LIST_ICONS = ['inbox', 'briefcase', 'home', 'user', 'heart', 'book'];
+
+// Custom fields a list defines for its todos; todos keep the values by
+// field id
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'select', 'date', 'url', 'checkbox'];
+export const CUSTOM_FIELD_NAME_MAX_LENGTH = 30;
+export const CUSTOM_FIELD_VALUE_MAX_LENGTH = 200;
+export const CUSTOM_FIELD_MAX_COUNT = 10;
+
+// Notes on time entries
+export const TIME_ENTRY_NOTE_MAX_LENGTH = 200;
+
+// Reminders: at a set time, or a number of minutes before the due date
+export const REMINDER_TYPES = ['absolute', 'relative'];
+export const REMINDER_MAX_COUNT = 5;
+
+// Focus mode cycle lengths, in minutes
+export const FOCUS_MAX_WORK_MINUTES = 120;
+export const FOCUS_MAX_BREAK_MINUTES = 60;
+export const FOCUS_MAX_SESSIONS_PER_CYCLE = 10;
+
+export const THEME_NAMES = ['aurora', 'cosmic', 'neon', 'sunset', 'ocean'];
+export const DEFAULT_THEME = 'aurora';
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+// Apply a length limit only to `limited` schemas, i.e. not to saved records
+const withMaxLength = (schema, limited, max, message) => (limited ? schema.max(max, message) : schema);
+
+// Empty strings from date inputs mean "no date". Due and scheduled dates
+// are calendar days; see utils/todoDueDates.
+const calendarDaySchema = (label) => z.preprocess(
+  value => (value === '' || value === undefined ? null : value),
+  z.string()
+    .refine(value => DAY_PATTERN.test(value) && isValidDate(value), `${label} is not a valid date`)
+    .nullable()
+);
+
+// Likewise for time inputs; null means due all day
+const dueTimeSchema = z.preprocess(
+  value => (value === '' || value === undefined ? null : value),
+  z.string()
+    .regex(TIME_PATTERN, 'Due time is not a valid time')
+    .nullable()
+);
+
+// RRULE-style repeat rule; see utils/recurrence
+const recurrenceSchema = z.object({
+  freq: z.enum(RECURRENCE_FREQUENCIES),
+  interval: z.number().int().min(1, 'Repeat every at least 1').max(999).default(1),
+  weekdays: z.array(z.number().int().min(0).max(6)).default([]),
+  monthlyBy: z.enum(['day', 'weekday']).default('day'),
+  monthDay: z.number().int().min(1).max(31).nullable().default(null),
+  ordinal: z.number().int().min(-1).max(4).nullable().default(null),
+  weekday: z.number().int().min(0).max(6).nullable().default(null),
+  until: z.preprocess(
+    value => (value === '' || value === undefined ? null : value),
+    z.string().refine(isValidDate, 'End date is not a valid date').nullable()
+  ).default(null),
+  count: z.number().int().min(1, 'Repeat at least once').nullable().default(null)
+}).refine(rule => !(rule.until && rule.count), {
+  message: 'Choose an end date or a number of occurrences, not both',
+  path: ['count']
+});
+
+// One checklist item of a todo
+const createSubtaskSchema = (limited) => z.object({
+  id: z.string().min(1, 'Subtask id is required'),
+  text: withMaxLength(
+    z.string().trim().min(1, 'Subtasks cannot be empty'),
+    limited,
+    TODO_TEXT_MAX_LENGTH,
+    `Subtasks must be less than ${TODO_TEXT_MAX_LENGTH} characters`
+  ),
+  completed: z.boolean().default(false)
+});
+
+// One reminder of a todo. `firedAt` is when it last went off and
+// `snoozedUntil` replaces its time once snoozed.
+const reminderSchema = z.object({
+  id: z.string().min(1),
+  type: z.enum(REMINDER_TYPES),
+  at: z.string().refine(isValidDate, 'Reminder time is not a valid time').nullable().default(null),
+  offsetMinutes: z.number().int().min(0).nullable().default(null),
+  firedAt: z.string().refine(isValidDate).nullable().default(null),
+  snoozedUntil: z.string().refine(isValidDate).nullable().default(null)
+}).superRefine((reminder, ctx) => {
+  if (reminder.type === 'absolute' && !reminder.at) {
+    ctx.addIssue({ code: 'custom', path: ['at'], message: 'Pick a time for the reminder' });
+  }
+  if (reminder.type === 'relative' && reminder.offsetMinutes === null) {
+    ctx.addIssue({ code: 'custom', path: ['offsetMinutes'], message: 'Pick how long before the due date' });
+  }
+});
+
+// Fields a user can edit in the form or provide in an imported file
+const createTodoFieldsSchema = (limited) => z.object({
+  text: withMaxLength(
+    z.string({ required_error: 'Title is required' }).trim().min(1, 'Title is required'),
+    limited,
+    TODO_TEXT_MAX_LENGTH,
+    `Title must be less than ${TODO_TEXT_MAX_LENGTH} characters`
+  ),
+  description: withMaxLength(
+    z.string().trim(),
+    limited,
+    TODO_DESCRIPTION_MAX_LENGTH,
+    `Description must be less than ${TODO_DESCRIPTION_MAX_LENGTH} characters`
+  ).default(''),
+  category: z.string().trim().toLowerCase().min(1, 'Category is required').default(DEFAULT_CATEGORY),
+  priority: z.string().trim().toLowerCase().min(1, 'Priority is required').default(DEFAULT_PRIORITY),
+  dueDate: calendarDaySchema('Due date').default(null),
+  dueTime: dueTimeSchema.default(null),
+  // Time zone the due time is in
+  dueTimeZone: z.string().refine(isValidTimeZone, 'Unknown time zone').nullable().default(null),
+  // Day the user plans to work on the todo
+  scheduledDate: calendarDaySchema('Scheduled date').default(null),
+  tags: z.array(z.string().trim().min(1, 'Tags cannot be empty')).default([]),
+  subtasks: z.array(createSubtaskSchema(limited)).default([]),
+  // Complete the todo once every subtask is done
+  autoCompleteSubtasks: z.boolean().default(false),
+  recurrence: recurrenceSchema.nullable().default(null),
+  // Todo this one is nested under; null for top-level todos
+  parentId: z.preprocess(
+    value => (value === '' || value === undefined ? null : value),
+    z.string().nullable()
+  ).default(null),
+  // List (project) the todo belongs to
+  listId: z.string().trim().min(1, 'List is required').default(DEFAULT_LIST_ID),
+  // Todos that have to be done before this one can start
+  blockedBy: z.array(z.string()).default([]),
+  // Values of the list's custom fields, by field id; checked against the
+  // field definitions by todoCustomFields
+  customValues: z.record(z.union([z.string(), z.number(), z.boolean()])).default({}),
+  reminders: z.array(reminderSchema)
+    .max(REMINDER_MAX_COUNT, `At most ${REMINDER_MAX_COUNT} reminders per todo`)
+    .default([])
+});
+
+export const todoFieldsSchema = createTodoFieldsSchema(true);
+
+// A span of time tracked on a todo; `end` is null while its timer runs
+const createTimeEntrySchema = (limited) => z.object({
+  id: z.string().min(1),
+  start: z.string().refine(isValidDate, 'Start is not a valid time'),
+  end: z.string().refine(isValidDate, 'End is not a valid time').nullable(),
+  note: withMaxLength(
+    z.string().trim(),
+    limited,
+    TIME_ENTRY_NOTE_MAX_LENGTH,
+    `Notes must be less than ${TIME_ENTRY_NOTE_MAX_LENGTH} characters`
+  ).default('')
+}).refine(entry => entry.end === null || new Date(entry.end) >= new Date(entry.start), {
+  message: 'End must be after start',
+  path: ['end']
+});
+
+export const timeEntrySchema = createTimeEntrySchema(true);
+
+// A completed focus session on a todo
+export const focusSessionSchema = z.object({
+  id: z.string().min(1),
+  start: z.string().refine(isValidDate, 'Start is not a valid time'),
+  end: z.string().refine(isValidDate, 'End is not a valid time')
+});
+
+// One entry of a todo's activity log
+const activityEntrySchema = z.object({
+  id: z.string().min(1),
+  at: z.string().refine(isValidDate, 'Activity date is not a valid date'),
+  source: z.string().min(1),
+  actor: z.string().optional(),
+  changes: z.array(z.object({
+    field: z.string().min(1),
+    from: z.unknown(),
+    to: z.unknown()
+  })),
+  revertedTo: z.string().optional()
+});
+
+// A complete todo record: `todoSchema` for saved and synced records,
+// `importedTodoSchema` for records from a file, which get the form's limits
+const createTodoSchema = (limited) => createTodoFieldsSchema(limited).extend({
+  id: z.string().min(1, 'Id is required'),
+  completed: z.boolean(),
+  favorite: z.boolean(),
+  createdAt: z.string().refine(isValidDate, 'Created date is not a valid date'),
+  updatedAt: z.string().refine(isValidDate, 'Updated date is not a valid date'),
+  // Set while the todo is in the trash
+  deletedAt: z.string().refine(isValidDate, 'Deleted date is not a valid date').nullable(),
+  activity: z.array(activityEntrySchema),
+  // Occurrences of a recurring todo share a series id and are numbered from 1
+  seriesId: z.string().nullable(),
+  occurrence: z.number().int().min(1),
+  // Series values hidden by edits made to this occurrence only
+  seriesFields: z.record(z.unknown()).nullable(),
+  timeEntries: z.array(createTimeEntrySchema(limited)),
+  focusSessions: z.array(focusSessionSchema)
+});
+
+export const todoSchema = createTodoSchema(false);
+export const importedTodoSchema = createTodoSchema(true);
+
+// Theme preferences; unknown or missing values fall back to defaults
+export const settingsSchema = z.object({
+  theme: z.enum(THEME_NAMES).catch(DEFAULT_THEME),
+  isDarkMode: z.boolean().catch(false)
+});
+
+const minutesSchema = (label, max) => z.coerce.number({ invalid_type_error: `${label} must be a number` })
+  .int(`${label} must be whole minutes`)
+  .min(1, `${label} must be at least 1 minute`)
+  .max(max, `${label} must be at most ${max} minutes`);
+
+// Focus mode cycles: work sessions with a short break after each and a
+// long break after every `sessionsBeforeLongBreak`
+export const focusSettingsSchema = z.object({
+  workMinutes: minutesSchema('Focus', FOCUS_MAX_WORK_MINUTES).default(25),
+  shortBreakMinutes: minutesSchema('Short break', FOCUS_MAX_BREAK_MINUTES).default(5),
+  longBreakMinutes: minutesSchema('Long break', FOCUS_MAX_BREAK_MINUTES).default(15),
+  sessionsBeforeLongBreak: z.coerce.number({ invalid_type_error: 'Sessions must be a number' })
+    .int('Sessions must be a whole number')
+    .min(1, 'At least 1 session is required')
+    .max(FOCUS_MAX_SESSIONS_PER_CYCLE, `At most ${FOCUS_MAX_SESSIONS_PER_CYCLE} sessions per cycle`)
+    .default(4)
+});
+
+// User-editable fields of a category
+export const categoryFieldsSchema = z.object({
+  name: z.string({ required_error: 'Name is required' })
+    .trim()
+    .min(1, 'Name is required')
+    .max(CATEGORY_NAME_MAX_LENGTH, `Name must be less than ${CATEGORY_NAME_MAX_LENGTH} characters`),
+  color: z.enum(CATEGORY_COLORS).catch(CATEGORY_COLORS[0]),
+  icon: z.enum(CATEGORY_ICONS).catch(CATEGORY_ICONS[0])
+});
+
+// A stored category; its position in the stored array is its order
+export const categorySchema = categoryFieldsSchema.extend({
+  id: z.string().trim().toLowerCase().min(1)
+});
+
+// One level of a priority scale
+export const priorityLevelSchema = z.object({
+  id: z.string().trim().toLowerCase().min(1),
+  label: z.string({ required_error: 'Label is required' })
+    .trim()
+    .min(1, 'Label is required')
+    .max(PRIORITY_LABEL_MAX_LENGTH, `Label must be less than ${PRIORITY_LABEL_MAX_LENGTH} characters`),
+  color: z.enum(PRIORITY_COLORS).catch('slate')
+});
+
+// A priority scale, most important level first
+export const priorityScaleSchema = z.object({
+  preset: z.string().trim().min(1).catch('custom'),
+  levels: z.array(priorityLevelSchema)
+    .min(PRIORITY_MIN_LEVELS, `A scale needs at least ${PRIORITY_MIN_LEVELS} levels`)
+    .max(PRIORITY_MAX_LEVELS, `A scale can have at most ${PRIORITY_MAX_LEVELS} levels`),
+  defaultPriority: z.string().trim().toLowerCase()
+}).superRefine((scale, ctx) => {
+  const labels = scale.levels.map(level => level.label.toLowerCase());
+  if (labels.some((label, index) => labels.indexOf(label) !== index)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Level labels must be unique', path: ['levels'] });
+  }
+  const ids = scale.levels.map(level => level.id);
+  if (ids.some((id, index) => ids.indexOf(id) !== index)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Level ids must be unique', path: ['levels'] });
+  }
+  if (!ids.includes(scale.defaultPriority)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Pick a default level', path: ['defaultPriority'] });
+  }
+});
+
+// A custom field definition. Select options may be given as a
+// comma-separated string, as typed in the list dialog.
+export const customFieldSchema = z.object({
+  id: z.string().min(1),
+  name: z.string({ required_error: 'Field name is required' })
+    .trim()
+    .min(1, 'Field name is required')
+    .max(CUSTOM_FIELD_NAME_MAX_LENGTH, `Field name must be less than ${CUSTOM_FIELD_NAME_MAX_LENGTH} characters`),
+  type: z.enum(CUSTOM_FIELD_TYPES),
+  options: z.preprocess(
+    value => (typeof value === 'string' ? value.split(',') : value),
+    z.array(z.string().trim()).transform(options => [...new Set(options.filter(Boolean))])
+  ).default([])
+}).refine(field => field.type !== 'select' || field.options.length > 0, {
+  message: 'Add at least one option',
+  path: ['options']
+});
+
+// User-editable fields of a list
+export const listFieldsSchema = z.object({
+  name: z.string({ required_error: 'Name is required' })
+    .trim()
+    .min(1, 'Name is required')
+    .max(LIST_NAME_MAX_LENGTH, `Name must be less than ${LIST_NAME_MAX_LENGTH} characters`),
+  color: z.enum(LIST_COLORS).catch(LIST_COLORS[0]),
+  icon: z.enum(LIST_ICONS).catch(LIST_ICONS[0]),
+  // Used for todos created in the list
+  defaultCategory: z.string().trim().toLowerCase().min(1).catch(DEFAULT_CATEGORY),
+  defaultPriority: z.string().trim().toLowerCase().min(1).catch(DEFAULT_PRIORITY),
+  archived: z.boolean().catch(false),
+  customFields: z.array(customFieldSchema)
+    .max(CUSTOM_FIELD_MAX_COUNT, `A list can have at most ${CUSTOM_FIELD_MAX_COUNT} custom fields`)
+    .refine(fields => {
+      const names = fields.map(field => field.name.toLowerCase());
+      return names.every((name, index) => names.indexOf(name) === index);
+    }, 'Custom field names must be unique')
+    .default([])
+});
+
+// A stored list
+export const listSchema = listFieldsSchema.extend({
+  id: z.string().min(1),
+  createdAt: z.string()
+});
+
+// Flatten a zod error into a map of top-level field -> first message
+export const toFieldErrors = (error) => error.issues.reduce((errors, issue) => {
+  const field = issue.path[0] ?? 'record';
+  if (!errors[field]) {
+    errors[field] = issue.message;
+  }
+  return errors;
+}, {});
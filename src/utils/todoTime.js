@@ -0,0 +1,219 @@
+// Time tracking.
+//
+// Each todo keeps the time spent on it in `timeEntries`, as
+// `{ id, start, end, note }` with ISO times. An entry whose `end` is null
+// belongs to a running timer; only one timer runs at a time, across every
+// list, and it stops when its todo is completed or trashed. Manual entries
+// are added with both ends set.
+import { generateId, applyTodoUpdates } from './todoModel';
+import { timeEntrySchema, toFieldErrors } from './todoSchema';
+import { getCategory } from './todoCategories';
+import { resolveListId } from './todoLists';
+import { getLiveTodos, isTrashed } from './todoHelpers';
+import { toDayString } from './recurrence';
+
+export const TIME_REPORT_RANGES = [
+  { value: 'today', label: 'Today' },
+  { value: 'week', label: 'Last 7 days' },
+  { value: 'month', label: 'This month' },
+  { value: 'all', label: 'All time' }
+];
+
+const toTime = (value) => new Date(value).getTime();
+
+const sortByStart = (entries) => [...entries].sort((a, b) => toTime(a.start) - toTime(b.start));
+
+// Length of an entry in ms; running entries count up to `now`
+export const getEntryDuration = (entry, now = new Date()) =>
+  Math.max(0, (entry.end ? toTime(entry.end) : now.getTime()) - toTime(entry.start));
+
+// Total time tracked on a todo in ms
+export const getTrackedTime = (todo, now = new Date()) =>
+  todo.timeEntries.reduce((total, entry) => total + getEntryDuration(entry, now), 0);
+
+// "1h 05m", "12m" or "40s"
+export const formatDuration = (ms) => {
+  const totalMinutes = Math.floor(ms / 60000);
+  if (totalMinutes === 0) return `${Math.floor(ms / 1000)}s`;
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+// "1:05:09", for a running timer
+export const formatElapsed = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+const isRunning = (entry) => entry.end === null;
+
+// The live todo with a running timer and its open entry, or null
+export const getRunningTimer = (todos) => {
+  const todo = getLiveTodos(todos).find(candidate => candidate.timeEntries.some(isRunning));
+  return todo ? { todo, entry: todo.timeEntries.find(isRunning) } : null;
+};
+
+// Stop the running timers of todos matching `shouldStop`
+export const stopTimers = (todos, shouldStop = () => true, now = new Date()) => todos.map(todo => {
+  if (!shouldStop(todo) || !todo.timeEntries.some(isRunning)) return todo;
+
+  return applyTodoUpdates(todo, {
+    timeEntries: todo.timeEntries.map(entry => (isRunning(entry) ? { ...entry, end: now.toISOString() } : entry))
+  });
+});
+
+// Timers only run on open todos outside the trash
+export const stopFinishedTimers = (todos, now = new Date()) =>
+  stopTimers(todos, todo => todo.completed || isTrashed(todo), now);
+
+// Start, or resume, the timer of todo `id`, stopping any other timer
+export const startTimer = (todos, id, now = new Date()) =>
+  stopTimers(todos, () => true, now).map(todo => (todo.id === id
+    ? applyTodoUpdates(todo, {
+      timeEntries: [...todo.timeEntries, { id: generateId(), start: now.toISOString(), end: null, note: '' }]
+    })
+    : todo
+  ));
+
+// Validate a manual entry; returns a map of field -> error message
+export const validateTimeEntry = (fields) => {
+  if (!fields.end) return { end: 'End is required' };
+  const result = timeEntrySchema.safeParse({ ...fields, id: 'new' });
+  return result.success ? {} : toFieldErrors(result.error);
+};
+
+// Add a manual entry to todo `id`; throws when the entry is invalid
+export const addTimeEntry = (todos, id, fields) => {
+  const errors = validateTimeEntry(fields);
+  if (Object.keys(errors).length > 0) {
+    throw new Error(Object.values(errors)[0]);
+  }
+
+  const entry = timeEntrySchema.parse({ ...fields, id: generateId() });
+  return todos.map(todo => (todo.id === id
+    ? applyTodoUpdates(todo, { timeEntries: sortByStart([...todo.timeEntries, entry]) })
+    : todo
+  ));
+};
+
+// Remove one entry from todo `id`
+export const removeTimeEntry = (todos, id, entryId) => todos.map(todo => (todo.id === id
+  ? applyTodoUpdates(todo, { timeEntries: todo.timeEntries.filter(entry => entry.id !== entryId) })
+  : todo
+));
+
+// Start and end of a report range as times in ms; `end` is exclusive
+export const getReportRange = (range, now = new Date()) => {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const end = now.getTime();
+  switch (range) {
+    case 'today':
+      return { start: startOfToday.getTime(), end };
+    case 'week':
+      return { start: new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6).getTime(), end };
+    case 'month':
+      return { start: new Date(now.getFullYear(), now.getMonth(), 1).getTime(), end };
+    default:
+      return { start: 0, end };
+  }
+};
+
+// Split a span at local midnights into `{ day, ms }` pieces
+const splitByDay = (start, end) => {
+  const pieces = [];
+  let cursor = start;
+  while (cursor < end) {
+    const date = new Date(cursor);
+    const nextMidnight = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+    const pieceEnd = Math.min(end, nextMidnight);
+    pieces.push({ day: toDayString(date), ms: pieceEnd - cursor });
+    cursor = pieceEnd;
+  }
+  return pieces;
+};
+
+// Sum `ms` of `items` by key, largest total first
+const groupTotals = (items, getKey, getLabel) => {
+  const groups = items.reduce((acc, item) => {
+    const key = getKey(item);
+    acc[key] = acc[key] ?? { key, label: getLabel(item), ms: 0 };
+    acc[key].ms += item.ms;
+    return acc;
+  }, {});
+  return Object.values(groups).sort((a, b) => b.ms - a.ms);
+};
+
+// Time tracked on live todos within `range`, cut to the range, as entries
+// plus totals by day (oldest first), category and list
+export const buildTimeReport = (todos, range, { categories = [], lists = [] } = {}, now = new Date()) => {
+  const { start, end } = getReportRange(range, now);
+
+  const entries = getLiveTodos(todos).flatMap(todo => todo.timeEntries.map(entry => {
+    const from = Math.max(start, toTime(entry.start));
+    const to = Math.min(end, entry.end ? toTime(entry.end) : now.getTime());
+    return { todo, entry, from, to, ms: Math.max(0, to - from) };
+  })).filter(item => item.ms > 0).sort((a, b) => a.from - b.from);
+
+  const days = entries.flatMap(item => splitByDay(item.from, item.to));
+  const category = (item) => getCategory(categories, item.todo.category);
+  const list = (item) => lists.find(candidate => candidate.id === resolveListId(item.todo, lists));
+
+  return {
+    total: entries.reduce((total, item) => total + item.ms, 0),
+    entries,
+    byDay: groupTotals(days, piece => piece.day, piece => piece.day).sort((a, b) => a.key.localeCompare(b.key)),
+    byCategory: groupTotals(entries, item => category(item).id, item => category(item).name),
+    byList: groupTotals(entries, item => list(item)?.id ?? '', item => list(item)?.name ?? 'No list')
+  };
+};
+
+const toCsvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toLocalTime = (ms) => {
+  const date = new Date(ms);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// One CSV row per entry of a report
+export const timeReportToCsv = (report, { categories = [], lists = [] } = {}) => {
+  const header = ['Date', 'Start', 'End', 'Hours', 'Todo', 'Category', 'List', 'Note'];
+  const rows = report.entries.map(({ todo, entry, from, to, ms }) => [
+    toDayString(new Date(from)),
+    toLocalTime(from),
+    toLocalTime(to),
+    (ms / 3600000).toFixed(2),
+    todo.text,
+    getCategory(categories, todo.category).name,
+    lists.find(list => list.id === resolveListId(todo, lists))?.name ?? '',
+    entry.note
+  ]);
+  return [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\n');
+};
+
+// Download a report as a CSV file
+export const exportTimeReport = (report, lookups, filename = `time-report-${toDayString()}.csv`) => {
+  try {
+    const dataBlob = new Blob([timeReportToCsv(report, lookups)], { type: 'text/csv' });
+    const url = URL.createObjectURL(dataBlob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    return true;
+  } catch (error) {
+    console.error('Error exporting time report:', error);
+    return false;
+  }
+};
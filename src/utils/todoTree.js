@@ -0,0 +1,145 @@
+// Parent/child relationships between todos.
+//
+// A todo's `parentId` points at another todo. Siblings keep the order they
+// have in the list. Todos whose parent is missing from the list (purged,
+// trashed, or outside the current scope) are treated as top-level, and a
+// cycle in imported data is cut at the first todo found on it.
+import { applyTodoUpdates } from './todoModel';
+
+// Effective parent id of every todo in the list (null for top-level ones)
+export const resolveParents = (todos) => {
+  const byId = new Map(todos.map(todo => [todo.id, todo]));
+  const parents = new Map();
+
+  todos.forEach(todo => {
+    const path = [];
+    let current = todo;
+
+    while (current && !parents.has(current.id)) {
+      if (path.includes(current)) {
+        parents.set(current.id, null);
+        break;
+      }
+      path.push(current);
+      current = byId.get(current.parentId);
+    }
+
+    path.forEach(node => {
+      if (!parents.has(node.id)) {
+        parents.set(node.id, byId.has(node.parentId) ? node.parentId : null);
+      }
+    });
+  });
+
+  return parents;
+};
+
+// Direct children of `parentId` (null for top-level), in list order
+export const getChildren = (todos, parentId, parents = resolveParents(todos)) =>
+  todos.filter(todo => parents.get(todo.id) === parentId);
+
+// Ancestors of a todo, outermost first
+export const getAncestors = (todos, id, parents = resolveParents(todos)) => {
+  const byId = new Map(todos.map(todo => [todo.id, todo]));
+  const ancestors = [];
+  let parentId = parents.get(id);
+
+  while (parentId) {
+    ancestors.unshift(byId.get(parentId));
+    parentId = parents.get(parentId);
+  }
+  return ancestors;
+};
+
+// Ids of every todo below `id`
+export const getDescendantIds = (todos, id, parents = resolveParents(todos)) => {
+  const descendants = new Set();
+  let frontier = [id];
+
+  while (frontier.length > 0) {
+    const next = todos
+      .filter(todo => frontier.includes(parents.get(todo.id)))
+      .map(todo => todo.id);
+    next.forEach(childId => descendants.add(childId));
+    frontier = next;
+  }
+  return descendants;
+};
+
+// `matches` plus all of their ancestors, in the order of `todos`, so
+// matching todos keep their place in the tree
+export const withAncestors = (todos, matches) => {
+  const parents = resolveParents(todos);
+  const keep = new Set();
+
+  matches.forEach(todo => {
+    let id = todo.id;
+    while (id && !keep.has(id)) {
+      keep.add(id);
+      id = parents.get(id);
+    }
+  });
+
+  return todos.filter(todo => keep.has(todo.id));
+};
+
+// Rows for an outline: depth-first, skipping the children of collapsed todos
+export const flattenTree = (todos, collapsedIds = new Set()) => {
+  const parents = resolveParents(todos);
+  const childrenOf = new Map();
+  todos.forEach(todo => {
+    const parentId = parents.get(todo.id);
+    childrenOf.set(parentId, [...(childrenOf.get(parentId) ?? []), todo]);
+  });
+
+  const rows = [];
+  const visit = (parentId, depth) => {
+    (childrenOf.get(parentId) ?? []).forEach(todo => {
+      const hasChildren = childrenOf.has(todo.id);
+      const collapsed = hasChildren && collapsedIds.has(todo.id);
+      rows.push({ todo, depth, hasChildren, collapsed });
+      if (!collapsed) visit(todo.id, depth + 1);
+    });
+  };
+  visit(null, 0);
+
+  return rows;
+};
+
+// Give a todo a new parent and place it right after `afterId`, or after
+// the parent's other children
+const moveTodo = (todos, id, parentId, afterId = null) => {
+  const todo = todos.find(candidate => candidate.id === id);
+  const rest = todos.filter(candidate => candidate.id !== id);
+
+  let position = rest.findIndex(candidate => candidate.id === (afterId ?? parentId));
+  if (!afterId) {
+    rest.forEach((candidate, index) => {
+      if (candidate.parentId === parentId) position = Math.max(position, index);
+    });
+  }
+
+  rest.splice(position + 1, 0, applyTodoUpdates(todo, { parentId }));
+  return rest;
+};
+
+// Make a todo the last child of the sibling above it. Only todos passing
+// `isVisible` (e.g. not trashed) count as siblings and parents.
+export const indentTodo = (todos, id, isVisible = () => true) => {
+  const visible = todos.filter(isVisible);
+  const parents = resolveParents(visible);
+  const siblings = getChildren(visible, parents.get(id) ?? null, parents);
+  const index = siblings.findIndex(todo => todo.id === id);
+  if (index <= 0) return todos;
+
+  return moveTodo(todos, id, siblings[index - 1].id);
+};
+
+// Make a todo the sibling right after its parent
+export const outdentTodo = (todos, id, isVisible = () => true) => {
+  const parents = resolveParents(todos.filter(isVisible));
+  const parentId = parents.get(id);
+  if (!parentId) return todos;
+
+  return moveTodo(todos, id, parents.get(parentId), parentId);
+};
@@ -14,6 +14,10 @@ export default defineConfig({
     },
     extensions: ['.mjs', '.js', '.jsx', '.ts', '.tsx', '.json']
   },
+  test: {
+    // Date handling depends on the time zone; pin one west of UTC
+    env: { TZ: 'America/Los_Angeles' }
+  },
   optimizeDeps: {
     esbuildOptions: {
       loader: {